@@ -1,7 +1,18 @@
+import json
+import logging
+import math
 import os
-from flask import Flask, request, jsonify
+import re
+import tempfile
+import threading
+import time
+import urllib.error
+import urllib.request
+from collections import deque
+from flask import Flask, Response, request, jsonify, stream_with_context
 from flask_cors import CORS
 import docx # python-docx
+from docx.oxml.ns import qn
 
 # --- PyMuPDF (fitz) Import Handling ---
 # We'll try importing fitz, but add a fallback/warning if it fails
@@ -19,45 +30,184 @@ UPLOAD_FOLDER = 'uploadresume'
 os.makedirs(UPLOAD_FOLDER, exist_ok=True)
 app.config['UPLOAD_FOLDER'] = UPLOAD_FOLDER
 
+# --- Layout signals for the ATS formatting check ---
+# The frontend decides which of these are problems (see src/atsLint.js).
+
+# Top and bottom share of a PDF page treated as header/footer
+HEADER_FOOTER_BAND = 0.08
+# PDF text blocks shorter than this are ignored when looking for columns, so
+# dates aligned to the right of a job title don't count as a second column
+MIN_COLUMN_TEXT = 40
+# Most header/footer snippets returned
+MAX_HEADER_FOOTER_TEXTS = 5
+# Email addresses, phone numbers and profile links
+CONTACT_INFO = re.compile(r'[\w.+-]+@[\w-]+\.[\w.-]+|\+?\d[\d\s().-]{7,}\d|linkedin\.com|https?://',
+                          re.IGNORECASE)
+
+def empty_layout(file_format):
+    """
+    Layout signals with nothing detected yet.
+    """
+    return {
+        'format': file_format,
+        'pageCount': None,
+        'columns': 1,
+        'tables': 0,
+        'images': 0,
+        'textBoxes': 0,
+        'headerFooterText': [],
+        'fonts': [],
+    }
+
+def add_header_footer_text(layout, text):
+    """
+    Records header/footer text, skipping page numbers and duplicates.
+    """
+    text = " ".join(text.split())
+    if not text or re.fullmatch(r'(page\s*)?\d+(\s*(of|/)\s*\d+)?', text, re.IGNORECASE):
+        return
+    if text not in layout['headerFooterText'] and len(layout['headerFooterText']) < MAX_HEADER_FOOTER_TEXTS:
+        layout['headerFooterText'].append(text[:120])
+
+def add_pdf_header_footer_text(layout, edge_text_pages):
+    """
+    Records PDF text from the top and bottom bands of the pages (text -> set
+    of page numbers) that is likely a header or footer: a PDF has no separate
+    header, so this is text repeated at the edge of several pages, or contact
+    details at the edge of page 1, which a one-page resume can't repeat.
+    """
+    for text, pages in edge_text_pages.items():
+        if len(pages) > 1 or (0 in pages and CONTACT_INFO.search(text)):
+            add_header_footer_text(layout, text)
+
+def overlaps_vertically(a, b):
+    """
+    True when two PDF blocks (x0, y0, x1, y1, ...) share most of their height.
+    """
+    overlap = min(a[3], b[3]) - max(a[1], b[1])
+    return overlap > 0.5 * min(a[3] - a[1], b[3] - b[1])
+
+def count_pdf_columns(blocks):
+    """
+    Estimates the number of text columns on a PDF page: the most blocks of
+    real text found side by side at the same height.
+    """
+    text_blocks = [b for b in blocks if len(b[4].strip()) >= MIN_COLUMN_TEXT]
+    columns = 1
+    for block in text_blocks:
+        row = sorted((b for b in text_blocks if overlaps_vertically(block, b)), key=lambda b: b[0])
+        count, right_edge = 0, None
+        for other in row:
+            if right_edge is None or other[0] >= right_edge:
+                count += 1
+                right_edge = other[2]
+        columns = max(columns, count)
+    return columns
+
 def extract_text_from_pdf(pdf_path):
     """
-    Extracts text from a PDF file using PyMuPDF.
+    Extracts text and layout signals from a PDF file using PyMuPDF.
     Requires PyMuPDF (fitz) to be installed and imported successfully.
+    Returns (text, layout, error).
     """
     if fitz is None:
-        return None, "PyMuPDF library is not available for PDF parsing."
+        return None, None, "PyMuPDF library is not available for PDF parsing."
 
     text = ""
+    layout = empty_layout('pdf')
+    fonts = set()
+    # Text near the top or bottom edge, with the pages it appears on
+    edge_text_pages = {}
     try:
         doc = fitz.open(pdf_path)
+        layout['pageCount'] = doc.page_count
         for page_num in range(doc.page_count):
             page = doc.load_page(page_num)
             text += page.get_text()
+
+            height = page.rect.height
+            blocks = [b for b in page.get_text("blocks") if b[6] == 0]
+            layout['columns'] = max(layout['columns'], count_pdf_columns(blocks))
+            for block in blocks:
+                if block[3] <= height * HEADER_FOOTER_BAND or block[1] >= height * (1 - HEADER_FOOTER_BAND):
+                    key = " ".join(block[4].split())
+                    edge_text_pages.setdefault(key, set()).add(page_num)
+
+            layout['images'] += len(page.get_images(full=True))
+            # Table detection needs PyMuPDF 1.23 or later
+            if hasattr(page, 'find_tables'):
+                layout['tables'] += len(page.find_tables().tables)
+            for font in page.get_fonts():
+                # Embedded subsets are named like "ABCDEF+Calibri-Bold"
+                fonts.add(font[3].split('+')[-1])
         doc.close()
-        return text, None
     except Exception as e:
         print(f"Error extracting text from PDF: {e}")
-        return None, f"Error extracting text from PDF: {e}"
+        return None, None, f"Error extracting text from PDF: {e}"
+
+    add_pdf_header_footer_text(layout, edge_text_pages)
+    layout['fonts'] = sorted(f for f in fonts if f)
+    return text, layout, None
+
+def docx_layout(doc):
+    """
+    Collects layout signals from an open python-docx Document.
+    """
+    layout = empty_layout('docx')
+    body = doc.element.body
+
+    for section in doc.sections:
+        cols = section._sectPr.find(qn('w:cols'))
+        if cols is not None and cols.get(qn('w:num')):
+            layout['columns'] = max(layout['columns'], int(cols.get(qn('w:num'))))
+        for part in (section.header, section.footer, section.first_page_header,
+                     section.first_page_footer, section.even_page_header, section.even_page_footer):
+            if part.is_linked_to_previous:
+                continue
+            for paragraph in part.paragraphs:
+                add_header_footer_text(layout, paragraph.text)
+            for table in part.tables:
+                for row in table.rows:
+                    for cell in row.cells:
+                        add_header_footer_text(layout, cell.text)
+
+    layout['tables'] = len(doc.tables)
+    # Word stores a fallback copy of drawings for old readers; skip those
+    not_fallback = "[not(ancestor::*[local-name()='Fallback'])]"
+    layout['images'] = len(body.xpath(f".//*[local-name()='pic']{not_fallback}")) + \
+        len(body.xpath(f".//*[local-name()='imagedata']{not_fallback}"))
+    layout['textBoxes'] = len(body.xpath(f".//*[local-name()='txbxContent']{not_fallback}"))
+
+    fonts = set(body.xpath('.//w:rFonts/@w:ascii'))
+    fonts.update(doc.styles.element.xpath('./w:docDefaults//w:rFonts/@w:ascii'))
+    try:
+        fonts.add(doc.styles['Normal'].font.name)
+    except KeyError:
+        pass
+    layout['fonts'] = sorted(f for f in fonts if f)
+    return layout
 
 def extract_text_from_docx(docx_path):
     """
-    Extracts text from a DOCX file using python-docx.
+    Extracts text and layout signals from a DOCX file using python-docx.
+    Returns (text, layout, error).
     """
     text = ""
     try:
         doc = docx.Document(docx_path)
         for paragraph in doc.paragraphs:
             text += paragraph.text + "\n"
-        return text, None
+        return text, docx_layout(doc), None
     except Exception as e:
         print(f"Error extracting text from DOCX: {e}")
-        return None, f"Error extracting text from DOCX: {e}"
+        return None, None, f"Error extracting text from DOCX: {e}"
 
 @app.route('/parse_document', methods=['POST'])
 def parse_document():
     """
     API endpoint to receive a file, parse its text, and return it.
-    Supports PDF, DOCX, and TXT files.
+    Supports PDF, DOCX, and TXT files. PDF and DOCX responses also include
+    layout signals for the ATS formatting check.
     """
     if 'file' not in request.files:
         return jsonify({'error': 'No file part in the request'}), 400
@@ -69,35 +219,239 @@ def parse_document():
 
     if file:
         filename = file.filename
-        filepath = os.path.join(app.config['UPLOAD_FOLDER'], filename)
-        file.save(filepath) # Save the uploaded file temporarily
+        extension = os.path.splitext(filename)[1].lower()
+        if extension not in ('.pdf', '.docx', '.txt'):
+            return jsonify({'error': 'Unsupported file type. Please upload a PDF, DOCX, or TXT file.'}), 400
+
+        # Save under a unique name: uploads with the same file name (e.g.
+        # alice/resume.pdf and bob/resume.pdf) can be parsed at the same time
+        fd, filepath = tempfile.mkstemp(suffix=extension, dir=app.config['UPLOAD_FOLDER'])
+        os.close(fd)
 
         extracted_text = None
+        layout = None
         error_message = None
 
-        if filename.lower().endswith('.pdf'):
-            extracted_text, error_message = extract_text_from_pdf(filepath)
-        elif filename.lower().endswith('.docx'):
-            extracted_text, error_message = extract_text_from_docx(filepath)
-        elif filename.lower().endswith('.txt'):
-            try:
-                with open(filepath, 'r', encoding='utf-8') as f:
-                    extracted_text = f.read()
-            except Exception as e:
-                error_message = f"Error reading TXT file: {e}"
-        else:
-            os.remove(filepath) # Clean up unsupported file
-            return jsonify({'error': 'Unsupported file type. Please upload a PDF, DOCX, or TXT file.'}), 400
-
-        os.remove(filepath) # Clean up the temporary file after processing
+        try:
+            file.save(filepath) # Save the uploaded file temporarily
+            if extension == '.pdf':
+                extracted_text, layout, error_message = extract_text_from_pdf(filepath)
+            elif extension == '.docx':
+                extracted_text, layout, error_message = extract_text_from_docx(filepath)
+            else:
+                try:
+                    with open(filepath, 'r', encoding='utf-8') as f:
+                        extracted_text = f.read()
+                except Exception as e:
+                    error_message = f"Error reading TXT file: {e}"
+        finally:
+            os.remove(filepath) # Clean up the temporary file after processing
 
         if extracted_text:
-            return jsonify({'parsedText': extracted_text}), 200
+            return jsonify({'parsedText': extracted_text, 'layout': layout}), 200
         else:
             return jsonify({'error': error_message or 'Failed to extract text from the document. The file might be corrupted or in an unsupported format.'}), 500
 
     return jsonify({'error': 'An unexpected error occurred.'}), 500
 
+# --- AI proxy ---
+# The frontend sends its prompts here instead of calling Gemini itself, so
+# the API key (GEMINI_API_KEY) stays on the server. Gemini's responses are
+# relayed as they are, so the frontend reads them the same way whether they
+# stream or not (see src/llm.js).
+
+GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models'
+DEFAULT_AI_MODEL = 'gemini-2.0-flash'
+# The AI features the frontend sends prompts for
+AI_TASKS = {'suggestions', 'rewrite', 'coverLetter', 'coverLetterParagraph',
+            'interviewPrep', 'candidateSummary'}
+# The Gemini models the frontend offers (geminiProvider.models in src/llm.js)
+AI_MODELS = ('gemini-2.0-flash', 'gemini-1.5-flash', 'gemini-1.5-pro')
+# Longest prompt accepted, in characters
+MAX_PROMPT_CHARS = 200_000
+# AI requests allowed per client address in each window. Requests carry no
+# verified user identity, so the address is the only key a client can't change.
+AI_RATE_LIMIT = int(os.environ.get('AI_RATE_LIMIT', '20'))
+AI_RATE_WINDOW_SECONDS = 60
+UPSTREAM_TIMEOUT_SECONDS = 120
+
+logging.basicConfig(level=logging.INFO)
+ai_logger = logging.getLogger('ai_proxy')
+
+class UpstreamError(Exception):
+    """
+    The AI service could not answer; status is the HTTP status to return and
+    retry_after how many seconds the service asked clients to wait, if it said.
+    """
+    def __init__(self, status, message, retry_after=None):
+        super().__init__(message)
+        self.status = status
+        self.message = message
+        self.retry_after = retry_after
+
+class RateLimiter:
+    """
+    Counts requests per key over a sliding window. clock returns seconds and
+    can be replaced in tests.
+    """
+    def __init__(self, limit, window_seconds, clock=time.monotonic):
+        self.limit = limit
+        self.window_seconds = window_seconds
+        self.clock = clock
+        # key -> deque of request times still in the window
+        self.requests = {}
+        self.pruned_at = clock()
+        self.lock = threading.Lock()
+
+    def prune(self, now):
+        """
+        Forgets keys with no requests left in the window, so clients that
+        stopped sending don't hold memory.
+        """
+        self.requests = {key: times for key, times in self.requests.items()
+                         if now - times[-1] < self.window_seconds}
+        self.pruned_at = now
+
+    def allow(self, key):
+        """
+        Records a request for key unless it is over the limit.
+        Returns (allowed, retry_after_seconds).
+        """
+        now = self.clock()
+        with self.lock:
+            if now - self.pruned_at >= self.window_seconds:
+                self.prune(now)
+            times = self.requests.get(key, deque())
+            while times and now - times[0] >= self.window_seconds:
+                times.popleft()
+            if len(times) >= self.limit:
+                self.requests[key] = times
+                return False, max(1, math.ceil(times[0] + self.window_seconds - now))
+            times.append(now)
+            self.requests[key] = times
+            return True, 0
+
+def upstream_error(error):
+    """
+    An UpstreamError from a Gemini HTTPError, with Gemini's own message and
+    the retry delay from its RetryInfo (e.g. "20s") when there is one.
+    """
+    try:
+        body = json.load(error)['error']
+    except Exception:
+        return UpstreamError(error.code, f"HTTP {error.code}")
+    retry_after = None
+    for detail in body.get('details') or []:
+        delay = re.fullmatch(r'(\d+)(\.\d+)?s', str(detail.get('retryDelay', '')))
+        if delay:
+            retry_after = int(delay.group(1)) + (1 if delay.group(2) else 0)
+    return UpstreamError(error.code, body.get('message') or f"HTTP {error.code}", retry_after)
+
+def gemini_upstream(model, payload, stream):
+    """
+    Calls Gemini with the server's API key. Returns the JSON response, or for
+    stream=True an iterator over the server-sent event lines.
+    Raises UpstreamError when Gemini can't be reached or answers with an error.
+    """
+    api_key = os.environ.get('GEMINI_API_KEY')
+    if not api_key:
+        raise UpstreamError(503, 'The AI service is not configured: set GEMINI_API_KEY for the backend.')
+    method = 'streamGenerateContent?alt=sse' if stream else 'generateContent'
+    upstream_request = urllib.request.Request(
+        f"{GEMINI_API_URL}/{model}:{method}",
+        data=json.dumps(payload).encode('utf-8'),
+        # In a header rather than the URL, so the key doesn't end up in logs
+        headers={'Content-Type': 'application/json', 'x-goog-api-key': api_key},
+        method='POST',
+    )
+    try:
+        response = urllib.request.urlopen(upstream_request, timeout=UPSTREAM_TIMEOUT_SECONDS)
+    except urllib.error.HTTPError as e:
+        raise upstream_error(e)
+    except urllib.error.URLError as e:
+        raise UpstreamError(502, f"Could not reach the AI service: {e.reason}")
+
+    if not stream:
+        with response:
+            return json.load(response)
+
+    def lines():
+        with response:
+            for line in response:
+                yield line.decode('utf-8')
+    return lines()
+
+app.config['AI_UPSTREAM'] = gemini_upstream
+app.config['AI_RATE_LIMITER'] = RateLimiter(AI_RATE_LIMIT, AI_RATE_WINDOW_SECONDS)
+
+def log_ai_request(task, address, model, status, started, prompt_chars):
+    """
+    Logs one AI request without its prompt.
+    """
+    ai_logger.info('ai_request task=%s address=%s model=%s status=%s prompt_chars=%d duration_ms=%d',
+                   task, address, model, status, prompt_chars, (time.monotonic() - started) * 1000)
+
+def ai_error(message, status, retry_after=None):
+    """
+    A JSON error response in the shape the frontend reads.
+    """
+    response = jsonify({'error': message})
+    response.status_code = status
+    if retry_after is not None:
+        response.headers['Retry-After'] = str(retry_after)
+    return response
+
+@app.route('/ai/<task>', methods=['POST'])
+def ai_proxy(task):
+    """
+    API endpoint that sends a prompt to Gemini with the server's key.
+    Body: {'prompt', 'model' (optional), 'json': ask for a JSON response,
+    'stream': relay server-sent events}. Returns Gemini's response.
+    Only the models in AI_MODELS are allowed. Requests are rate limited per
+    client address and logged without their prompt.
+    """
+    started = time.monotonic()
+    address = request.remote_addr or 'unknown'
+    body = request.get_json(silent=True) or {}
+    prompt = body.get('prompt')
+    model = body.get('model') or DEFAULT_AI_MODEL
+    prompt_chars = len(prompt) if isinstance(prompt, str) else 0
+
+    def fail(message, status, retry_after=None):
+        log_ai_request(task, address, model, status, started, prompt_chars)
+        return ai_error(message, status, retry_after)
+
+    if task not in AI_TASKS:
+        return fail(f'Unknown AI task "{task}".', 404)
+    if not isinstance(prompt, str) or not prompt.strip():
+        return fail('A prompt is required.', 400)
+    if prompt_chars > MAX_PROMPT_CHARS:
+        return fail(f'The prompt is too long (over {MAX_PROMPT_CHARS} characters).', 413)
+    if model not in AI_MODELS:
+        return fail(f'Unsupported model. Choose one of: {", ".join(AI_MODELS)}.', 400)
+
+    allowed, retry_after = app.config['AI_RATE_LIMITER'].allow(address)
+    if not allowed:
+        return fail(f'Too many AI requests. Try again in {retry_after} seconds.', 429, retry_after)
+
+    payload = {'contents': [{'role': 'user', 'parts': [{'text': prompt}]}]}
+    if body.get('json'):
+        payload['generationConfig'] = {'responseMimeType': 'application/json'}
+    stream = bool(body.get('stream'))
+    try:
+        result = app.config['AI_UPSTREAM'](model, payload, stream)
+    except UpstreamError as e:
+        # Gemini's status is passed on so the frontend can tell quota, key and
+        # server errors apart (see src/aiErrors.js)
+        status = e.status if 400 <= e.status < 600 else 502
+        return fail(e.message, status, e.retry_after)
+
+    log_ai_request(task, address, model, 200, started, prompt_chars)
+    if stream:
+        return Response(stream_with_context(result), mimetype='text/event-stream',
+                        headers={'Cache-Control': 'no-cache'})
+    return jsonify(result), 200
+
 if __name__ == '__main__':
     # Run the Flask app
     # In a production environment, you would use a WSGI server like Gunicorn
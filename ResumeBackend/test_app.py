@@ -0,0 +1,229 @@
+"""
+Tests for the document parsing route and PDF layout signals, and for the
+AI proxy routes with Gemini replaced by a stub.
+Run from this directory with: python -m unittest test_app
+"""
+import io
+import os
+import unittest
+from unittest import mock
+import urllib.error
+
+import app as backend
+
+GEMINI_RESPONSE = {'candidates': [{'content': {'parts': [{'text': 'Use stronger verbs.'}]}}]}
+
+class FakeClock:
+    def __init__(self):
+        self.now = 1000.0
+
+    def __call__(self):
+        return self.now
+
+class StubUpstream:
+    """
+    Records each call and answers with the given result, or raises it when
+    it is an exception.
+    """
+    def __init__(self, result=GEMINI_RESPONSE):
+        self.result = result
+        self.calls = []
+
+    def __call__(self, model, payload, stream):
+        self.calls.append((model, payload, stream))
+        if isinstance(self.result, Exception):
+            raise self.result
+        return self.result
+
+class ParseDocumentTest(unittest.TestCase):
+    def setUp(self):
+        backend.app.config.update(TESTING=True)
+        self.client = backend.app.test_client()
+
+    def upload(self, name, content):
+        return self.client.post('/parse_document', data={'file': (io.BytesIO(content), name)},
+                                content_type='multipart/form-data')
+
+    def test_saves_each_upload_under_its_own_name(self):
+        saved_paths = []
+        original_mkstemp = backend.tempfile.mkstemp
+
+        def recording_mkstemp(*args, **kwargs):
+            fd, path = original_mkstemp(*args, **kwargs)
+            saved_paths.append(path)
+            return fd, path
+
+        with mock.patch.object(backend.tempfile, 'mkstemp', recording_mkstemp):
+            first = self.upload('resume.txt', b'Alice')
+            second = self.upload('resume.txt', b'Bob')
+
+        self.assertEqual(first.get_json()['parsedText'], 'Alice')
+        self.assertEqual(second.get_json()['parsedText'], 'Bob')
+        self.assertEqual(len(set(saved_paths)), 2)
+        self.assertFalse(any(os.path.exists(path) for path in saved_paths))
+
+    def test_rejects_unsupported_files_without_saving_them(self):
+        with mock.patch.object(backend.tempfile, 'mkstemp') as mkstemp:
+            response = self.upload('resume.exe', b'MZ')
+        self.assertEqual(response.status_code, 400)
+        mkstemp.assert_not_called()
+
+class PdfHeaderFooterTest(unittest.TestCase):
+    def header_footer_text(self, edge_text_pages):
+        layout = backend.empty_layout('pdf')
+        backend.add_pdf_header_footer_text(layout, edge_text_pages)
+        return layout['headerFooterText']
+
+    def test_flags_text_repeated_at_the_page_edges(self):
+        self.assertEqual(self.header_footer_text({
+            'Jane Doe - Resume': {0, 1},
+            'Page 1 of 2': {0, 1},
+            'Experience': {1},
+        }), ['Jane Doe - Resume'])
+
+    def test_flags_contact_details_at_the_edge_of_a_one_page_resume(self):
+        self.assertEqual(self.header_footer_text({
+            'jane@example.com | +1 (555) 123-4567': {0},
+            'Jane Doe': {0},
+        }), ['jane@example.com | +1 (555) 123-4567'])
+        # Only page 1 holds the contact details worth flagging
+        self.assertEqual(self.header_footer_text({'linkedin.com/in/jane': {2}}), [])
+
+class AiProxyTest(unittest.TestCase):
+    def setUp(self):
+        self.clock = FakeClock()
+        self.upstream = StubUpstream()
+        backend.app.config.update(
+            TESTING=True,
+            AI_UPSTREAM=self.upstream,
+            AI_RATE_LIMITER=backend.RateLimiter(2, 60, clock=self.clock),
+        )
+        self.client = backend.app.test_client()
+
+    def post(self, task='suggestions', address='10.0.0.1', headers=None, **body):
+        body.setdefault('prompt', 'Improve this resume')
+        return self.client.post(f'/ai/{task}', json=body, headers=headers,
+                                environ_base={'REMOTE_ADDR': address})
+
+    def test_relays_the_prompt_and_response(self):
+        response = self.post(model='gemini-1.5-pro', json=True)
+
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.get_json(), GEMINI_RESPONSE)
+        model, payload, stream = self.upstream.calls[0]
+        self.assertEqual(model, 'gemini-1.5-pro')
+        self.assertEqual(payload['contents'][0]['parts'][0]['text'], 'Improve this resume')
+        self.assertEqual(payload['generationConfig'], {'responseMimeType': 'application/json'})
+        self.assertFalse(stream)
+
+    def test_defaults_the_model_and_free_text(self):
+        self.post()
+
+        model, payload, _ = self.upstream.calls[0]
+        self.assertEqual(model, backend.DEFAULT_AI_MODEL)
+        self.assertNotIn('generationConfig', payload)
+
+    def test_streams_server_sent_events(self):
+        self.upstream.result = iter(['data: {"a": 1}\n', '\n', 'data: {"b": 2}\n'])
+
+        response = self.post(stream=True)
+
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.mimetype, 'text/event-stream')
+        self.assertEqual(response.get_data(as_text=True), 'data: {"a": 1}\n\ndata: {"b": 2}\n')
+        self.assertTrue(self.upstream.calls[0][2])
+
+    def test_rejects_bad_requests_without_calling_upstream(self):
+        self.assertEqual(self.post(task='unknown').status_code, 404)
+        self.assertEqual(self.post(prompt='  ').status_code, 400)
+        self.assertEqual(self.post(prompt='x' * (backend.MAX_PROMPT_CHARS + 1)).status_code, 413)
+        self.assertEqual(self.post(model='../models?key=x').status_code, 400)
+        self.assertEqual(self.upstream.calls, [])
+
+    def test_only_allows_the_offered_models(self):
+        response = self.post(model='gemini-ultra-expensive')
+
+        self.assertEqual(response.status_code, 400)
+        self.assertIn('Unsupported model', response.get_json()['error'])
+        self.assertEqual(self.upstream.calls, [])
+
+    def test_rate_limits_each_address(self):
+        self.assertEqual(self.post().status_code, 200)
+        self.assertEqual(self.post().status_code, 200)
+
+        limited = self.post()
+        self.assertEqual(limited.status_code, 429)
+        self.assertEqual(limited.headers['Retry-After'], '60')
+        self.assertIn('Too many AI requests', limited.get_json()['error'])
+        # Other addresses have their own allowance
+        self.assertEqual(self.post(address='10.0.0.2').status_code, 200)
+
+        self.clock.now += 60
+        self.assertEqual(self.post().status_code, 200)
+        self.assertEqual(len(self.upstream.calls), 4)
+
+    def test_ignores_client_supplied_user_ids(self):
+        self.post(headers={'X-User-Id': 'a'})
+        self.post(headers={'X-User-Id': 'b'})
+        self.assertEqual(self.post(headers={'X-User-Id': 'c'}).status_code, 429)
+
+    def test_reports_upstream_errors(self):
+        self.upstream.result = backend.UpstreamError(429, 'Quota exceeded', retry_after=20)
+        response = self.post()
+        self.assertEqual(response.status_code, 429)
+        self.assertEqual(response.headers['Retry-After'], '20')
+        self.assertEqual(response.get_json(), {'error': 'Quota exceeded'})
+
+        # The status is kept so the frontend can tell a bad key from an outage
+        self.upstream.result = backend.UpstreamError(403, 'API key not valid')
+        self.assertEqual(self.post(address='10.0.0.2').status_code, 403)
+        self.upstream.result = backend.UpstreamError(0, 'Odd failure')
+        self.assertEqual(self.post(address='10.0.0.3').status_code, 502)
+
+    def test_reads_gemini_error_bodies(self):
+        def http_error(code, body):
+            return urllib.error.HTTPError('https://example.test', code, 'Error', {}, io.BytesIO(body))
+
+        error = backend.upstream_error(http_error(
+            429, b'{"error": {"message": "Quota exceeded", "details": [{"retryDelay": "19.5s"}]}}'))
+        self.assertEqual((error.status, error.message, error.retry_after), (429, 'Quota exceeded', 20))
+
+        error = backend.upstream_error(http_error(500, b'<html>Server Error</html>'))
+        self.assertEqual((error.status, error.message, error.retry_after), (500, 'HTTP 500', None))
+
+    def test_logs_requests_without_the_prompt(self):
+        with self.assertLogs('ai_proxy', level='INFO') as logs:
+            self.post(prompt='my secret resume')
+            self.post(task='unknown')
+
+        self.assertIn('task=suggestions address=10.0.0.1', logs.output[0])
+        self.assertIn('status=200', logs.output[0])
+        self.assertIn('status=404', logs.output[1])
+        self.assertNotIn('my secret resume', ''.join(logs.output))
+
+class RateLimiterTest(unittest.TestCase):
+    def test_slides_the_window(self):
+        clock = FakeClock()
+        limiter = backend.RateLimiter(2, 10, clock=clock)
+
+        self.assertEqual(limiter.allow('u'), (True, 0))
+        clock.now += 4
+        self.assertEqual(limiter.allow('u'), (True, 0))
+        self.assertEqual(limiter.allow('u'), (False, 6))
+        # The first request leaves the window; the second is still in it
+        clock.now += 6
+        self.assertEqual(limiter.allow('u'), (True, 0))
+        self.assertEqual(limiter.allow('u'), (False, 4))
+
+    def test_forgets_idle_keys(self):
+        clock = FakeClock()
+        limiter = backend.RateLimiter(2, 10, clock=clock)
+        limiter.allow('idle')
+        clock.now += 10
+
+        limiter.allow('active')
+
+        self.assertEqual(list(limiter.requests), ['active'])
+
+if __name__ == '__main__':
+    unittest.main()
@@ -1,11 +1,69 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 // Import Firebase modules directly for local development compatibility
 // These imports are crucial for running the app outside the Canvas environment
 import { initializeApp } from "firebase/app";
 import { getAuth, signInAnonymously, onAuthStateChanged } from "firebase/auth";
-import { getFirestore } from "firebase/firestore"; // Assuming Firestore will be used for persistence later
-
-// Helper component to render AI suggestions as a list
+import { getFirestore } from "firebase/firestore";
+import { connectEmulators } from "./firebaseEmulators";
+import {
+  buildSessionData,
+  createSession,
+  deleteSession,
+  renameSession,
+  subscribeToSessions,
+  updateSession,
+} from "./sessions";
+import SessionHistory from "./SessionHistory";
+import { compareKeywords } from "./keywords";
+import { scoreMatch } from "./matchScore";
+import ScoreCard from "./ScoreCard";
+import {
+  DEFAULT_SYNONYMS,
+  loadCustomSynonyms,
+  saveCustomSynonyms,
+} from "./synonyms";
+import SynonymEditor from "./SynonymEditor";
+import KeywordResults from "./KeywordResults";
+import ResumeStats from "./ResumeStats";
+import {
+  isAbortError,
+  loadLlmSettings,
+  saveLlmSettings,
+  streamText,
+} from "./llm";
+import LlmSettings from "./LlmSettings";
+import { buildSuggestionsPrompt, parseSuggestions } from "./suggestions";
+import { loadPromptSettings, savePromptSettings } from "./promptTemplates";
+import PromptSettings from "./PromptSettings";
+import CoverLetterWriter from "./CoverLetterWriter";
+import InterviewPrepGuide from "./InterviewPrepGuide";
+import SuggestionCards from "./SuggestionCards";
+import {
+  REWRITE_VARIANT_COUNTS,
+  buildRewritePrompt,
+  parseRewrites,
+  replaceBullet,
+} from "./rewrite";
+import RewriteVariants from "./RewriteVariants";
+import BatchRewrite from "./BatchRewrite";
+import ResumeOutline from "./ResumeOutline";
+import MultiJobComparison from "./MultiJobComparison";
+import { parseDocument } from "./backend";
+import RecruiterMode from "./RecruiterMode";
+import { addVersion, loadVersions, saveVersions } from "./versions";
+import ResumeVersions from "./ResumeVersions";
+import { buildReport } from "./report";
+import ReportExport from "./ReportExport";
+import ResumeDownload from "./ResumeDownload";
+import { lintAtsFormatting } from "./atsLint";
+import AtsLintReport from "./AtsLintReport";
+import { lintBullets } from "./bulletLint";
+import BulletLintReport from "./BulletLintReport";
+import CachedBadge from "./CachedBadge";
+
+// Helper component to render AI suggestions as a list.
+// Used as a fallback when the model ignores the JSON format and replies in
+// free-form markdown.
 const AiSuggestionsDisplay = ({ suggestions }) => {
   if (!suggestions) return null;
 
@@ -88,11 +146,47 @@ export default function App() {
   // State variables for keyword comparison results
   const [matchedKeywords, setMatchedKeywords] = useState([]);
   const [missingKeywords, setMissingKeywords] = useState([]);
+  const [matchScore, setMatchScore] = useState(null);
+  const [customSynonyms, setCustomSynonyms] = useState(loadCustomSynonyms);
+  // Custom synonym groups come first so they win over the built-in ones
+  const synonymGroups = useMemo(
+    () => [...customSynonyms, ...DEFAULT_SYNONYMS],
+    [customSynonyms]
+  );
+  // Texts as they were when last analyzed, so highlight offsets stay valid
+  const [analyzedDocuments, setAnalyzedDocuments] = useState(null);
 
   // State variables for AI suggestions
   const [aiSuggestions, setAiSuggestions] = useState("");
+  // Suggestion id -> "done" | "dismissed"
+  const [suggestionStatuses, setSuggestionStatuses] = useState({});
   const [bulletPointToRewrite, setBulletPointToRewrite] = useState("");
   const [rewrittenBulletPoint, setRewrittenBulletPoint] = useState("");
+  const [rewriteVariantCount, setRewriteVariantCount] = useState(3);
+  // The bullet the current rewrites were generated for, and the rewrite of
+  // it that is currently applied to the resume (if any)
+  const [rewriteSource, setRewriteSource] = useState("");
+  const [appliedRewrite, setAppliedRewrite] = useState(null);
+  // Rewrites put into the resume, [{ original, rewrite }], for the report
+  const [acceptedRewrites, setAcceptedRewrites] = useState([]);
+  // { resumeText, acceptedRewrites } before each applied AI change, most
+  // recent last, for undoing them
+  const [resumeUndoStack, setResumeUndoStack] = useState([]);
+  // Named snapshots of the resume, newest first (see versions.js)
+  const [resumeVersions, setResumeVersions] = useState(loadVersions);
+
+  // AI provider, model and endpoint used by the AI features
+  const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+  const [promptSettings, setPromptSettings] = useState(loadPromptSettings);
+
+  // When the shown suggestions and rewrites were cached, or null when they
+  // came straight from the model
+  const [suggestionsCachedAt, setSuggestionsCachedAt] = useState(null);
+  const [rewriteCachedAt, setRewriteCachedAt] = useState(null);
+  // Shown while a failed AI request waits to be retried, e.g. "Quota
+  // exceeded, retrying in 20s..."
+  const [suggestionsRetry, setSuggestionsRetry] = useState("");
+  const [rewriteRetry, setRewriteRetry] = useState("");
 
   // Loading states for API calls
   const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
@@ -100,19 +194,35 @@ export default function App() {
   const [errorMessage, setErrorMessage] = useState("");
   const [isLoadingParsing, setIsLoadingParsing] = useState(false); // New loading state for parsing
 
+  // AbortControllers for in-flight AI requests, so they can be cancelled
+  const suggestionsAbortRef = useRef(null);
+  const rewriteAbortRef = useRef(null);
+
+  // Lets the bullet point check select a bullet in the resume textarea
+  const resumeInputRef = useRef(null);
+
   // File names for display
   const [resumeFileName, setResumeFileName] = useState("");
   const [jdFileName, setJdFileName] = useState("");
-
-  // Backend URL
-  // Make sure this matches your Flask backend URL if you are running it locally
-  const BACKEND_URL = "http://127.0.0.1:5000";
+  // Layout signals from the backend for an uploaded PDF/DOCX resume
+  const [resumeLayout, setResumeLayout] = useState(null);
 
   // Firestore state variables
   // These are set in useEffect and can be used for database operations
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
+  // Canvas keeps user data under its app id; unset when running locally
+  const [canvasAppId, setCanvasAppId] = useState(null);
+
+  // Saved analysis sessions, and the one currently open (null when unsaved)
+  const [sessions, setSessions] = useState([]);
+  const [currentSessionId, setCurrentSessionId] = useState(null);
+  // The open session's id, or the promise of it while the session is being
+  // created. Saves read this rather than currentSessionId, which is stale
+  // inside a render, so a second save waits for the first to create the
+  // session instead of creating another.
+  const sessionIdRef = useRef(null);
 
   // Initialize Firebase and authenticate
   useEffect(() => {
@@ -138,6 +248,7 @@ export default function App() {
 
         setDb(firestoreDb);
         setAuth(firebaseAuth);
+        setCanvasAppId(appId);
 
         // Authenticate with custom token provided by Canvas
         const authenticateCanvas = async () => {
@@ -202,6 +313,9 @@ export default function App() {
         app = initializeApp(localFirebaseConfig);
         firestoreDb = getFirestore(app);
         firebaseAuth = getAuth(app);
+        if (connectEmulators(firestoreDb, firebaseAuth)) {
+          console.log("Using the local Firebase emulators.");
+        }
 
         setDb(firestoreDb);
         setAuth(firebaseAuth);
@@ -238,11 +352,27 @@ export default function App() {
     }
   }, []); // Empty dependency array ensures this runs once on mount
 
-  // Generic function to handle file upload and parsing
+  // Keep the history sidebar in sync with the user's saved sessions
+  useEffect(() => {
+    if (!db || !userId) return;
+    return subscribeToSessions(
+      db,
+      { userId, appId: canvasAppId },
+      setSessions,
+      (error) => {
+        console.error("Error loading saved sessions:", error);
+        setErrorMessage("Failed to load your saved analyses.");
+      }
+    );
+  }, [db, userId, canvasAppId]);
+
+  // Generic function to handle file upload and parsing. setLayoutFunction,
+  // when given, receives the layout signals (null for plain text).
   const handleFileUpload = async (
     event,
     setTextFunction,
-    setFileNameFunction
+    setFileNameFunction,
+    setLayoutFunction = () => {}
   ) => {
     const file = event.target.files[0];
     if (file) {
@@ -250,56 +380,38 @@ export default function App() {
       setErrorMessage("");
       setIsLoadingParsing(true); // Set parsing loading state
 
-      // If it's a plain text file, read it directly
-      if (file.type === "text/plain") {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          setTextFunction(e.target.result);
-          setIsLoadingParsing(false);
-        };
-        reader.readAsText(file);
-      } else if (
-        file.type === "application/pdf" ||
-        file.type ===
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-      ) {
-        // For PDF/DOCX, send to backend for parsing
-        const formData = new FormData();
-        formData.append("file", file);
-
-        try {
-          const response = await fetch(`${BACKEND_URL}/parse_document`, {
-            method: "POST",
-            body: formData,
-          });
-
-          const data = await response.json();
-
-          if (response.ok) {
-            setTextFunction(data.parsedText);
-          } else {
-            setErrorMessage(
-              `Error parsing file: ${data.error || "Unknown error"}`
-            );
-            setTextFunction(""); // Clear text on error
-          }
-        } catch (error) {
-          setErrorMessage(`Network error or backend issue: ${error.message}`);
-          setTextFunction(""); // Clear text on error
-          console.error("Backend communication error:", error);
-        } finally {
-          setIsLoadingParsing(false); // Clear parsing loading state
-        }
-      } else {
-        setErrorMessage(
-          "Unsupported file type. Please upload a .txt, .pdf, or .docx file."
-        );
-        setTextFunction(""); // Clear text if file type not supported
-        setIsLoadingParsing(false);
+      // Plain text is read directly; PDF/DOCX go to the backend for parsing
+      try {
+        const { text, layout } = await parseDocument(file);
+        setTextFunction(text);
+        setLayoutFunction(layout);
+      } catch (error) {
+        setErrorMessage(error.message);
+        setTextFunction(""); // Clear text on error
+        setLayoutFunction(null);
+      } finally {
+        setIsLoadingParsing(false); // Clear parsing loading state
       }
     }
   };
 
+  // Compares the documents and shows the results, returning them too
+  const analyzeDocuments = (resume, jd) => {
+    // Stopword removal, stemming and phrase detection happen in keywords.js
+    const { matched, missing } = compareKeywords(resume, jd, synonymGroups);
+    const score = scoreMatch(jd, { matched, missing });
+
+    setMatchedKeywords(matched);
+    setMissingKeywords(missing);
+    setMatchScore(score);
+    setAnalyzedDocuments({ resumeText: resume, jdText: jd });
+    return {
+      matchedKeywords: matched,
+      missingKeywords: missing,
+      matchScore: score,
+    };
+  };
+
   // Function to process text and extract keywords
   const processKeywords = () => {
     if (!resumeText || !jdText) {
@@ -309,30 +421,132 @@ export default function App() {
       return;
     }
     setErrorMessage("");
+    saveSession(analyzeDocuments(resumeText, jdText));
+  };
 
-    // Simple tokenization and normalization
-    const cleanText = (text) => text.toLowerCase().match(/\b\w+\b/g) || [];
+  // Saves the analysis to the user's history, creating a session the first
+  // time. overrides holds values set during this render that state doesn't
+  // reflect yet.
+  const saveSession = async (overrides = {}) => {
+    if (!db || !userId) return;
+    const owner = { userId, appId: canvasAppId };
+    const data = buildSessionData({
+      resumeText,
+      jdText,
+      resumeFileName,
+      jdFileName,
+      resumeLayout,
+      matchScore,
+      matchedKeywords,
+      missingKeywords,
+      aiSuggestions,
+      suggestionStatuses,
+      bulletPointToRewrite,
+      rewriteSource,
+      rewrittenBulletPoint,
+      acceptedRewrites,
+      ...overrides,
+    });
 
-    const resumeWords = new Set(cleanText(resumeText));
-    const jdWords = new Set(cleanText(jdText));
+    const existing = sessionIdRef.current;
+    const creating = existing ? null : createSession(db, owner, data);
+    if (creating) sessionIdRef.current = creating;
+    try {
+      if (creating) {
+        const sessionId = await creating;
+        // Unless another session was opened in the meantime
+        if (sessionIdRef.current === creating) {
+          sessionIdRef.current = sessionId;
+          setCurrentSessionId(sessionId);
+        }
+      } else {
+        await updateSession(db, owner, await existing, data);
+      }
+    } catch (error) {
+      if (creating && sessionIdRef.current === creating) {
+        sessionIdRef.current = null;
+      }
+      console.error("Error saving session:", error);
+      setErrorMessage(`Failed to save this analysis: ${error.message}`);
+    }
+  };
 
-    const matches = new Set();
-    const missing = new Set();
+  // Restores a saved session, or starts a fresh one when given { id: null }
+  const loadSession = (session) => {
+    cancelRequest(suggestionsAbortRef);
+    cancelRequest(rewriteAbortRef);
+    setErrorMessage("");
+    setResumeText(session.resumeText || "");
+    setJdText(session.jdText || "");
+    setResumeFileName(session.resumeFileName || "");
+    setJdFileName(session.jdFileName || "");
+    setResumeLayout(session.resumeLayout || null);
+    setAiSuggestions(session.aiSuggestions || "");
+    setSuggestionsCachedAt(null);
+    setSuggestionStatuses(session.suggestionStatuses || {});
+    setBulletPointToRewrite(session.bulletPointToRewrite || "");
+    setRewriteSource(session.rewriteSource || "");
+    setRewrittenBulletPoint(session.rewrittenBulletPoint || "");
+    setRewriteCachedAt(null);
+    setAppliedRewrite(null);
+    setAcceptedRewrites(session.acceptedRewrites || []);
+    setResumeUndoStack([]);
+    sessionIdRef.current = session.id;
+    setCurrentSessionId(session.id);
+
+    // Keyword results are recomputed rather than stored
+    if (session.resumeText && session.jdText) {
+      analyzeDocuments(session.resumeText, session.jdText);
+    } else {
+      setMatchedKeywords([]);
+      setMissingKeywords([]);
+      setMatchScore(null);
+      setAnalyzedDocuments(null);
+    }
+  };
 
-    jdWords.forEach((word) => {
-      if (resumeWords.has(word)) {
-        matches.add(word);
-      } else {
-        missing.add(word);
+  const renameSavedSession = async (sessionId, title) => {
+    try {
+      await renameSession(db, { userId, appId: canvasAppId }, sessionId, title);
+    } catch (error) {
+      console.error("Error renaming session:", error);
+      setErrorMessage(`Failed to rename the analysis: ${error.message}`);
+    }
+  };
+
+  const deleteSavedSession = async (sessionId) => {
+    try {
+      await deleteSession(db, { userId, appId: canvasAppId }, sessionId);
+      if (sessionId === currentSessionId) {
+        sessionIdRef.current = null;
+        setCurrentSessionId(null);
       }
-    });
+    } catch (error) {
+      console.error("Error deleting session:", error);
+      setErrorMessage(`Failed to delete the analysis: ${error.message}`);
+    }
+  };
 
-    setMatchedKeywords(Array.from(matches));
-    setMissingKeywords(Array.from(missing));
+  // Save user-defined synonyms so they apply to future analyses too
+  const updateCustomSynonyms = (groups) => {
+    setCustomSynonyms(groups);
+    saveCustomSynonyms(groups);
   };
 
-  // Function to get AI suggestions for gap analysis
-  const getAiSuggestions = async () => {
+  // Remember the chosen AI provider between visits
+  const updateLlmSettings = (settings) => {
+    setLlmSettings(settings);
+    saveLlmSettings(settings);
+  };
+
+  const updatePromptSettings = (settings) => {
+    setPromptSettings(settings);
+    savePromptSettings(settings);
+  };
+
+  // Function to get AI suggestions for gap analysis. regenerate asks the
+  // model again instead of reusing a cached response.
+  const getAiSuggestions = async ({ regenerate = false } = {}) => {
     if (!resumeText || !jdText) {
       setErrorMessage(
         "Please enter or upload both Resume and Job Description text for AI suggestions."
@@ -342,63 +556,49 @@ export default function App() {
     setIsLoadingSuggestions(true);
     setErrorMessage("");
     setAiSuggestions("");
+    setSuggestionsCachedAt(null);
 
-    const prompt = `Given the following Resume and Job Description, identify key skills from the Job Description that are missing or weakly represented in the Resume. Also, suggest general improvements for making the resume more impactful.
-    
-    Resume:
-    "${resumeText}"
+    setSuggestionStatuses({});
 
-    Job Description:
-    "${jdText}"
+    const prompt = buildSuggestionsPrompt(resumeText, jdText, promptSettings);
 
-    Provide suggestions in a concise, bulleted format.`;
+    const controller = new AbortController();
+    suggestionsAbortRef.current = controller;
+    let received = "";
 
     try {
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = { contents: chatHistory };
-      const apiKey = process.env.REACT_APP_GEMINI_API_KEY; // Read from environment variable
-      if (!apiKey) {
-        setErrorMessage(
-          "API key is not configured. Please set up your .env file."
-        );
-        setIsLoadingSuggestions(false);
-        return;
-      }
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+      // Show the suggestions as they stream in
+      await streamText(prompt, llmSettings, {
+        task: "suggestions",
+        json: true,
+        signal: controller.signal,
+        regenerate,
+        onProgress: (text) => {
+          received = text;
+          setAiSuggestions(text);
+          setSuggestionsRetry("");
+        },
+        onCacheHit: (cached) => setSuggestionsCachedAt(cached.createdAt),
+        onRetry: ({ message }) => setSuggestionsRetry(message),
       });
-
-      const result = await response.json();
-      if (
-        result.candidates &&
-        result.candidates.length > 0 &&
-        result.candidates[0].content &&
-        result.candidates[0].content.parts &&
-        result.candidates[0].content.parts.length > 0
-      ) {
-        const text = result.candidates[0].content.parts[0].text;
-        setAiSuggestions(text);
-      } else {
-        setErrorMessage(
-          "Failed to get AI suggestions: Unexpected API response structure."
-        );
-        console.error("AI Suggestions API response error:", result);
-      }
     } catch (error) {
-      setErrorMessage(`Error fetching AI suggestions: ${error.message}`);
-      console.error("Error fetching AI suggestions:", error);
+      // A cancelled request keeps whatever arrived before it was stopped
+      if (!isAbortError(error)) {
+        setErrorMessage(`Error fetching AI suggestions: ${error.message}`);
+        console.error("Error fetching AI suggestions:", error);
+      }
     } finally {
+      suggestionsAbortRef.current = null;
       setIsLoadingSuggestions(false);
+      setSuggestionsRetry("");
+    }
+    if (received) {
+      saveSession({ aiSuggestions: received, suggestionStatuses: {} });
     }
   };
 
   // Function to rewrite a resume bullet point using AI
-  const rewriteBulletPoint = async () => {
+  const rewriteBulletPoint = async ({ regenerate = false } = {}) => {
     if (!bulletPointToRewrite) {
       setErrorMessage("Please enter a bullet point to rewrite.");
       return;
@@ -406,57 +606,170 @@ export default function App() {
     setIsLoadingRewrite(true);
     setErrorMessage("");
     setRewrittenBulletPoint("");
+    setRewriteCachedAt(null);
+    setRewriteSource(bulletPointToRewrite);
+    setAppliedRewrite(null);
+
+    const prompt = buildRewritePrompt(bulletPointToRewrite, {
+      count: rewriteVariantCount,
+      keywords: missingKeywords.map((keyword) => keyword.term),
+      promptSettings,
+    });
 
-    const prompt = `Rewrite this resume bullet point to be more impactful, concise, and ATS-friendly, incorporating strong action verbs and quantifiable achievements if applicable. Focus on the impact and results.
-
-    Bullet Point: "${bulletPointToRewrite}"
-
-    Rewritten point:`;
+    const controller = new AbortController();
+    rewriteAbortRef.current = controller;
+    let received = "";
 
     try {
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = { contents: chatHistory };
-      const apiKey = process.env.REACT_APP_GEMINI_API_KEY; // Read from environment variable
-      if (!apiKey) {
-        setErrorMessage(
-          "API key is not configured. Please set up your .env file."
-        );
-        setIsLoadingRewrite(false);
-        return;
-      }
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+      await streamText(prompt, llmSettings, {
+        task: "rewrite",
+        json: true,
+        signal: controller.signal,
+        regenerate,
+        onProgress: (text) => {
+          received = text.trim();
+          setRewrittenBulletPoint(received);
+          setRewriteRetry("");
+        },
+        onCacheHit: (cached) => setRewriteCachedAt(cached.createdAt),
+        onRetry: ({ message }) => setRewriteRetry(message),
       });
-
-      const result = await response.json();
-      if (
-        result.candidates &&
-        result.candidates.length > 0 &&
-        result.candidates[0].content &&
-        result.candidates[0].content.parts &&
-        result.candidates[0].content.parts.length > 0
-      ) {
-        const text = result.candidates[0].content.parts[0].text;
-        setRewrittenBulletPoint(text.trim());
-      } else {
-        setErrorMessage(
-          "Failed to rewrite bullet point: Unexpected API response structure."
-        );
-        console.error("Rewrite API response error:", result);
-      }
     } catch (error) {
-      setErrorMessage(`Error rewriting bullet point: ${error.message}`);
-      console.error("Error rewriting bullet point:", error);
+      if (!isAbortError(error)) {
+        setErrorMessage(`Error rewriting bullet point: ${error.message}`);
+        console.error("Error rewriting bullet point:", error);
+      }
     } finally {
+      rewriteAbortRef.current = null;
       setIsLoadingRewrite(false);
+      setRewriteRetry("");
+    }
+    if (received) {
+      saveSession({
+        rewriteSource: bulletPointToRewrite,
+        rewrittenBulletPoint: received,
+      });
     }
   };
 
+  const updateResumeVersions = (versions) => {
+    setResumeVersions(versions);
+    saveVersions(versions);
+  };
+
+  const saveResumeVersion = (name) =>
+    updateResumeVersions(addVersion(resumeVersions, resumeText, { name }));
+
+  const deleteResumeVersion = (id) =>
+    updateResumeVersions(resumeVersions.filter((version) => version.id !== id));
+
+  // Replaces text in the resume, remembering the previous version for undo.
+  // With a reason, the previous text is also kept as an automatic version.
+  const changeResumeText = (newText, reason) => {
+    setResumeUndoStack((stack) => [...stack, { resumeText, acceptedRewrites }]);
+    setResumeText(newText);
+    if (reason) {
+      updateResumeVersions(
+        addVersion(resumeVersions, resumeText, {
+          name: reason,
+          automatic: true,
+        })
+      );
+    }
+  };
+
+  const undoResumeChange = () => {
+    if (resumeUndoStack.length === 0) return;
+    const previous = resumeUndoStack[resumeUndoStack.length - 1];
+    setResumeText(previous.resumeText);
+    // Rewrites the undone change applied leave the report too
+    setAcceptedRewrites(previous.acceptedRewrites);
+    setResumeUndoStack((stack) => stack.slice(0, -1));
+    setAppliedRewrite(null);
+    saveSession(previous);
+  };
+
+  // Selects a range of the resume text and scrolls the textarea to it
+  const locateInResume = (start, end) => {
+    const input = resumeInputRef.current;
+    if (!input) return;
+    input.focus();
+    input.setSelectionRange(start, end);
+  };
+
+  // Puts a rewrite into the resume in place of the bullet it was generated
+  // for, or in place of a previously applied rewrite of the same bullet
+  const applyRewrite = (rewrite) => {
+    const newText = [appliedRewrite, rewriteSource]
+      .filter(Boolean)
+      .map((target) => replaceBullet(resumeText, target, rewrite))
+      .find((text) => text !== null);
+
+    if (!newText) {
+      setErrorMessage(
+        "Couldn't find that bullet point in your resume. Paste it exactly as it appears to apply a rewrite."
+      );
+      return;
+    }
+    setErrorMessage("");
+    changeResumeText(newText, "Before AI rewrite");
+    setAppliedRewrite(rewrite);
+    // A different variant of the same bullet replaces the earlier one
+    recordAcceptedRewrites(
+      newText,
+      [{ original: rewriteSource, rewrite }],
+      appliedRewrite
+    );
+  };
+
+  // Adds rewrites just applied to the resume (now newText) to the report
+  // list and saves them with the session. replacing is a rewrite whose entry
+  // the new one takes over.
+  const recordAcceptedRewrites = (newText, rewrites, replacing = null) => {
+    const next = [
+      ...acceptedRewrites.filter((entry) => entry.rewrite !== replacing),
+      ...rewrites,
+    ];
+    setAcceptedRewrites(next);
+    saveSession({ resumeText: newText, acceptedRewrites: next });
+  };
+
+  const getReport = () =>
+    buildReport({
+      resumeFileName,
+      jdFileName,
+      matchScore,
+      matchedKeywords,
+      missingKeywords,
+      suggestions: parsedSuggestions,
+      suggestionStatuses,
+      acceptedRewrites,
+    });
+
+  // Marks a suggestion card done or dismissed (status null reopens it)
+  const updateSuggestionStatus = (id, status) => {
+    setSuggestionStatuses((previous) => {
+      const next = { ...previous };
+      if (status) next[id] = status;
+      else delete next[id];
+      return next;
+    });
+  };
+
+  // Stops an in-flight AI request started with the given AbortController ref
+  const cancelRequest = (abortRef) => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  // Cards are parsed from the raw response, so they appear while it streams
+  const parsedSuggestions = parseSuggestions(aiSuggestions);
+  const atsIssues = useMemo(
+    () => lintAtsFormatting({ layout: resumeLayout, resumeText }),
+    [resumeLayout, resumeText]
+  );
+  const bulletFindings = useMemo(() => lintBullets(resumeText), [resumeText]);
+  const rewriteVariants = parseRewrites(rewrittenBulletPoint);
+
   return (
     <div className="min-h-screen bg-slate-50 flex flex-col items-center p-4 sm:p-6 lg:p-8 font-sans text-slate-800">
       <style>
@@ -526,7 +839,17 @@ export default function App() {
         </div>
       )}
 
-      <main className="w-full max-w-5xl bg-white shadow-md rounded-2xl p-6 sm:p-8 mb-8">
+      <div className="w-full max-w-7xl flex flex-col lg:flex-row items-start gap-6 mb-8">
+        <SessionHistory
+          sessions={sessions}
+          currentSessionId={currentSessionId}
+          isAvailable={Boolean(db && userId)}
+          onOpen={loadSession}
+          onRename={renameSavedSession}
+          onDelete={deleteSavedSession}
+          onNew={() => loadSession({ id: null })}
+        />
+      <main className="w-full max-w-5xl bg-white shadow-md rounded-2xl p-6 sm:p-8 lg:flex-1 lg:min-w-0">
         <section className="mb-10">
           <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
             <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
@@ -553,7 +876,12 @@ export default function App() {
                   className="file-input"
                   accept=".pdf,.docx,.txt"
                   onChange={(e) =>
-                    handleFileUpload(e, setResumeText, setResumeFileName)
+                    handleFileUpload(
+                      e,
+                      setResumeText,
+                      setResumeFileName,
+                      setResumeLayout
+                    )
                   }
                 />
                 <label
@@ -574,11 +902,16 @@ export default function App() {
               </label>
               <textarea
                 id="resume-input"
+                ref={resumeInputRef}
                 className="shadow-sm appearance-none border border-slate-300 rounded-lg w-full py-3 px-4 text-slate-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 text-area-scroll"
                 rows="10"
                 placeholder="Paste your resume text here..."
                 value={resumeText}
-                onChange={(e) => setResumeText(e.target.value)}
+                onChange={(e) => {
+                  setResumeText(e.target.value);
+                  // The layout describes the uploaded file, not typed text
+                  setResumeLayout(null);
+                }}
               ></textarea>
             </div>
             <div>
@@ -621,6 +954,53 @@ export default function App() {
               ></textarea>
             </div>
           </div>
+          <details className="mt-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+            <summary className="cursor-pointer font-semibold text-slate-700">
+              Resume Outline
+            </summary>
+            <p className="text-slate-600 text-sm mt-3">
+              Your resume broken into sections and entries. Correct anything
+              that was split wrongly, then apply the outline to rewrite your
+              resume text from it.
+            </p>
+            <ResumeOutline
+              resumeText={resumeText}
+              onApply={(text) =>
+                changeResumeText(text, "Before outline edit")
+              }
+            />
+          </details>
+          <details className="mt-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+            <summary className="cursor-pointer font-semibold text-slate-700">
+              Version History ({resumeVersions.length})
+            </summary>
+            <ResumeVersions
+              versions={resumeVersions}
+              resumeText={resumeText}
+              jdText={jdText}
+              synonymGroups={synonymGroups}
+              onSave={saveResumeVersion}
+              onRestore={(version) =>
+                changeResumeText(
+                  version.text,
+                  `Before restoring "${version.name}"`
+                )
+              }
+              onDelete={deleteResumeVersion}
+            />
+          </details>
+          <details className="mt-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+            <summary className="cursor-pointer font-semibold text-slate-700">
+              ATS Formatting Check ({atsIssues.length} issue
+              {atsIssues.length === 1 ? "" : "s"})
+            </summary>
+            <AtsLintReport
+              issues={atsIssues}
+              hasResume={Boolean(resumeText.trim())}
+              hasLayout={Boolean(resumeLayout)}
+              fileName={resumeFileName}
+            />
+          </details>
           <button
             onClick={processKeywords}
             className="mt-8 w-full sm:w-auto bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-8 rounded-lg focus:outline-none focus:ring-4 focus:ring-indigo-300 transition duration-300 ease-in-out transform hover:-translate-y-1 shadow-lg hover:shadow-xl"
@@ -638,63 +1018,32 @@ export default function App() {
             </span>
             Keyword Comparison
           </h2>
-          <div className="grid md:grid-cols-2 gap-6">
-            <div className="bg-green-50 p-5 rounded-xl border border-green-200">
-              <h3 className="text-xl font-semibold text-green-800 mb-3 flex items-center">
-                <svg
-                  className="w-6 h-6 mr-2"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
-                  ></path>
-                </svg>
-                Matched Keywords
-              </h3>
-              {matchedKeywords.length > 0 ? (
-                <p className="text-green-800 leading-relaxed">
-                  {matchedKeywords.join(", ")}
-                </p>
-              ) : (
-                <p className="text-slate-500">
-                  No common keywords found yet. Click 'Analyze Keywords'.
-                </p>
-              )}
-            </div>
-            <div className="bg-red-50 p-5 rounded-xl border border-red-200">
-              <h3 className="text-xl font-semibold text-red-800 mb-3 flex items-center">
-                <svg
-                  className="w-6 h-6 mr-2"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"
-                  ></path>
-                </svg>
-                Missing Keywords (from JD)
-              </h3>
-              {missingKeywords.length > 0 ? (
-                <p className="text-red-800 leading-relaxed">
-                  {missingKeywords.join(", ")}
-                </p>
-              ) : (
-                <p className="text-slate-500">
-                  No missing keywords found yet. Click 'Analyze Keywords'.
-                </p>
-              )}
-            </div>
+          <ScoreCard result={matchScore} />
+          <KeywordResults
+            matched={matchedKeywords}
+            missing={missingKeywords}
+            documents={analyzedDocuments}
+          />
+          <details className="mt-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+            <summary className="cursor-pointer font-semibold text-slate-700">
+              Resume Stats
+            </summary>
+            <ResumeStats
+              resumeText={resumeText}
+              matchedKeywords={matchedKeywords}
+            />
+          </details>
+          <SynonymEditor
+            customSynonyms={customSynonyms}
+            onChange={updateCustomSynonyms}
+          />
+          <div className="mt-6">
+            <ReportExport
+              getReport={getReport}
+              disabled={
+                !matchScore && !aiSuggestions && acceptedRewrites.length === 0
+              }
+            />
           </div>
         </section>
 
@@ -707,8 +1056,13 @@ export default function App() {
             </span>
             AI-Powered Suggestions
           </h2>
+          <LlmSettings settings={llmSettings} onChange={updateLlmSettings} />
+          <PromptSettings
+            settings={promptSettings}
+            onChange={updatePromptSettings}
+          />
           <button
-            onClick={getAiSuggestions}
+            onClick={() => getAiSuggestions()}
             className="w-full sm:w-auto bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-8 rounded-lg focus:outline-none focus:ring-4 focus:ring-purple-300 transition duration-300 ease-in-out transform hover:-translate-y-1 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
             disabled={isLoadingSuggestions}
           >
@@ -716,13 +1070,45 @@ export default function App() {
               ? "Generating Suggestions..."
               : "Get AI Suggestions"}
           </button>
+          {isLoadingSuggestions && (
+            <button
+              onClick={() => cancelRequest(suggestionsAbortRef)}
+              className="mt-3 sm:mt-0 sm:ml-3 w-full sm:w-auto bg-slate-200 hover:bg-slate-300 text-slate-700 font-bold py-3 px-8 rounded-lg"
+            >
+              Cancel
+            </button>
+          )}
+          {suggestionsRetry && (
+            <p className="mt-3 text-yellow-700 text-sm">{suggestionsRetry}</p>
+          )}
 
           {aiSuggestions && (
             <div className="mt-6 bg-slate-50 p-5 rounded-xl border border-slate-200">
-              <h3 className="text-xl font-semibold text-slate-800 mb-4">
-                Suggested Improvements:
-              </h3>
-              <AiSuggestionsDisplay suggestions={aiSuggestions} />
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h3 className="text-xl font-semibold text-slate-800">
+                  Suggested Improvements:
+                </h3>
+                {suggestionsCachedAt && (
+                  <CachedBadge
+                    cachedAt={suggestionsCachedAt}
+                    onRegenerate={() =>
+                      getAiSuggestions({ regenerate: true })
+                    }
+                    disabled={isLoadingSuggestions}
+                  />
+                )}
+              </div>
+              {parsedSuggestions.length > 0 ? (
+                <SuggestionCards
+                  suggestions={parsedSuggestions}
+                  statuses={suggestionStatuses}
+                  onStatusChange={updateSuggestionStatus}
+                />
+              ) : isLoadingSuggestions ? (
+                <p className="text-slate-500">Receiving suggestions...</p>
+              ) : (
+                <AiSuggestionsDisplay suggestions={aiSuggestions} />
+              )}
             </div>
           )}
         </section>
@@ -736,6 +1122,18 @@ export default function App() {
             </span>
             Rewrite a Bullet Point
           </h2>
+          <details className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+            <summary className="cursor-pointer font-semibold text-slate-700">
+              Bullet Point Check ({bulletFindings.length} finding
+              {bulletFindings.length === 1 ? "" : "s"})
+            </summary>
+            <BulletLintReport
+              findings={bulletFindings}
+              hasResume={Boolean(resumeText.trim())}
+              onLocate={locateInResume}
+              onRewrite={setBulletPointToRewrite}
+            />
+          </details>
           <div className="mb-4">
             <label
               htmlFor="rewrite-input"
@@ -752,19 +1150,78 @@ export default function App() {
               onChange={(e) => setBulletPointToRewrite(e.target.value)}
             ></textarea>
           </div>
+          <div className="mb-4 flex items-center gap-2">
+            <label
+              htmlFor="rewrite-count"
+              className="text-slate-700 text-sm font-bold"
+            >
+              Alternatives:
+            </label>
+            <select
+              id="rewrite-count"
+              className="border border-slate-300 rounded-lg py-1 px-2 text-slate-700 bg-white"
+              value={rewriteVariantCount}
+              onChange={(e) => setRewriteVariantCount(Number(e.target.value))}
+            >
+              {REWRITE_VARIANT_COUNTS.map((count) => (
+                <option key={count} value={count}>
+                  {count}
+                </option>
+              ))}
+            </select>
+          </div>
           <button
-            onClick={rewriteBulletPoint}
+            onClick={() => rewriteBulletPoint()}
             className="w-full sm:w-auto bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-8 rounded-lg focus:outline-none focus:ring-4 focus:ring-indigo-300 transition duration-300 ease-in-out transform hover:-translate-y-1 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
             disabled={isLoadingRewrite}
           >
             {isLoadingRewrite ? "Rewriting..." : "Rewrite Bullet Point"}
           </button>
+          {isLoadingRewrite && (
+            <button
+              onClick={() => cancelRequest(rewriteAbortRef)}
+              className="mt-3 sm:mt-0 sm:ml-3 w-full sm:w-auto bg-slate-200 hover:bg-slate-300 text-slate-700 font-bold py-3 px-8 rounded-lg"
+            >
+              Cancel
+            </button>
+          )}
+          {resumeUndoStack.length > 0 && (
+            <button
+              onClick={undoResumeChange}
+              className="mt-3 sm:mt-0 sm:ml-3 w-full sm:w-auto bg-white hover:bg-slate-100 text-slate-700 font-bold py-3 px-8 rounded-lg border border-slate-300"
+            >
+              Undo Resume Change
+            </button>
+          )}
+          {rewriteRetry && (
+            <p className="mt-3 text-yellow-700 text-sm">{rewriteRetry}</p>
+          )}
 
           {rewrittenBulletPoint && (
   <div className="mt-6 bg-white p-6 rounded-xl border border-yellow-300 shadow-sm">
     <h3 className="text-2xl font-semibold text-yellow-600 mb-3">
       ✨ Rewritten Bullet Point Suggestions:
     </h3>
+    {rewriteCachedAt && (
+      <div className="mb-3">
+        <CachedBadge
+          cachedAt={rewriteCachedAt}
+          onRegenerate={() => rewriteBulletPoint({ regenerate: true })}
+          disabled={isLoadingRewrite}
+        />
+      </div>
+    )}
+    {rewriteVariants.length > 0 ? (
+      <RewriteVariants
+        original={rewriteSource}
+        variants={rewriteVariants}
+        jdKeywords={[...matchedKeywords, ...missingKeywords]}
+        applied={appliedRewrite}
+        onApply={applyRewrite}
+      />
+    ) : isLoadingRewrite ? (
+      <p className="text-slate-500">Receiving rewrites...</p>
+    ) : (
     <div className="space-y-2 text-slate-800 leading-normal">
       {rewrittenBulletPoint.split(/\*\*(.*?)\*\*/g).map((chunk, index) => {
         if (index % 2 === 1) {
@@ -804,13 +1261,147 @@ export default function App() {
         }
       })}
     </div>
+    )}
   </div>
 )}
 
 
 
         </section>
+
+        <hr className="my-8 border-slate-200" />
+
+        <section className="mb-10">
+          <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
+            <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
+              5
+            </span>
+            Rewrite Every Bullet
+          </h2>
+          <p className="text-slate-600 mb-6">
+            Rewrite all bullet points in your resume at once, then review each
+            rewrite before it goes into your resume.
+          </p>
+          <BatchRewrite
+            resumeText={resumeText}
+            llmSettings={llmSettings}
+            promptSettings={promptSettings}
+            keywords={missingKeywords.map((keyword) => keyword.term)}
+            onApply={(text, rewrites) => {
+              changeResumeText(text, "Before batch rewrite");
+              recordAcceptedRewrites(text, rewrites);
+            }}
+          />
+        </section>
+
+        <hr className="my-8 border-slate-200" />
+
+        <section className="mb-10">
+          <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
+            <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
+              6
+            </span>
+            Download Your Resume
+          </h2>
+          <p className="text-slate-600 mb-6">
+            Get a clean, single-column DOCX or PDF of your current resume
+            with standard section headings that applicant tracking systems
+            read reliably.
+          </p>
+          <ResumeDownload resumeText={resumeText} />
+        </section>
+
+        <hr className="my-8 border-slate-200" />
+
+        <section className="mb-10">
+          <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
+            <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
+              7
+            </span>
+            Write a Cover Letter
+          </h2>
+          <p className="text-slate-600 mb-6">
+            Draft a cover letter tailored to the job description that cites
+            achievements from your resume. Edit any paragraph in place or
+            regenerate it on its own.
+          </p>
+          <CoverLetterWriter
+            resumeText={resumeText}
+            jdText={jdText}
+            llmSettings={llmSettings}
+            promptSettings={promptSettings}
+          />
+        </section>
+
+        <hr className="my-8 border-slate-200" />
+
+        <section className="mb-10">
+          <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
+            <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
+              8
+            </span>
+            Prepare for the Interview
+          </h2>
+          <p className="text-slate-600 mb-6">
+            Practise the questions this job is likely to bring up: technical
+            questions on your strongest matches, behavioral questions, and
+            questions probing your gaps, each with a STAR answer outline
+            from your own resume.
+          </p>
+          <InterviewPrepGuide
+            resumeText={resumeText}
+            jdText={jdText}
+            matchedKeywords={matchedKeywords}
+            missingKeywords={missingKeywords}
+            suggestions={parsedSuggestions}
+            llmSettings={llmSettings}
+            promptSettings={promptSettings}
+          />
+        </section>
+
+        <hr className="my-8 border-slate-200" />
+
+        <section className="mb-10">
+          <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
+            <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
+              9
+            </span>
+            Compare Multiple Jobs
+          </h2>
+          <p className="text-slate-600 mb-6">
+            Check your resume against every role you're applying to and see
+            which missing terms matter across most of them.
+          </p>
+          <MultiJobComparison
+            resumeText={resumeText}
+            jdText={jdText}
+            jdFileName={jdFileName}
+            synonymGroups={synonymGroups}
+            onUpload={handleFileUpload}
+          />
+        </section>
+
+        <hr className="my-8 border-slate-200" />
+
+        <section>
+          <h2 className="text-3xl font-semibold text-slate-800 mb-2 flex items-center">
+            <span className="bg-indigo-500 text-white rounded-full h-8 w-8 text-lg flex items-center justify-center mr-3">
+              10
+            </span>
+            Recruiter Mode: Rank Candidates
+          </h2>
+          <p className="text-slate-600 mb-6">
+            Hiring? Upload a batch of resumes, or a whole folder, to rank
+            them against the job description from step 1.
+          </p>
+          <RecruiterMode
+            jdText={jdText}
+            synonymGroups={synonymGroups}
+            llmSettings={llmSettings}
+          />
+        </section>
       </main>
+      </div>
 
       <footer className="w-full max-w-5xl text-center mt-8 text-slate-500 text-sm">
         <p>&copy; 2023 AI-Powered Resume Optimizer. All rights reserved.</p>
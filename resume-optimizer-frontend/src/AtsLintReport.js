@@ -0,0 +1,59 @@
+import React from "react";
+
+const SEVERITY_CLASSES = {
+  high: "bg-red-100 text-red-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-slate-200 text-slate-700",
+};
+
+// Formatting issues from atsLint.js. Layout issues come from the uploaded
+// file (fileName); the rest are checked against the current resume text.
+const AtsLintReport = ({ issues, hasResume, hasLayout, fileName }) => {
+  if (!hasResume && !hasLayout) {
+    return (
+      <p className="text-slate-500 mt-3">
+        Add your resume above to check its formatting.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-3">
+      <p className="text-slate-600 text-sm mb-3">
+        {hasLayout
+          ? `Layout checked from ${fileName}; headings and contact details from the current resume text.`
+          : "Upload your resume as a PDF or DOCX to also check its layout (columns, tables, headers, images and fonts)."}
+      </p>
+      {issues.length === 0 ? (
+        <p className="text-green-700 font-semibold">
+          No formatting issues found.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {issues.map((issue) => (
+            <li
+              key={issue.id}
+              className="bg-white p-3 rounded-lg border border-slate-200"
+            >
+              <div className="flex flex-wrap items-center gap-2 mb-1">
+                <span
+                  className={`${
+                    SEVERITY_CLASSES[issue.severity]
+                  } text-xs font-semibold px-2 py-1 rounded-full capitalize`}
+                >
+                  {issue.severity}
+                </span>
+                <span className="font-semibold text-slate-800">
+                  {issue.title}
+                </span>
+              </div>
+              <p className="text-sm text-slate-700">{issue.detail}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AtsLintReport;
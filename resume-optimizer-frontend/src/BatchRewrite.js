@@ -0,0 +1,405 @@
+import React, { useMemo, useRef, useState } from "react";
+import { TRUNCATED_NOTICE } from "./aiErrors";
+import {
+  applyBulletReplacements,
+  detectBullets,
+  stripBulletMarker,
+} from "./bullets";
+import { smallButtonClassName } from "./buttonStyles";
+import DiffView from "./DiffView";
+import { partialStringValue } from "./jsonStream";
+import { generateText, isAbortError } from "./llm";
+import { buildRewritePrompt, parseRewrites, replaceBullet } from "./rewrite";
+import { runQueue } from "./taskQueue";
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  running: "Rewriting...",
+  done: "Done",
+  error: "Failed",
+  skipped: "Cancelled",
+};
+
+// Rewrites every (or every selected) bullet in the resume through a
+// rate-limited queue, then lets the user accept or reject each rewrite and
+// writes the accepted ones back into the resume. onApply receives the new
+// text and the applied rewrites as [{ original, rewrite }].
+const BatchRewrite = ({
+  resumeText,
+  llmSettings,
+  promptSettings,
+  keywords,
+  onApply,
+}) => {
+  const bullets = useMemo(() => detectBullets(resumeText), [resumeText]);
+  const [deselected, setDeselected] = useState(new Set());
+  const [concurrency, setConcurrency] = useState(2);
+  const [requestsPerMinute, setRequestsPerMinute] = useState(15);
+  // { resumeText, rows: [{ bullet, status, rewrite, error, decision }] }
+  const [batch, setBatch] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [notice, setNotice] = useState("");
+  const abortRef = useRef(null);
+
+  const selectedBullets = bullets.filter((b) => !deselected.has(b.text));
+
+  const toggleBullet = (bullet) => {
+    setDeselected((previous) => {
+      const next = new Set(previous);
+      if (next.has(bullet.text)) next.delete(bullet.text);
+      else next.add(bullet.text);
+      return next;
+    });
+  };
+
+  const updateRow = (index, changes) =>
+    setBatch((previous) => ({
+      ...previous,
+      rows: previous.rows.map((row, i) =>
+        i === index ? { ...row, ...changes } : row
+      ),
+    }));
+
+  const runBatch = async () => {
+    if (selectedBullets.length === 0) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setNotice("");
+    setIsRunning(true);
+    setBatch({
+      resumeText,
+      rows: selectedBullets.map((bullet) => ({
+        bullet,
+        status: "queued",
+        rewrite: "",
+        error: "",
+        notice: "",
+        decision: null,
+      })),
+    });
+
+    const jobs = selectedBullets.map((bullet) => async () => {
+      const prompt = buildRewritePrompt(bullet.text, {
+        count: 1,
+        keywords,
+        promptSettings,
+      });
+      let truncated = false;
+      const text = await generateText(prompt, llmSettings, {
+        task: "rewrite",
+        json: true,
+        signal: controller.signal,
+        onTruncated: () => {
+          truncated = true;
+        },
+      });
+      // Fall back to the raw reply if the model ignored the JSON format
+      const rewrite =
+        parseRewrites(text)[0] ||
+        (truncated && partialStringValue(text, "text")) ||
+        stripBulletMarker(text.trim());
+      return { rewrite, truncated };
+    });
+
+    await runQueue(jobs, {
+      concurrency,
+      requestsPerMinute,
+      signal: controller.signal,
+      onStart: (index) => updateRow(index, { status: "running" }),
+      onSettled: (index, { value, error }) => {
+        if (error) {
+          updateRow(index, {
+            status: isAbortError(error) ? "skipped" : "error",
+            error: isAbortError(error) ? "" : error.message,
+          });
+        } else {
+          updateRow(index, {
+            status: "done",
+            rewrite: value.rewrite,
+            notice: value.truncated ? TRUNCATED_NOTICE : "",
+          });
+        }
+      },
+    });
+
+    // Anything the queue never started was cancelled
+    setBatch((previous) => ({
+      ...previous,
+      rows: previous.rows.map((row) =>
+        row.status === "queued" ? { ...row, status: "skipped" } : row
+      ),
+    }));
+    abortRef.current = null;
+    setIsRunning(false);
+  };
+
+  const cancelBatch = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const setAllDecisions = (decision) =>
+    setBatch((previous) => ({
+      ...previous,
+      rows: previous.rows.map((row) =>
+        row.status === "done" ? { ...row, decision } : row
+      ),
+    }));
+
+  const acceptedRows = batch
+    ? batch.rows.filter((row) => row.decision === "accepted")
+    : [];
+
+  const applyAccepted = () => {
+    let newText;
+    let applied = acceptedRows;
+    if (resumeText === batch.resumeText) {
+      newText = applyBulletReplacements(
+        resumeText,
+        acceptedRows.map((row) => ({ bullet: row.bullet, text: row.rewrite }))
+      );
+    } else {
+      // The resume was edited since the batch ran; find bullets by text
+      applied = [];
+      newText = acceptedRows.reduce((text, row) => {
+        const replaced = replaceBullet(text, row.bullet.text, row.rewrite);
+        if (replaced === null) return text;
+        applied.push(row);
+        return replaced;
+      }, resumeText);
+    }
+    const missed = acceptedRows.length - applied.length;
+
+    onApply(
+      newText,
+      applied.map((row) => ({
+        original: row.bullet.text,
+        rewrite: row.rewrite,
+      }))
+    );
+    setBatch(null);
+    setNotice(
+      missed > 0
+        ? `Applied ${acceptedRows.length - missed} rewrites. ${missed} bullet(s) were edited since the batch ran and were left unchanged.`
+        : `Applied ${acceptedRows.length} rewrites to your resume.`
+    );
+  };
+
+  if (bullets.length === 0) {
+    return (
+      <p className="text-slate-500">
+        No bullet points found yet. Bullets are lines starting with •, -, * or a
+        number.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      {!batch && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+            <span className="text-slate-700 font-semibold">
+              {selectedBullets.length} of {bullets.length} bullets selected
+            </span>
+            <button
+              onClick={() => setDeselected(new Set())}
+              className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+            >
+              Select All
+            </button>
+            <button
+              onClick={() => setDeselected(new Set(bullets.map((b) => b.text)))}
+              className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+            >
+              Select None
+            </button>
+          </div>
+          <ul className="mb-4 space-y-1 max-h-64 overflow-y-auto border border-slate-200 rounded-lg p-3 bg-white">
+            {bullets.map((bullet) => (
+              <li key={bullet.id}>
+                <label className="flex items-start gap-2 text-slate-700">
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={!deselected.has(bullet.text)}
+                    onChange={() => toggleBullet(bullet)}
+                  />
+                  <span>{bullet.text}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <label htmlFor="batch-concurrency" className="text-slate-700 font-bold">
+          Parallel requests:
+        </label>
+        <select
+          id="batch-concurrency"
+          className="border border-slate-300 rounded-lg py-1 px-2 text-slate-700 bg-white"
+          value={concurrency}
+          disabled={isRunning}
+          onChange={(e) => setConcurrency(Number(e.target.value))}
+        >
+          {CONCURRENCY_OPTIONS.map((count) => (
+            <option key={count} value={count}>
+              {count}
+            </option>
+          ))}
+        </select>
+        <label htmlFor="batch-rate" className="text-slate-700 font-bold">
+          Max requests per minute:
+        </label>
+        <input
+          id="batch-rate"
+          type="number"
+          min="1"
+          className="w-20 border border-slate-300 rounded-lg py-1 px-2 text-slate-700"
+          value={requestsPerMinute}
+          disabled={isRunning}
+          onChange={(e) =>
+            setRequestsPerMinute(Math.max(1, Number(e.target.value) || 1))
+          }
+        />
+      </div>
+
+      <button
+        onClick={runBatch}
+        disabled={isRunning || selectedBullets.length === 0}
+        className="w-full sm:w-auto bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-8 rounded-lg focus:outline-none focus:ring-4 focus:ring-indigo-300 transition duration-300 ease-in-out transform hover:-translate-y-1 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isRunning
+          ? "Rewriting Bullets..."
+          : `Rewrite ${selectedBullets.length} Bullet Points`}
+      </button>
+      {isRunning && (
+        <button
+          onClick={cancelBatch}
+          className="mt-3 sm:mt-0 sm:ml-3 w-full sm:w-auto bg-slate-200 hover:bg-slate-300 text-slate-700 font-bold py-3 px-8 rounded-lg"
+        >
+          Cancel
+        </button>
+      )}
+
+      {notice && <p className="mt-4 text-green-700">{notice}</p>}
+
+      {batch && (
+        <div className="mt-6">
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <button
+              onClick={() => setAllDecisions("accepted")}
+              disabled={isRunning}
+              className={`${smallButtonClassName} bg-green-100 hover:bg-green-200 text-green-800`}
+            >
+              Accept All
+            </button>
+            <button
+              onClick={() => setAllDecisions("rejected")}
+              disabled={isRunning}
+              className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+            >
+              Reject All
+            </button>
+            <button
+              onClick={applyAccepted}
+              disabled={isRunning || acceptedRows.length === 0}
+              className={`${smallButtonClassName} ml-auto bg-indigo-600 hover:bg-indigo-700 text-white`}
+            >
+              Apply {acceptedRows.length} Accepted
+            </button>
+            <button
+              onClick={() => setBatch(null)}
+              disabled={isRunning}
+              className={`${smallButtonClassName} bg-white hover:bg-slate-100 text-slate-700 border border-slate-300`}
+            >
+              Discard
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left border border-slate-200">
+              <thead className="bg-slate-100 text-slate-700">
+                <tr>
+                  <th className="p-2 w-5/12">Original</th>
+                  <th className="p-2 w-5/12">Rewritten</th>
+                  <th className="p-2">Decision</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batch.rows.map((row, index) => (
+                  <tr
+                    key={row.bullet.id}
+                    className={`border-t border-slate-200 align-top ${
+                      row.decision === "accepted"
+                        ? "bg-green-50"
+                        : row.decision === "rejected"
+                          ? "bg-slate-50 opacity-60"
+                          : ""
+                    }`}
+                  >
+                    <td className="p-2 text-slate-700">{row.bullet.text}</td>
+                    <td className="p-2">
+                      {row.status === "done" ? (
+                        <>
+                          <DiffView
+                            before={row.bullet.text}
+                            after={row.rewrite}
+                          />
+                          {row.notice && (
+                            <p className="text-amber-700 text-xs mt-1">
+                              {row.notice}
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <span
+                          className={
+                            row.status === "error"
+                              ? "text-red-700"
+                              : "text-slate-500"
+                          }
+                        >
+                          {STATUS_LABELS[row.status]}
+                          {row.error && `: ${row.error}`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-2 whitespace-nowrap">
+                      {row.status === "done" && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() =>
+                              updateRow(index, { decision: "accepted" })
+                            }
+                            aria-pressed={row.decision === "accepted"}
+                            className={`${smallButtonClassName} bg-green-100 hover:bg-green-200 text-green-800`}
+                          >
+                            Accept
+                          </button>
+                          <button
+                            onClick={() =>
+                              updateRow(index, { decision: "rejected" })
+                            }
+                            aria-pressed={row.decision === "rejected"}
+                            className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchRewrite;
@@ -0,0 +1,158 @@
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import BatchRewrite from "./BatchRewrite";
+import { defaultSettingsFor } from "./llm";
+
+const RESUME = `Experience
+• Worked on data pipelines
+• Helped with cloud costs
+• Did code reviews`;
+
+const BULLETS = [
+  "Worked on data pipelines",
+  "Helped with cloud costs",
+  "Did code reviews",
+];
+
+// The backend answers each rewrite prompt with "Improved: <bullet>". Bullets
+// listed in hang only answer by failing once the request is cancelled.
+const mockBackend = (hang = []) => {
+  global.fetch = jest.fn((url, { body, signal }) => {
+    const bullet = BULLETS.find((text) =>
+      JSON.parse(body).prompt.includes(text)
+    );
+    if (hang.includes(bullet)) {
+      return new Promise((resolve, reject) =>
+        signal.addEventListener("abort", () => {
+          const error = new Error("The request was cancelled.");
+          error.name = "AbortError";
+          reject(error);
+        })
+      );
+    }
+    const text = JSON.stringify({
+      rewrites: [{ text: `Improved: ${bullet}` }],
+    });
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () =>
+        Promise.resolve({ candidates: [{ content: { parts: [{ text }] } }] }),
+    });
+  });
+};
+
+const renderBatch = (resumeText = RESUME) => {
+  const onApply = jest.fn();
+  const props = { llmSettings: defaultSettingsFor("gemini"), keywords: [] };
+  const view = render(
+    <BatchRewrite {...props} resumeText={resumeText} onApply={onApply} />
+  );
+  // Keep the rate limit from spacing the requests out
+  fireEvent.change(screen.getByLabelText("Max requests per minute:"), {
+    target: { value: "60000" },
+  });
+  const rerender = (text) =>
+    view.rerender(
+      <BatchRewrite {...props} resumeText={text} onApply={onApply} />
+    );
+  return { onApply, rerender };
+};
+
+const rowFor = (bullet) =>
+  screen
+    .getAllByRole("row")
+    .find((row) => within(row).queryByText(bullet, { selector: "td" }));
+
+const runAndDecide = async () => {
+  fireEvent.click(screen.getByText("Rewrite 3 Bullet Points"));
+  await screen.findByText("Apply 0 Accepted");
+  expect(await screen.findAllByText("Accept")).toHaveLength(3);
+
+  fireEvent.click(within(rowFor(BULLETS[0])).getByText("Accept"));
+  fireEvent.click(within(rowFor(BULLETS[2])).getByText("Accept"));
+  fireEvent.click(within(rowFor(BULLETS[1])).getByText("Reject"));
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("applies the accepted rewrites and leaves rejected bullets alone", async () => {
+  mockBackend();
+  const { onApply } = renderBatch();
+
+  await runAndDecide();
+  expect(within(rowFor(BULLETS[1])).getByText("Reject")).toHaveAttribute(
+    "aria-pressed",
+    "true"
+  );
+  fireEvent.click(screen.getByText("Apply 2 Accepted"));
+
+  expect(onApply).toHaveBeenCalledWith(
+    `Experience
+• Improved: Worked on data pipelines
+• Helped with cloud costs
+• Improved: Did code reviews`,
+    [
+      {
+        original: "Worked on data pipelines",
+        rewrite: "Improved: Worked on data pipelines",
+      },
+      { original: "Did code reviews", rewrite: "Improved: Did code reviews" },
+    ]
+  );
+  expect(
+    screen.getByText("Applied 2 rewrites to your resume.")
+  ).toBeInTheDocument();
+});
+
+test("finds bullets by text when the resume changed after the batch ran", async () => {
+  mockBackend();
+  const { onApply, rerender } = renderBatch();
+
+  await runAndDecide();
+  // A line was added above the bullets and one accepted bullet was edited
+  rerender(`Jane Doe
+Experience
+• Worked on data pipelines
+• Helped with cloud costs
+• Ran code reviews for 4 teams`);
+  fireEvent.click(screen.getByText("Apply 2 Accepted"));
+
+  expect(onApply).toHaveBeenCalledWith(
+    `Jane Doe
+Experience
+• Improved: Worked on data pipelines
+• Helped with cloud costs
+• Ran code reviews for 4 teams`,
+    [
+      {
+        original: "Worked on data pipelines",
+        rewrite: "Improved: Worked on data pipelines",
+      },
+    ]
+  );
+  expect(
+    screen.getByText(/Applied 1 rewrites\. 1 bullet\(s\) were edited/)
+  ).toBeInTheDocument();
+});
+
+test("cancelling a batch keeps finished rewrites and skips the rest", async () => {
+  mockBackend([BULLETS[1]]);
+  renderBatch();
+  fireEvent.change(screen.getByLabelText("Parallel requests:"), {
+    target: { value: "1" },
+  });
+
+  fireEvent.click(screen.getByText("Rewrite 3 Bullet Points"));
+  await within(rowFor(BULLETS[1])).findByText("Rewriting...");
+  fireEvent.click(screen.getByText("Cancel"));
+
+  expect(
+    await within(rowFor(BULLETS[1])).findByText("Cancelled")
+  ).toBeInTheDocument();
+  expect(within(rowFor(BULLETS[2])).getByText("Cancelled")).toBeInTheDocument();
+  expect(within(rowFor(BULLETS[0])).getByText("Accept")).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(screen.getByText("Accept All")).toBeEnabled();
+});
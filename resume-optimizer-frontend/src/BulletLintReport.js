@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import { BULLET_RULES } from "./bulletLint";
+import { smallButtonClassName } from "./buttonStyles";
+
+const SEVERITY_CLASSES = {
+  high: "bg-red-100 text-red-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-slate-200 text-slate-700",
+};
+
+// Bullet text with the words a finding points at marked
+const MarkedText = ({ text, matches }) => {
+  const ranges = matches
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start)
+    .filter(
+      (range, index, all) => index === 0 || range.start >= all[index - 1].end
+    );
+  const parts = [];
+  let position = 0;
+  ranges.forEach((range) => {
+    parts.push(text.slice(position, range.start));
+    parts.push(
+      <mark key={range.start} className="bg-yellow-200 rounded px-0.5">
+        {text.slice(range.start, range.end)}
+      </mark>
+    );
+    position = range.end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+// Findings from lintBullets, grouped by bullet. onLocate selects the bullet
+// in the resume text; onRewrite sends it to the AI rewriter.
+const BulletLintReport = ({ findings, hasResume, onLocate, onRewrite }) => {
+  const [rule, setRule] = useState("all");
+
+  const bullets = [];
+  findings
+    .filter((finding) => rule === "all" || finding.rule === rule)
+    .forEach((finding) => {
+      const last = bullets[bullets.length - 1];
+      if (last && last.bulletId === finding.bulletId) {
+        last.findings.push(finding);
+      } else {
+        bullets.push({ ...finding, findings: [finding] });
+      }
+    });
+
+  if (findings.length === 0) {
+    return (
+      <p className="text-slate-600 mt-3">
+        {hasResume
+          ? "No bullet issues found."
+          : "Add your resume in step 1 to check its bullet points."}
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <p className="text-sm text-slate-600">
+          {findings.length} finding{findings.length === 1 ? "" : "s"} in{" "}
+          {new Set(findings.map((finding) => finding.bulletId)).size} bullet
+          point(s)
+        </p>
+        <select
+          aria-label="Filter by check"
+          className="border border-slate-300 rounded-lg py-1 px-2 text-sm text-slate-700 bg-white"
+          value={rule}
+          onChange={(e) => setRule(e.target.value)}
+        >
+          <option value="all">All checks</option>
+          {Object.entries(BULLET_RULES).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ul className="space-y-3">
+        {bullets.map((bullet) => (
+          <li
+            key={bullet.bulletId}
+            className="bg-white p-4 rounded-lg border border-slate-200"
+          >
+            <p className="text-slate-800 mb-2">
+              <span className="text-xs font-semibold text-slate-500 mr-2">
+                Line {bullet.line}
+              </span>
+              <MarkedText
+                text={bullet.text}
+                matches={bullet.findings.map((finding) => finding.match)}
+              />
+            </p>
+            <ul className="space-y-1 mb-3">
+              {bullet.findings.map((finding) => (
+                <li key={finding.rule} className="text-sm text-slate-700">
+                  <span
+                    className={`${
+                      SEVERITY_CLASSES[finding.severity]
+                    } text-xs font-semibold px-2 py-0.5 rounded-full mr-2`}
+                  >
+                    {BULLET_RULES[finding.rule]}
+                  </span>
+                  {finding.message}{" "}
+                  <span className="text-slate-600">{finding.suggestion}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => onLocate(bullet.start, bullet.end)}
+                className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+              >
+                Show in Resume
+              </button>
+              <button
+                onClick={() => onRewrite(bullet.text)}
+                className={`${smallButtonClassName} bg-indigo-100 hover:bg-indigo-200 text-indigo-800`}
+              >
+                Rewrite This Bullet
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BulletLintReport;
@@ -0,0 +1,40 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { lintBullets } from "./bulletLint";
+import BulletLintReport from "./BulletLintReport";
+
+const RESUME = `Experience
+• Worked on 2 services
+• We shipped features`;
+
+const renderReport = (props = {}) =>
+  render(
+    <BulletLintReport
+      findings={lintBullets(RESUME)}
+      hasResume
+      onLocate={jest.fn()}
+      onRewrite={jest.fn()}
+      {...props}
+    />
+  );
+
+test("locates and rewrites a flagged bullet", () => {
+  const onLocate = jest.fn();
+  const onRewrite = jest.fn();
+  renderReport({ onLocate, onRewrite });
+
+  fireEvent.click(screen.getAllByText("Show in Resume")[0]);
+  expect(onLocate).toHaveBeenCalledWith(13, 33);
+  fireEvent.click(screen.getAllByText("Rewrite This Bullet")[1]);
+  expect(onRewrite).toHaveBeenCalledWith("We shipped features");
+});
+
+test("filters findings by check", () => {
+  renderReport();
+  expect(screen.getAllByText("Show in Resume")).toHaveLength(2);
+
+  fireEvent.change(screen.getByLabelText("Filter by check"), {
+    target: { value: "pronoun" },
+  });
+  expect(screen.getAllByText("Show in Resume")).toHaveLength(1);
+  expect(screen.getByText(/Uses the pronoun "We"/)).toBeInTheDocument();
+});
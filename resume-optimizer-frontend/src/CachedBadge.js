@@ -0,0 +1,26 @@
+import React from "react";
+import { smallButtonClassName } from "./buttonStyles";
+
+// Marks an AI result that came from the response cache (see aiCache.js).
+// onRegenerate, when given, adds a button to ask the model again.
+const CachedBadge = ({ cachedAt, onRegenerate, disabled = false }) => (
+  <span className="inline-flex items-center gap-2">
+    <span
+      title={`Saved ${new Date(cachedAt).toLocaleString()}`}
+      className="bg-slate-200 text-slate-700 text-xs font-semibold px-2 py-0.5 rounded-full"
+    >
+      Cached
+    </span>
+    {onRegenerate && (
+      <button
+        onClick={onRegenerate}
+        disabled={disabled}
+        className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+      >
+        Regenerate
+      </button>
+    )}
+  </span>
+);
+
+export default CachedBadge;
@@ -0,0 +1,21 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import CachedBadge from "./CachedBadge";
+
+test("marks a cached result and offers to regenerate it", () => {
+  const onRegenerate = jest.fn();
+  render(<CachedBadge cachedAt={Date.now()} onRegenerate={onRegenerate} />);
+
+  expect(screen.getByText("Cached")).toHaveAttribute(
+    "title",
+    expect.stringMatching(/^Saved /)
+  );
+  fireEvent.click(screen.getByText("Regenerate"));
+  expect(onRegenerate).toHaveBeenCalled();
+});
+
+test("only shows the badge without a regenerate handler", () => {
+  render(<CachedBadge cachedAt={Date.now()} />);
+
+  expect(screen.getByText("Cached")).toBeInTheDocument();
+  expect(screen.queryByText("Regenerate")).not.toBeInTheDocument();
+});
@@ -0,0 +1,355 @@
+import React, { useMemo, useRef, useState } from "react";
+import { TRUNCATED_NOTICE } from "./aiErrors";
+import { smallButtonClassName } from "./buttonStyles";
+import CachedBadge from "./CachedBadge";
+import {
+  buildCoverLetterPrompt,
+  buildParagraphPrompt,
+  COVER_LETTER_LENGTHS,
+  coverLetterFileBase,
+  coverLetterText,
+  coverLetterToDocx,
+  GREETING,
+  parseCoverLetter,
+  resumeAchievements,
+  SIGN_OFF,
+} from "./coverLetter";
+import { downloadFile } from "./download";
+import { partialStringValue } from "./jsonStream";
+import { generateText, isAbortError, streamText } from "./llm";
+import { presetById, TONE_PRESETS } from "./promptTemplates";
+import { parseResume } from "./resumeParser";
+
+const inputClassName =
+  "shadow-sm appearance-none border border-slate-300 rounded-lg w-full py-2 px-3 text-slate-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const DOCX_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Drafts a cover letter from the resume and job description. Each paragraph
+// can be edited in place or regenerated on its own, and lists the resume
+// achievements (bullet points) it cites.
+const CoverLetterWriter = ({
+  resumeText,
+  jdText,
+  llmSettings,
+  promptSettings,
+}) => {
+  const [length, setLength] = useState("standard");
+  // The tone picked here, as { id, settingsTone }. It applies until the tone
+  // in Prompt Settings changes from settingsTone; then that tone is used.
+  const [toneChoice, setToneChoice] = useState(null);
+  const tone =
+    toneChoice && toneChoice.settingsTone === promptSettings.tone
+      ? toneChoice.id
+      : presetById("tone", promptSettings.tone).id;
+  const [paragraphs, setParagraphs] = useState([]);
+  const [isGenerating, setIsGenerating] = useState(false);
+  // When the shown draft was cached, or null
+  const [cachedAt, setCachedAt] = useState(null);
+  // Index of the paragraph being regenerated, or null
+  const [regenerating, setRegenerating] = useState(null);
+  const [error, setError] = useState("");
+  // Shown while a failed request waits to be retried
+  const [retryNotice, setRetryNotice] = useState("");
+  const abortRef = useRef(null);
+
+  const achievements = useMemo(
+    () => resumeAchievements(resumeText),
+    [resumeText]
+  );
+  const achievementText = (id) =>
+    (achievements.find((achievement) => achievement.id === id) || {}).text;
+  const name = useMemo(
+    () => parseResume(resumeText).contact.name,
+    [resumeText]
+  );
+  const isBusy = isGenerating || regenerating !== null;
+
+  const generate = async () => {
+    // A new draft asks the model again rather than reusing the cached one
+    const regenerate = paragraphs.length > 0;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsGenerating(true);
+    setError("");
+    setParagraphs([]);
+    setCachedAt(null);
+    try {
+      await streamText(
+        buildCoverLetterPrompt({
+          resumeText,
+          jdText,
+          achievements,
+          length,
+          tone,
+          promptSettings,
+        }),
+        llmSettings,
+        {
+          task: "coverLetter",
+          json: true,
+          signal: controller.signal,
+          regenerate,
+          onProgress: (text) => {
+            setParagraphs(parseCoverLetter(text, achievements));
+            setRetryNotice("");
+          },
+          onCacheHit: (cached) => setCachedAt(cached.createdAt),
+          onRetry: ({ message }) => setRetryNotice(message),
+        }
+      );
+    } catch (e) {
+      // A cancelled letter keeps the paragraphs that arrived
+      if (!isAbortError(e)) {
+        console.error("Error writing cover letter:", e);
+        setError(`Error writing cover letter: ${e.message}`);
+      }
+    } finally {
+      abortRef.current = null;
+      setIsGenerating(false);
+      setRetryNotice("");
+    }
+  };
+
+  const regenerate = async (index) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRegenerating(index);
+    setError("");
+    let truncated = false;
+    try {
+      const text = await generateText(
+        buildParagraphPrompt({
+          paragraphs,
+          index,
+          jdText,
+          achievements,
+          tone,
+          promptSettings,
+        }),
+        llmSettings,
+        {
+          task: "coverLetterParagraph",
+          json: true,
+          signal: controller.signal,
+          regenerate: true,
+          onRetry: ({ message }) => setRetryNotice(message),
+          onTruncated: () => {
+            truncated = true;
+          },
+        }
+      );
+      // A truncated reply can stop partway through its only paragraph
+      const partialText = truncated && partialStringValue(text, "text");
+      const [paragraph] = [
+        ...parseCoverLetter(text, achievements),
+        ...(partialText
+          ? [{ text: partialText.trim(), achievements: [] }]
+          : []),
+      ];
+      if (!paragraph) throw new Error("The response had no paragraph.");
+      setParagraphs((current) =>
+        current.map((existing, i) => (i === index ? paragraph : existing))
+      );
+      if (truncated) {
+        setError(`Paragraph ${index + 1}: ${TRUNCATED_NOTICE}`);
+      }
+    } catch (e) {
+      if (!isAbortError(e)) {
+        console.error("Error rewriting paragraph:", e);
+        setError(`Error rewriting paragraph ${index + 1}: ${e.message}`);
+      }
+    } finally {
+      abortRef.current = null;
+      setRegenerating(null);
+      setRetryNotice("");
+    }
+  };
+
+  const editParagraph = (index, text) =>
+    setParagraphs((current) =>
+      current.map((paragraph, i) =>
+        i === index ? { ...paragraph, text } : paragraph
+      )
+    );
+
+  const downloadDocx = async () => {
+    try {
+      downloadFile(
+        `${coverLetterFileBase(name)}.docx`,
+        await coverLetterToDocx(paragraphs, name),
+        DOCX_TYPE
+      );
+    } catch (e) {
+      console.error("Error building cover letter file:", e);
+      setError(`Couldn't build the DOCX: ${e.message}`);
+    }
+  };
+
+  if (!resumeText.trim() || !jdText.trim()) {
+    return (
+      <p className="text-slate-500">
+        Add your resume and the job description in step 1 to write a cover
+        letter.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label
+            htmlFor="cover-letter-length"
+            className="block text-slate-700 text-sm font-bold mb-2"
+          >
+            Length:
+          </label>
+          <select
+            id="cover-letter-length"
+            className={inputClassName}
+            value={length}
+            onChange={(e) => setLength(e.target.value)}
+          >
+            {COVER_LETTER_LENGTHS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label} ({option.paragraphs} paragraphs,{" "}
+                {option.wordRange} words)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label
+            htmlFor="cover-letter-tone"
+            className="block text-slate-700 text-sm font-bold mb-2"
+          >
+            Tone:
+          </label>
+          <select
+            id="cover-letter-tone"
+            className={inputClassName}
+            value={tone}
+            onChange={(e) =>
+              setToneChoice({
+                id: e.target.value,
+                settingsTone: promptSettings.tone,
+              })
+            }
+          >
+            {TONE_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={generate}
+          disabled={isBusy}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isGenerating
+            ? "Writing..."
+            : paragraphs.length > 0
+              ? "Write a New Draft"
+              : "Write Cover Letter"}
+        </button>
+        {isBusy && (
+          <button
+            onClick={() => abortRef.current && abortRef.current.abort()}
+            className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+          >
+            Stop
+          </button>
+        )}
+        {cachedAt && <CachedBadge cachedAt={cachedAt} />}
+        <span className="text-sm text-slate-600">
+          Draws on {achievements.length} achievement(s) from your resume's
+          bullet points.
+        </span>
+      </div>
+      {retryNotice && (
+        <p className="mt-3 text-yellow-700 text-sm">{retryNotice}</p>
+      )}
+      {error && <p className="mt-3 text-red-700">{error}</p>}
+
+      {paragraphs.length > 0 && (
+        <div className="mt-6 bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+          <p className="text-slate-800 mb-4">{GREETING}</p>
+          <div className="space-y-5">
+            {paragraphs.map((paragraph, index) => (
+              <div key={index}>
+                <textarea
+                  aria-label={`Paragraph ${index + 1}`}
+                  className={`${inputClassName} leading-relaxed`}
+                  rows={Math.max(3, Math.ceil(paragraph.text.length / 90))}
+                  value={paragraph.text}
+                  disabled={regenerating === index}
+                  onChange={(e) => editParagraph(index, e.target.value)}
+                ></textarea>
+                <div className="flex flex-wrap items-start justify-between gap-3 mt-1">
+                  {paragraph.achievements.length > 0 ? (
+                    <ul className="text-xs text-slate-600 space-y-0.5">
+                      {paragraph.achievements.map((id) => (
+                        <li key={id}>
+                          <span className="font-semibold text-indigo-700">
+                            [{id}]
+                          </span>{" "}
+                          {achievementText(id)}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-xs text-slate-500">
+                      No resume achievements cited.
+                    </p>
+                  )}
+                  <button
+                    onClick={() => regenerate(index)}
+                    disabled={isBusy}
+                    className={`${smallButtonClassName} bg-indigo-100 hover:bg-indigo-200 text-indigo-800 flex-shrink-0`}
+                  >
+                    {regenerating === index
+                      ? "Rewriting..."
+                      : "Regenerate Paragraph"}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <p className="text-slate-800 mt-4 whitespace-pre-line">
+            {[SIGN_OFF, name].filter(Boolean).join("\n")}
+          </p>
+          <div className="flex flex-wrap gap-2 mt-6">
+            <button
+              onClick={downloadDocx}
+              disabled={isBusy}
+              className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+            >
+              Download DOCX
+            </button>
+            <button
+              onClick={() =>
+                downloadFile(
+                  `${coverLetterFileBase(name)}.txt`,
+                  coverLetterText(paragraphs, name)
+                )
+              }
+              disabled={isBusy}
+              className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+            >
+              Download TXT
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoverLetterWriter;
@@ -0,0 +1,78 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import CoverLetterWriter from "./CoverLetterWriter";
+import { DEFAULT_PROMPT_SETTINGS } from "./promptTemplates";
+
+const RESUME = `Jane Doe
+EXPERIENCE
+• Built 12 data pipelines
+• Cut cloud costs by 30%`;
+
+test("writes a letter, cites achievements and regenerates a paragraph", async () => {
+  render(
+    <CoverLetterWriter
+      resumeText={RESUME}
+      jdText="Data Engineer at Acme"
+      llmSettings={{ provider: "mock" }}
+      promptSettings={DEFAULT_PROMPT_SETTINGS}
+    />
+  );
+
+  fireEvent.change(screen.getByLabelText("Length:"), {
+    target: { value: "short" },
+  });
+  fireEvent.click(screen.getByText("Write Cover Letter"));
+
+  const third = await screen.findByLabelText(
+    "Paragraph 3",
+    {},
+    { timeout: 3000 }
+  );
+  expect(screen.getByLabelText("Paragraph 1")).toHaveValue(
+    "Paragraph 1: in my recent work I built 12 data pipelines, and I would bring the same focus to this role."
+  );
+  expect(screen.getAllByText("Cut cloud costs by 30%")).toHaveLength(1);
+  expect(
+    await screen.findByText("Write a New Draft", {}, { timeout: 3000 })
+  ).toBeEnabled();
+
+  fireEvent.change(third, { target: { value: "My own closing." } });
+  expect(third).toHaveValue("My own closing.");
+
+  fireEvent.click(screen.getAllByText("Regenerate Paragraph")[1]);
+  expect(
+    await screen.findByDisplayValue(
+      "Reworked paragraph 2, now more specific to the role."
+    )
+  ).toBeInTheDocument();
+  expect(third).toHaveValue("My own closing.");
+});
+
+test("follows the Prompt Settings tone unless a tone is picked here", () => {
+  const props = {
+    resumeText: RESUME,
+    jdText: "Data Engineer at Acme",
+    llmSettings: { provider: "mock" },
+  };
+  const { rerender } = render(
+    <CoverLetterWriter {...props} promptSettings={DEFAULT_PROMPT_SETTINGS} />
+  );
+  const tone = screen.getByLabelText("Tone:");
+  expect(tone).toHaveValue("professional");
+
+  fireEvent.change(tone, { target: { value: "concise" } });
+  rerender(
+    <CoverLetterWriter
+      {...props}
+      promptSettings={{ ...DEFAULT_PROMPT_SETTINGS }}
+    />
+  );
+  expect(tone).toHaveValue("concise");
+
+  rerender(
+    <CoverLetterWriter
+      {...props}
+      promptSettings={{ ...DEFAULT_PROMPT_SETTINGS, tone: "confident" }}
+    />
+  );
+  expect(tone).toHaveValue("confident");
+});
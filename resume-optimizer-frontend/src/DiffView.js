@@ -0,0 +1,27 @@
+import React from "react";
+import { diffWords } from "./diff";
+
+// Inline word-level diff: removed words struck through in red, added in green
+const DiffView = ({ before, after }) => (
+  <p className="leading-relaxed text-slate-700">
+    {diffWords(before, after).map((chunk, index) => {
+      if (chunk.type === "added") {
+        return (
+          <ins key={index} className="bg-green-100 text-green-800 no-underline">
+            {chunk.text}
+          </ins>
+        );
+      }
+      if (chunk.type === "removed") {
+        return (
+          <del key={index} className="bg-red-100 text-red-700">
+            {chunk.text}
+          </del>
+        );
+      }
+      return <span key={index}>{chunk.text}</span>;
+    })}
+  </p>
+);
+
+export default DiffView;
@@ -0,0 +1,56 @@
+import React from "react";
+
+const TONE_CLASSES = {
+  matched: "bg-green-200 text-green-900",
+  missing: "bg-red-200 text-red-900",
+};
+
+// Splits text into plain and highlighted pieces. Highlights are
+// { start, end, tone, keyword }; overlapping ranges keep the earliest one.
+export const buildSegments = (text, highlights) => {
+  const segments = [];
+  let cursor = 0;
+
+  [...highlights]
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach((highlight) => {
+      if (highlight.start < cursor) return;
+      if (highlight.start > cursor) {
+        segments.push({ text: text.slice(cursor, highlight.start) });
+      }
+      segments.push({
+        text: text.slice(highlight.start, highlight.end),
+        tone: highlight.tone,
+        keyword: highlight.keyword,
+      });
+      cursor = highlight.end;
+    });
+
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+};
+
+// Read-only view of a document with keyword occurrences highlighted.
+// Each highlight carries data-keyword so callers can find and scroll to it.
+const HighlightedText = ({ text, highlights, label }) => (
+  <div
+    aria-label={label}
+    className="border border-slate-300 rounded-lg py-3 px-4 text-slate-700 bg-white whitespace-pre-wrap text-area-scroll"
+  >
+    {buildSegments(text, highlights).map((segment, index) =>
+      segment.tone ? (
+        <mark
+          key={index}
+          data-keyword={segment.keyword}
+          className={`${TONE_CLASSES[segment.tone]} rounded px-0.5 transition`}
+        >
+          {segment.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    )}
+  </div>
+);
+
+export default HighlightedText;
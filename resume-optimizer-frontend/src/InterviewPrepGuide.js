@@ -0,0 +1,228 @@
+import React, { useMemo, useRef, useState } from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import CachedBadge from "./CachedBadge";
+import { resumeAchievements } from "./coverLetter";
+import {
+  buildInterviewPrompt,
+  interviewFocus,
+  parseInterviewQuestions,
+  QUESTION_GROUPS,
+  STAR_STEPS,
+} from "./interviewPrep";
+import { isAbortError, streamText } from "./llm";
+
+const GROUP_CLASSES = {
+  technical: "bg-indigo-100 text-indigo-800",
+  behavioral: "bg-green-100 text-green-800",
+  gap: "bg-red-100 text-red-800",
+};
+
+const KeywordChips = ({ label, terms, className }) => (
+  <div>
+    <p className="text-sm font-bold text-slate-700 mb-1">{label}</p>
+    {terms.length > 0 ? (
+      <div className="flex flex-wrap gap-1">
+        {terms.map((term) => (
+          <span
+            key={term}
+            className={`${className} text-xs font-semibold px-2 py-0.5 rounded-full`}
+          >
+            {term}
+          </span>
+        ))}
+      </div>
+    ) : (
+      <p className="text-sm text-slate-500">None</p>
+    )}
+  </div>
+);
+
+// Likely interview questions from the keyword comparison in step 2 (and any
+// missing skills the AI suggestions named), with STAR answer outlines built
+// from the resume's bullet points
+const InterviewPrepGuide = ({
+  resumeText,
+  jdText,
+  matchedKeywords,
+  missingKeywords,
+  suggestions,
+  llmSettings,
+  promptSettings,
+}) => {
+  const [questions, setQuestions] = useState([]);
+  const [isGenerating, setIsGenerating] = useState(false);
+  // When the shown questions were cached, or null
+  const [cachedAt, setCachedAt] = useState(null);
+  const [error, setError] = useState("");
+  // Shown while a failed request waits to be retried
+  const [retryNotice, setRetryNotice] = useState("");
+  const abortRef = useRef(null);
+
+  const achievements = useMemo(
+    () => resumeAchievements(resumeText),
+    [resumeText]
+  );
+  const focus = interviewFocus({
+    matchedKeywords,
+    missingKeywords,
+    suggestions,
+  });
+  const achievementText = (id) =>
+    (achievements.find((achievement) => achievement.id === id) || {}).text;
+
+  // regenerate asks the model again instead of reusing a cached response
+  const generate = async ({ regenerate = false } = {}) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsGenerating(true);
+    setError("");
+    setQuestions([]);
+    setCachedAt(null);
+    try {
+      await streamText(
+        buildInterviewPrompt({ focus, achievements, jdText, promptSettings }),
+        llmSettings,
+        {
+          task: "interviewPrep",
+          json: true,
+          signal: controller.signal,
+          regenerate,
+          onProgress: (text) => {
+            setQuestions(parseInterviewQuestions(text, achievements));
+            setRetryNotice("");
+          },
+          onCacheHit: (cached) => setCachedAt(cached.createdAt),
+          onRetry: ({ message }) => setRetryNotice(message),
+        }
+      );
+    } catch (e) {
+      // Cancelling keeps the questions that arrived
+      if (!isAbortError(e)) {
+        console.error("Error generating interview questions:", e);
+        setError(`Error generating interview questions: ${e.message}`);
+      }
+    } finally {
+      abortRef.current = null;
+      setIsGenerating(false);
+      setRetryNotice("");
+    }
+  };
+
+  if (matchedKeywords.length === 0 && missingKeywords.length === 0) {
+    return (
+      <p className="text-slate-500">
+        Click Analyze Keywords in step 1 first; the questions are built from the
+        keyword comparison.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid sm:grid-cols-2 gap-4 mb-4 bg-slate-50 p-4 rounded-xl border border-slate-200">
+        <KeywordChips
+          label="Strongest matches (technical questions)"
+          terms={focus.strengths}
+          className="bg-indigo-100 text-indigo-800"
+        />
+        <KeywordChips
+          label="Gaps (gap-probing questions)"
+          terms={focus.gaps}
+          className="bg-red-100 text-red-800"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={() => generate()}
+          disabled={isGenerating}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isGenerating ? "Generating..." : "Generate Interview Questions"}
+        </button>
+        {isGenerating && (
+          <button
+            onClick={() => abortRef.current && abortRef.current.abort()}
+            className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+          >
+            Stop
+          </button>
+        )}
+        {cachedAt && (
+          <CachedBadge
+            cachedAt={cachedAt}
+            onRegenerate={() => generate({ regenerate: true })}
+            disabled={isGenerating}
+          />
+        )}
+      </div>
+      {retryNotice && (
+        <p className="mt-3 text-yellow-700 text-sm">{retryNotice}</p>
+      )}
+      {error && <p className="mt-3 text-red-700">{error}</p>}
+
+      {QUESTION_GROUPS.map((group) => {
+        const groupQuestions = questions.filter(
+          (question) => question.group === group.id
+        );
+        if (groupQuestions.length === 0) return null;
+        return (
+          <div key={group.id} className="mt-6">
+            <h3 className="text-xl font-semibold text-slate-800 mb-3">
+              {group.label} ({groupQuestions.length})
+            </h3>
+            <ul className="space-y-3">
+              {groupQuestions.map((question) => (
+                <li
+                  key={question.id}
+                  className="bg-white p-4 rounded-lg border border-slate-200"
+                >
+                  <div className="flex flex-wrap items-start gap-2 mb-3">
+                    <p className="font-semibold text-slate-800 flex-grow">
+                      {question.question}
+                    </p>
+                    {question.keyword && (
+                      <span
+                        className={`${
+                          GROUP_CLASSES[group.id]
+                        } text-xs font-semibold px-2 py-0.5 rounded-full`}
+                      >
+                        {question.keyword}
+                      </span>
+                    )}
+                  </div>
+                  <dl className="grid sm:grid-cols-[7rem_1fr] gap-x-3 gap-y-1 text-sm">
+                    {STAR_STEPS.map((step) => (
+                      <React.Fragment key={step.id}>
+                        <dt className="font-semibold text-slate-600">
+                          {step.label}
+                        </dt>
+                        <dd className="text-slate-700">
+                          {question.star[step.id] || "–"}
+                        </dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                  {question.achievements.length > 0 && (
+                    <ul className="text-xs text-slate-600 mt-3 space-y-0.5">
+                      {question.achievements.map((id) => (
+                        <li key={id}>
+                          <span className="font-semibold text-indigo-700">
+                            From your resume:
+                          </span>{" "}
+                          {achievementText(id)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default InterviewPrepGuide;
@@ -0,0 +1,44 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import InterviewPrepGuide from "./InterviewPrepGuide";
+import { DEFAULT_PROMPT_SETTINGS } from "./promptTemplates";
+
+const keyword = (term) => ({ term, keys: [term] });
+
+const renderGuide = (props = {}) =>
+  render(
+    <InterviewPrepGuide
+      resumeText={"EXPERIENCE\n• Built 12 data pipelines"}
+      jdText="Data Engineer"
+      matchedKeywords={[keyword("python")]}
+      missingKeywords={[keyword("airflow")]}
+      suggestions={[]}
+      llmSettings={{ provider: "mock" }}
+      promptSettings={DEFAULT_PROMPT_SETTINGS}
+      {...props}
+    />
+  );
+
+test("asks for a keyword analysis first", () => {
+  renderGuide({ matchedKeywords: [], missingKeywords: [] });
+  expect(screen.getByText(/Click Analyze Keywords/)).toBeInTheDocument();
+});
+
+test("groups generated questions with STAR outlines from the resume", async () => {
+  renderGuide();
+  fireEvent.click(screen.getByText("Generate Interview Questions"));
+
+  expect(
+    await screen.findByText(
+      "What experience do you have with airflow?",
+      {},
+      { timeout: 5000 }
+    )
+  ).toBeInTheDocument();
+  expect(screen.getByText("Technical (1)")).toBeInTheDocument();
+  expect(screen.getByText("Behavioral (1)")).toBeInTheDocument();
+  expect(screen.getByText("Gap-probing (1)")).toBeInTheDocument();
+  expect(screen.getByText("How have you used python?")).toBeInTheDocument();
+  expect(screen.getAllByText("Built 12 data pipelines").length).toBeGreaterThan(
+    0
+  );
+});
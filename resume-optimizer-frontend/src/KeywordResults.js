@@ -0,0 +1,164 @@
+import React, { useRef } from "react";
+import HighlightedText from "./HighlightedText";
+
+const CHIP_CLASSES = {
+  matched: "bg-green-100 text-green-800 border-green-300 hover:bg-green-200",
+  missing: "bg-red-100 text-red-800 border-red-300 hover:bg-red-200",
+};
+
+const KeywordChip = ({ keyword, tone, onClick }) => (
+  <button
+    type="button"
+    onClick={() => onClick(keyword.key)}
+    title={`${keyword.count}× in the job description. Click to find it.`}
+    className={`${CHIP_CLASSES[tone]} border rounded-full px-3 py-1 text-sm`}
+  >
+    {keyword.term}
+    {keyword.matchedVia && (
+      <span className="opacity-75"> (as "{keyword.matchedVia}")</span>
+    )}
+  </button>
+);
+
+const toHighlights = (keywords, field, tone) =>
+  keywords.flatMap((keyword) =>
+    keyword[field].map(({ start, end }) => ({
+      start,
+      end,
+      tone,
+      keyword: keyword.key,
+    }))
+  );
+
+// Matched/missing keyword chips plus highlighted copies of the analyzed
+// resume and JD. Clicking a chip scrolls to its next occurrence.
+const KeywordResults = ({ matched, missing, documents }) => {
+  const containerRef = useRef(null);
+  // Which occurrence each chip scrolls to next
+  const nextOccurrence = useRef({});
+
+  const scrollToKeyword = (key) => {
+    if (!containerRef.current) return;
+    const marks = [
+      ...containerRef.current.querySelectorAll("mark[data-keyword]"),
+    ].filter((mark) => mark.dataset.keyword === key);
+    if (marks.length === 0) return;
+
+    const index = (nextOccurrence.current[key] || 0) % marks.length;
+    nextOccurrence.current[key] = index + 1;
+
+    const mark = marks[index];
+    if (mark.scrollIntoView) {
+      mark.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+    mark.classList.add("ring-2", "ring-indigo-500");
+    setTimeout(() => mark.classList.remove("ring-2", "ring-indigo-500"), 1200);
+  };
+
+  return (
+    <div ref={containerRef}>
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="bg-green-50 p-5 rounded-xl border border-green-200">
+          <h3 className="text-xl font-semibold text-green-800 mb-3 flex items-center">
+            <svg
+              className="w-6 h-6 mr-2"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+              xmlns="http://www.w3.org/2000/svg"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
+              ></path>
+            </svg>
+            Matched Keywords
+          </h3>
+          {matched.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {matched.map((keyword) => (
+                <KeywordChip
+                  key={keyword.key}
+                  keyword={keyword}
+                  tone="matched"
+                  onClick={scrollToKeyword}
+                />
+              ))}
+            </div>
+          ) : (
+            <p className="text-slate-500">
+              No common keywords found yet. Click 'Analyze Keywords'.
+            </p>
+          )}
+        </div>
+        <div className="bg-red-50 p-5 rounded-xl border border-red-200">
+          <h3 className="text-xl font-semibold text-red-800 mb-3 flex items-center">
+            <svg
+              className="w-6 h-6 mr-2"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+              xmlns="http://www.w3.org/2000/svg"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"
+              ></path>
+            </svg>
+            Missing Keywords (from JD)
+          </h3>
+          {missing.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {missing.map((keyword) => (
+                <KeywordChip
+                  key={keyword.key}
+                  keyword={keyword}
+                  tone="missing"
+                  onClick={scrollToKeyword}
+                />
+              ))}
+            </div>
+          ) : (
+            <p className="text-slate-500">
+              No missing keywords found yet. Click 'Analyze Keywords'.
+            </p>
+          )}
+        </div>
+      </div>
+
+      {documents && (
+        <div className="grid md:grid-cols-2 gap-6 mt-6">
+          <div>
+            <h3 className="text-slate-700 text-sm font-bold mb-2">
+              Resume (as analyzed)
+            </h3>
+            <HighlightedText
+              label="Highlighted resume"
+              text={documents.resumeText}
+              highlights={toHighlights(matched, "resumeOccurrences", "matched")}
+            />
+          </div>
+          <div>
+            <h3 className="text-slate-700 text-sm font-bold mb-2">
+              Job Description (as analyzed)
+            </h3>
+            <HighlightedText
+              label="Highlighted job description"
+              text={documents.jdText}
+              highlights={[
+                ...toHighlights(matched, "occurrences", "matched"),
+                ...toHighlights(missing, "occurrences", "missing"),
+              ]}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeywordResults;
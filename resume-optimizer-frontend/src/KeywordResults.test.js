@@ -0,0 +1,46 @@
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import { compareKeywords } from "./keywords";
+import KeywordResults from "./KeywordResults";
+import { buildSegments } from "./HighlightedText";
+
+test("splits text around non-overlapping highlights", () => {
+  expect(
+    buildSegments("React and Node.js", [
+      { start: 10, end: 17, tone: "missing", keyword: "node.js" },
+      { start: 0, end: 5, tone: "matched", keyword: "react" },
+      { start: 2, end: 4, tone: "matched", keyword: "overlap" },
+    ])
+  ).toEqual([
+    { text: "React", tone: "matched", keyword: "react" },
+    { text: " and " },
+    { text: "Node.js", tone: "missing", keyword: "node.js" },
+  ]);
+});
+
+test("highlights matched and missing terms and scrolls to them", () => {
+  const resumeText = "Built apps in React.";
+  const jdText = "React and Kafka engineer.";
+  const { matched, missing } = compareKeywords(resumeText, jdText);
+  render(
+    <KeywordResults
+      matched={matched}
+      missing={missing}
+      documents={{ resumeText, jdText }}
+    />
+  );
+
+  const resume = within(screen.getByLabelText("Highlighted resume"));
+  const jd = within(screen.getByLabelText("Highlighted job description"));
+  expect(resume.getByText("React", { selector: "mark" })).toHaveClass(
+    "bg-green-200"
+  );
+  expect(jd.getByText("React", { selector: "mark" })).toHaveClass(
+    "bg-green-200"
+  );
+  expect(jd.getByText("Kafka", { selector: "mark" })).toHaveClass("bg-red-200");
+
+  const scrollIntoView = jest.fn();
+  window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+  fireEvent.click(screen.getByRole("button", { name: /kafka/i }));
+  expect(scrollIntoView).toHaveBeenCalledTimes(1);
+});
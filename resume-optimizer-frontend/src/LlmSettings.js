@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import {
+  aiCacheStats,
+  clearAiCache,
+  MAX_CACHE_CHARS,
+  MAX_CACHE_ENTRIES,
+} from "./aiCache";
+import { smallButtonClassName } from "./buttonStyles";
+import { PROVIDERS, defaultSettingsFor } from "./llm";
+
+const inputClassName =
+  "shadow-sm appearance-none border border-slate-300 rounded-lg w-full py-2 px-3 text-slate-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const kilobytes = (chars) => Math.ceil(chars / 1000);
+
+// Collapsible picker for the AI provider, model and endpoint, with the size
+// of the AI response cache
+const LlmSettings = ({ settings, onChange }) => {
+  const provider = PROVIDERS[settings.provider];
+  // { entries, chars } once the panel has been opened
+  const [cacheStats, setCacheStats] = useState(null);
+
+  const refreshCacheStats = async () => setCacheStats(await aiCacheStats());
+
+  const clearCache = async () => {
+    await clearAiCache();
+    await refreshCacheStats();
+  };
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details
+      className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-200"
+      onToggle={(e) => e.currentTarget.open && refreshCacheStats()}
+    >
+      <summary className="cursor-pointer font-semibold text-slate-700">
+        AI Model: {provider.label} · {settings.model}
+      </summary>
+      <div className="grid sm:grid-cols-2 gap-4 mt-4">
+        <div>
+          <label
+            htmlFor="llm-provider"
+            className="block text-slate-700 text-sm font-bold mb-2"
+          >
+            Provider:
+          </label>
+          <select
+            id="llm-provider"
+            className={inputClassName}
+            value={settings.provider}
+            onChange={(e) => onChange(defaultSettingsFor(e.target.value))}
+          >
+            {Object.values(PROVIDERS).map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label
+            htmlFor="llm-model"
+            className="block text-slate-700 text-sm font-bold mb-2"
+          >
+            Model:
+          </label>
+          {provider.models ? (
+            <select
+              id="llm-model"
+              className={inputClassName}
+              value={settings.model}
+              onChange={(e) => update({ model: e.target.value })}
+            >
+              {provider.models.map((model) => (
+                <option key={model} value={model}>
+                  {model}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              id="llm-model"
+              className={inputClassName}
+              value={settings.model}
+              onChange={(e) => update({ model: e.target.value })}
+            />
+          )}
+        </div>
+        {settings.provider === "openai" && (
+          <>
+            <div>
+              <label
+                htmlFor="llm-base-url"
+                className="block text-slate-700 text-sm font-bold mb-2"
+              >
+                Base URL:
+              </label>
+              <input
+                id="llm-base-url"
+                className={inputClassName}
+                value={settings.baseUrl}
+                onChange={(e) => update({ baseUrl: e.target.value })}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="llm-api-key"
+                className="block text-slate-700 text-sm font-bold mb-2"
+              >
+                API Key (optional):
+              </label>
+              <input
+                id="llm-api-key"
+                type="password"
+                className={inputClassName}
+                value={settings.apiKey}
+                onChange={(e) => update({ apiKey: e.target.value })}
+              />
+            </div>
+          </>
+        )}
+      </div>
+      {cacheStats && (
+        <div className="flex flex-wrap items-center gap-3 mt-4 text-sm text-slate-600">
+          <span>
+            Cached responses: {cacheStats.entries} of {MAX_CACHE_ENTRIES} (
+            {kilobytes(cacheStats.chars)} of {kilobytes(MAX_CACHE_CHARS)} KB).
+            Repeated requests are answered from this cache.
+          </span>
+          <button
+            onClick={clearCache}
+            disabled={cacheStats.entries === 0}
+            className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+          >
+            Clear Cache
+          </button>
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default LlmSettings;
@@ -0,0 +1,207 @@
+import React, { useRef, useState } from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import { compareAcrossJobs } from "./multiJobs";
+import { scoreColor } from "./ScoreCard";
+
+const jobLabel = (job, index) =>
+  job.name.trim() || job.fileName || `Job ${index + 1}`;
+
+// A list of job descriptions (pasted or uploaded) compared against the
+// resume in one pass, ranked by match score, with the terms most of them
+// are missing. onUpload is App's handleFileUpload.
+const MultiJobComparison = ({
+  resumeText,
+  jdText,
+  jdFileName,
+  synonymGroups,
+  onUpload,
+}) => {
+  const [jobs, setJobs] = useState([]);
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState("");
+  const nextId = useRef(1);
+
+  const addJob = (job = {}) => {
+    setJobs((previous) => [
+      ...previous,
+      { id: nextId.current++, name: "", fileName: "", text: "", ...job },
+    ]);
+  };
+
+  const updateJob = (id, changes) =>
+    setJobs((previous) =>
+      previous.map((job) => (job.id === id ? { ...job, ...changes } : job))
+    );
+
+  const removeJob = (id) =>
+    setJobs((previous) => previous.filter((job) => job.id !== id));
+
+  const compare = () => {
+    const usable = jobs
+      .map((job, index) => ({ ...job, name: jobLabel(job, index) }))
+      .filter((job) => job.text.trim());
+    if (!resumeText) {
+      setMessage("Add your resume in step 1 first.");
+      return;
+    }
+    if (usable.length === 0) {
+      setMessage("Add at least one job description to compare.");
+      return;
+    }
+    setMessage("");
+    setResults(compareAcrossJobs(resumeText, usable, synonymGroups));
+  };
+
+  return (
+    <div>
+      <ol className="space-y-4 mb-4">
+        {jobs.map((job, index) => (
+          <li
+            key={job.id}
+            className="bg-slate-50 p-4 rounded-xl border border-slate-200"
+          >
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+              <input
+                type="text"
+                aria-label={`Job ${index + 1} name`}
+                placeholder={job.fileName || `Job ${index + 1}`}
+                className="flex-grow border border-slate-300 rounded-lg py-1 px-2 text-slate-700"
+                value={job.name}
+                onChange={(e) => updateJob(job.id, { name: e.target.value })}
+              />
+              <div className="file-input-wrapper">
+                <input
+                  type="file"
+                  id={`job-file-upload-${job.id}`}
+                  className="file-input"
+                  accept=".pdf,.docx,.txt"
+                  onChange={(e) =>
+                    onUpload(
+                      e,
+                      (text) => updateJob(job.id, { text }),
+                      (fileName) => updateJob(job.id, { fileName })
+                    )
+                  }
+                />
+                <label
+                  htmlFor={`job-file-upload-${job.id}`}
+                  className="file-input-label"
+                >
+                  Upload
+                </label>
+              </div>
+              <button
+                onClick={() => removeJob(job.id)}
+                className={`${smallButtonClassName} bg-white hover:bg-red-50 text-red-700 border border-red-200`}
+              >
+                Remove
+              </button>
+            </div>
+            <textarea
+              aria-label={`Job ${index + 1} description`}
+              className="shadow-sm appearance-none border border-slate-300 rounded-lg w-full py-2 px-3 text-slate-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              rows="4"
+              placeholder="Paste the job description text here..."
+              value={job.text}
+              onChange={(e) => updateJob(job.id, { text: e.target.value })}
+            ></textarea>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button
+          onClick={() => addJob()}
+          className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+        >
+          Add Job Description
+        </button>
+        <button
+          onClick={() => addJob({ fileName: jdFileName, text: jdText })}
+          disabled={!jdText}
+          className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+        >
+          Add Job Description from Step 1
+        </button>
+      </div>
+
+      <button
+        onClick={compare}
+        disabled={jobs.length === 0}
+        className="w-full sm:w-auto bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-8 rounded-lg focus:outline-none focus:ring-4 focus:ring-indigo-300 transition duration-300 ease-in-out transform hover:-translate-y-1 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Compare {jobs.length} Job Description{jobs.length === 1 ? "" : "s"}
+      </button>
+      {message && <p className="mt-3 text-red-700">{message}</p>}
+
+      {results && (
+        <div className="mt-6 space-y-6">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left border border-slate-200">
+              <thead className="bg-slate-100 text-slate-700">
+                <tr>
+                  <th className="p-2">Rank</th>
+                  <th className="p-2">Job</th>
+                  <th className="p-2">Match</th>
+                  <th className="p-2">Top missing terms</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.rankings.map((row, index) => (
+                  <tr key={row.id} className="border-t border-slate-200">
+                    <td className="p-2 text-slate-500">{index + 1}</td>
+                    <td className="p-2 font-semibold text-slate-800">
+                      {row.name}
+                    </td>
+                    <td
+                      className={`p-2 font-bold ${
+                        row.score === null
+                          ? "text-slate-400"
+                          : scoreColor(row.score).text
+                      }`}
+                    >
+                      {row.score === null ? "n/a" : `${row.score}%`}
+                    </td>
+                    <td className="p-2 text-slate-700">
+                      {row.topMissing.length > 0
+                        ? row.topMissing.join(", ")
+                        : "None"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {results.commonMissing.length > 0 && (
+            <div className="bg-red-50 p-5 rounded-xl border border-red-200">
+              <h3 className="text-lg font-semibold text-red-700 mb-1">
+                Missing Across Most Jobs
+              </h3>
+              <p className="text-sm text-slate-600 mb-3">
+                Adding these where they truthfully apply improves your match for
+                the most roles at once.
+              </p>
+              <ul className="flex flex-wrap gap-2">
+                {results.commonMissing.map((term) => (
+                  <li
+                    key={term.key}
+                    title={term.jobNames.join(", ")}
+                    className="bg-white text-red-800 text-sm font-semibold px-3 py-1 rounded-full border border-red-200"
+                  >
+                    {term.term}{" "}
+                    <span className="text-red-500 font-normal">
+                      {term.jobCount}/{results.rankings.length}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiJobComparison;
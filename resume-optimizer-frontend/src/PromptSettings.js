@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import {
+  INDUSTRY_PRESETS,
+  missingPlaceholders,
+  presetById,
+  PROMPT_TEMPLATES,
+  SENIORITY_PRESETS,
+  templateText,
+  TONE_PRESETS,
+} from "./promptTemplates";
+
+const inputClassName =
+  "shadow-sm appearance-none border border-slate-300 rounded-lg w-full py-2 px-3 text-slate-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const PRESET_FIELDS = [
+  { group: "seniority", label: "Seniority", presets: SENIORITY_PRESETS },
+  { group: "industry", label: "Industry", presets: INDUSTRY_PRESETS },
+  { group: "tone", label: "Tone", presets: TONE_PRESETS },
+];
+
+// Collapsible editor for the presets and prompt templates used by the AI
+// actions (see promptTemplates.js)
+const PromptSettings = ({ settings, onChange }) => {
+  const [templateId, setTemplateId] = useState(
+    Object.keys(PROMPT_TEMPLATES)[0]
+  );
+  const [draft, setDraft] = useState(templateText(settings, templateId));
+
+  const template = PROMPT_TEMPLATES[templateId];
+  const isEdited = templateId in settings.templates;
+  const missing = missingPlaceholders(templateId, draft);
+  const isDirty = draft !== templateText(settings, templateId);
+
+  const selectTemplate = (id) => {
+    setTemplateId(id);
+    setDraft(templateText(settings, id));
+  };
+
+  const saveTemplate = () => {
+    const templates = { ...settings.templates };
+    if (draft === template.text) {
+      delete templates[templateId];
+    } else {
+      templates[templateId] = draft;
+    }
+    onChange({ ...settings, templates });
+  };
+
+  const resetTemplate = () => {
+    const { [templateId]: _removed, ...templates } = settings.templates;
+    setDraft(template.text);
+    onChange({ ...settings, templates });
+  };
+
+  const editedCount = Object.keys(settings.templates).length;
+
+  return (
+    <details className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+      <summary className="cursor-pointer font-semibold text-slate-700">
+        AI Prompts:{" "}
+        {PRESET_FIELDS.map(
+          ({ group }) => presetById(group, settings[group]).label
+        ).join(" · ")}
+        {editedCount > 0 && ` · ${editedCount} edited template(s)`}
+      </summary>
+      <p className="text-slate-600 text-sm mt-3">
+        These presets steer the AI suggestions, bullet point rewrites, cover
+        letters and interview prep.
+      </p>
+      <div className="grid sm:grid-cols-3 gap-4 mt-3">
+        {PRESET_FIELDS.map(({ group, label, presets }) => (
+          <div key={group}>
+            <label
+              htmlFor={`prompt-${group}`}
+              className="block text-slate-700 text-sm font-bold mb-2"
+            >
+              {label}:
+            </label>
+            <select
+              id={`prompt-${group}`}
+              className={inputClassName}
+              value={presetById(group, settings[group]).id}
+              onChange={(e) =>
+                onChange({ ...settings, [group]: e.target.value })
+              }
+            >
+              {presets.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-5">
+        <label
+          htmlFor="prompt-template"
+          className="block text-slate-700 text-sm font-bold mb-2"
+        >
+          Template:
+        </label>
+        <select
+          id="prompt-template"
+          className={`${inputClassName} sm:w-auto`}
+          value={templateId}
+          onChange={(e) => selectTemplate(e.target.value)}
+        >
+          {Object.entries(PROMPT_TEMPLATES).map(([id, { label }]) => (
+            <option key={id} value={id}>
+              {label}
+              {id in settings.templates ? " (edited)" : ""}
+            </option>
+          ))}
+        </select>
+        <textarea
+          aria-label="Template text"
+          className={`${inputClassName} mt-3 font-mono text-sm`}
+          rows="8"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+        ></textarea>
+        <ul className="text-sm text-slate-600 mt-2 space-y-1">
+          {Object.entries(template.placeholders).map(
+            ([name, { required, description }]) => (
+              <li key={name}>
+                <code>{`{{${name}}}`}</code>: {description}
+                {required && " (required)"}
+              </li>
+            )
+          )}
+          <li>The JSON response format is added to the end automatically.</li>
+        </ul>
+        {missing.length > 0 && (
+          <p className="text-sm text-red-700 mt-2">
+            Add back {missing.map((name) => `{{${name}}}`).join(", ")} before
+            saving.
+          </p>
+        )}
+        <div className="flex flex-wrap gap-2 mt-3">
+          <button
+            onClick={saveTemplate}
+            disabled={!isDirty || missing.length > 0}
+            className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+          >
+            Save Template
+          </button>
+          <button
+            onClick={resetTemplate}
+            disabled={!isEdited && draft === template.text}
+            className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+          >
+            Reset to Default
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default PromptSettings;
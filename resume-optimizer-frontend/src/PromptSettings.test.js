@@ -0,0 +1,44 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { DEFAULT_PROMPT_SETTINGS, PROMPT_TEMPLATES } from "./promptTemplates";
+import PromptSettings from "./PromptSettings";
+
+test("edits, saves and resets a template", () => {
+  const onChange = jest.fn();
+  const { rerender } = render(
+    <PromptSettings settings={DEFAULT_PROMPT_SETTINGS} onChange={onChange} />
+  );
+
+  const textarea = screen.getByLabelText("Template text");
+  expect(textarea).toHaveValue(PROMPT_TEMPLATES.suggestions.text);
+  fireEvent.change(textarea, { target: { value: "Review {{resume}}" } });
+  expect(screen.getByText(/Add back {{jobDescription}}/)).toBeInTheDocument();
+  expect(screen.getByText("Save Template")).toBeDisabled();
+
+  fireEvent.change(textarea, {
+    target: { value: "Review {{resume}} for {{jobDescription}}" },
+  });
+  fireEvent.click(screen.getByText("Save Template"));
+  const saved = onChange.mock.calls[0][0];
+  expect(saved.templates).toEqual({
+    suggestions: "Review {{resume}} for {{jobDescription}}",
+  });
+
+  rerender(<PromptSettings settings={saved} onChange={onChange} />);
+  fireEvent.click(screen.getByText("Reset to Default"));
+  expect(onChange).toHaveBeenLastCalledWith(DEFAULT_PROMPT_SETTINGS);
+  expect(textarea).toHaveValue(PROMPT_TEMPLATES.suggestions.text);
+});
+
+test("changes a preset", () => {
+  const onChange = jest.fn();
+  render(
+    <PromptSettings settings={DEFAULT_PROMPT_SETTINGS} onChange={onChange} />
+  );
+  fireEvent.change(screen.getByLabelText("Seniority:"), {
+    target: { value: "executive" },
+  });
+  expect(onChange).toHaveBeenCalledWith({
+    ...DEFAULT_PROMPT_SETTINGS,
+    seniority: "executive",
+  });
+});
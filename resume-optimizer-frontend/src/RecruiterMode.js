@@ -0,0 +1,420 @@
+import React, { useMemo, useRef, useState } from "react";
+import { TRUNCATED_NOTICE } from "./aiErrors";
+import { isSupportedDocument, parseDocumentFile } from "./backend";
+import { smallButtonClassName } from "./buttonStyles";
+import { downloadFile } from "./download";
+import { generateText, isAbortError } from "./llm";
+import {
+  buildCandidateSummaryPrompt,
+  candidatesToCsv,
+  scoreCandidate,
+  sortCandidates,
+} from "./recruiter";
+import { scoreColor } from "./ScoreCard";
+import { runQueue } from "./taskQueue";
+
+// Uploads parsed by the backend at once
+const PARSE_CONCURRENCY = 3;
+const SUMMARY_CONCURRENCY = 2;
+
+const COLUMNS = [
+  { key: "name", label: "Candidate" },
+  { key: "score", label: "Score" },
+  { key: "mustHaves", label: "Must-haves" },
+];
+
+// Ranks many uploaded resumes against the job description from step 1, with
+// optional AI summaries and CSV export
+const RecruiterMode = ({ jdText, synonymGroups, llmSettings }) => {
+  // [{ id, fileName, status, text, error, summary, summaryStatus,
+  //    summaryError, summaryNotice }]
+  const [candidates, setCandidates] = useState([]);
+  const [sort, setSort] = useState({ key: "score", direction: "desc" });
+  const [isParsing, setIsParsing] = useState(false);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+  const [notice, setNotice] = useState("");
+  const parseAbortRef = useRef(null);
+  const summaryAbortRef = useRef(null);
+  const nextId = useRef(1);
+
+  const updateCandidate = (id, changes) =>
+    setCandidates((previous) =>
+      previous.map((candidate) =>
+        candidate.id === id ? { ...candidate, ...changes } : candidate
+      )
+    );
+
+  const rows = useMemo(
+    () =>
+      candidates.map((candidate) =>
+        candidate.status === "done" && jdText.trim()
+          ? {
+              ...candidate,
+              isScored: true,
+              ...scoreCandidate(candidate.text, jdText, synonymGroups),
+            }
+          : { ...candidate, isScored: false }
+      ),
+    [candidates, jdText, synonymGroups]
+  );
+  const sortedRows = sortCandidates(rows, sort);
+
+  const finished = candidates.filter(
+    (candidate) => candidate.status === "done" || candidate.status === "error"
+  ).length;
+
+  const fileInputLabelClassName = `file-input-label${
+    isParsing ? " opacity-50 cursor-not-allowed" : ""
+  }`;
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    const supported = files.filter(isSupportedDocument);
+    const skipped = files.length - supported.length;
+    setNotice(
+      skipped > 0
+        ? `Skipped ${skipped} file(s) that aren't PDF, DOCX or TXT.`
+        : ""
+    );
+    if (supported.length === 0) return;
+
+    const added = supported.map((file) => ({
+      id: nextId.current++,
+      fileName: file.webkitRelativePath || file.name,
+      status: "queued",
+      text: "",
+      error: "",
+      summary: "",
+      summaryStatus: null,
+      summaryError: "",
+      summaryNotice: "",
+    }));
+    setCandidates((previous) => [...previous, ...added]);
+
+    const controller = new AbortController();
+    parseAbortRef.current = controller;
+    setIsParsing(true);
+
+    await runQueue(
+      supported.map(
+        (file) => () => parseDocumentFile(file, { signal: controller.signal })
+      ),
+      {
+        concurrency: PARSE_CONCURRENCY,
+        signal: controller.signal,
+        onStart: (index) =>
+          updateCandidate(added[index].id, { status: "parsing" }),
+        onSettled: (index, { value, error }) =>
+          updateCandidate(
+            added[index].id,
+            error
+              ? {
+                  status: "error",
+                  error: isAbortError(error) ? "Cancelled" : error.message,
+                }
+              : { status: "done", text: value || "" }
+          ),
+      }
+    );
+
+    // Files the queue never got to were cancelled
+    const addedIds = new Set(added.map((candidate) => candidate.id));
+    setCandidates((previous) =>
+      previous.map((candidate) =>
+        addedIds.has(candidate.id) && candidate.status === "queued"
+          ? { ...candidate, status: "error", error: "Cancelled" }
+          : candidate
+      )
+    );
+    parseAbortRef.current = null;
+    setIsParsing(false);
+  };
+
+  const summarize = async () => {
+    const targets = rows.filter((row) => row.isScored && !row.summary);
+    if (targets.length === 0) return;
+
+    const controller = new AbortController();
+    summaryAbortRef.current = controller;
+    setIsSummarizing(true);
+
+    await runQueue(
+      targets.map((row) => async () => {
+        let truncated = false;
+        const text = await generateText(
+          buildCandidateSummaryPrompt(row.text, jdText, row),
+          llmSettings,
+          {
+            task: "candidateSummary",
+            signal: controller.signal,
+            onTruncated: () => {
+              truncated = true;
+            },
+          }
+        );
+        return { text, truncated };
+      }),
+      {
+        concurrency: SUMMARY_CONCURRENCY,
+        signal: controller.signal,
+        onStart: (index) =>
+          updateCandidate(targets[index].id, { summaryStatus: "running" }),
+        onSettled: (index, { value, error }) =>
+          updateCandidate(
+            targets[index].id,
+            error
+              ? {
+                  summaryStatus: isAbortError(error) ? null : "error",
+                  summaryError: isAbortError(error) ? "" : error.message,
+                }
+              : {
+                  summaryStatus: "done",
+                  summary: value.text.trim(),
+                  summaryNotice: value.truncated ? TRUNCATED_NOTICE : "",
+                }
+          ),
+      }
+    );
+
+    summaryAbortRef.current = null;
+    setIsSummarizing(false);
+  };
+
+  const toggleSort = (key) =>
+    setSort((previous) =>
+      previous.key === key
+        ? { key, direction: previous.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: key === "name" ? "asc" : "desc" }
+    );
+
+  const exportCsv = () =>
+    // The byte order mark makes Excel read the file as UTF-8
+    downloadFile(
+      "candidate-ranking.csv",
+      `\uFEFF${candidatesToCsv(sortedRows)}`,
+      "text/csv"
+    );
+
+  return (
+    <div>
+      {!jdText.trim() && (
+        <p className="text-slate-600 mb-4">
+          Add the job description in step 1 to score the candidates.
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <div className="file-input-wrapper">
+          <input
+            type="file"
+            id="candidate-files-upload"
+            className="file-input"
+            // One parsing batch at a time, so Stop cancels all of it
+            disabled={isParsing}
+            accept=".pdf,.docx,.txt"
+            multiple
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = "";
+            }}
+          />
+          <label
+            htmlFor="candidate-files-upload"
+            className={fileInputLabelClassName}
+          >
+            Choose Resumes
+          </label>
+        </div>
+        <div className="file-input-wrapper">
+          <input
+            type="file"
+            id="candidate-folder-upload"
+            className="file-input"
+            disabled={isParsing}
+            webkitdirectory=""
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = "";
+            }}
+          />
+          <label
+            htmlFor="candidate-folder-upload"
+            className={fileInputLabelClassName}
+          >
+            Choose Folder
+          </label>
+        </div>
+        {candidates.length > 0 && (
+          <button
+            onClick={() => setCandidates([])}
+            disabled={isParsing || isSummarizing}
+            className={`${smallButtonClassName} bg-white hover:bg-slate-100 text-slate-700 border border-slate-300`}
+          >
+            Clear All
+          </button>
+        )}
+      </div>
+      {notice && <p className="text-yellow-700 text-sm mb-4">{notice}</p>}
+
+      {candidates.length > 0 && (
+        <div className="mb-4" role="status">
+          <div className="flex items-center justify-between text-sm text-slate-700 mb-1">
+            <span>
+              {isParsing
+                ? `Parsing resumes... ${finished} of ${candidates.length} done`
+                : `${finished} of ${candidates.length} resumes parsed`}
+            </span>
+            {isParsing && (
+              <button
+                onClick={() => parseAbortRef.current.abort()}
+                className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          <div className="w-full bg-slate-200 rounded-full h-2">
+            <div
+              className="bg-indigo-500 h-2 rounded-full transition-all"
+              style={{ width: `${(finished / candidates.length) * 100}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <button
+              onClick={summarize}
+              disabled={isParsing || isSummarizing || !jdText.trim()}
+              className={`${smallButtonClassName} bg-purple-600 hover:bg-purple-700 text-white`}
+            >
+              {isSummarizing ? "Summarizing..." : "Summarize with AI"}
+            </button>
+            {isSummarizing && (
+              <button
+                onClick={() => summaryAbortRef.current.abort()}
+                className={`${smallButtonClassName} bg-slate-200 hover:bg-slate-300 text-slate-700`}
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={exportCsv}
+              disabled={isParsing}
+              className={`${smallButtonClassName} ml-auto bg-slate-100 hover:bg-slate-200 text-slate-700`}
+            >
+              Export CSV
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left border border-slate-200">
+              <thead className="bg-slate-100 text-slate-700">
+                <tr>
+                  <th className="p-2">#</th>
+                  {COLUMNS.map((column) => (
+                    <th
+                      key={column.key}
+                      className="p-2"
+                      aria-sort={
+                        sort.key === column.key
+                          ? sort.direction === "asc"
+                            ? "ascending"
+                            : "descending"
+                          : "none"
+                      }
+                    >
+                      <button
+                        onClick={() => toggleSort(column.key)}
+                        className="font-bold hover:text-indigo-700"
+                      >
+                        {column.label}
+                        {sort.key === column.key &&
+                          (sort.direction === "asc" ? " ▲" : " ▼")}
+                      </button>
+                    </th>
+                  ))}
+                  <th className="p-2">Missing must-haves</th>
+                  <th className="p-2">AI summary</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRows.map((row, index) => (
+                  <tr
+                    key={row.id}
+                    className="border-t border-slate-200 align-top"
+                  >
+                    <td className="p-2 text-slate-500">{index + 1}</td>
+                    <td className="p-2 font-semibold text-slate-800 break-all">
+                      {row.fileName}
+                    </td>
+                    {row.isScored ? (
+                      <>
+                        <td
+                          className={`p-2 font-bold ${
+                            row.score === null
+                              ? "text-slate-400"
+                              : scoreColor(row.score).text
+                          }`}
+                        >
+                          {row.score === null ? "n/a" : `${row.score}%`}
+                        </td>
+                        <td
+                          className="p-2 text-slate-700"
+                          title={row.matchedMustHaves.join(", ")}
+                        >
+                          {row.matchedMustHaves.length}/
+                          {row.matchedMustHaves.length +
+                            row.missingMustHaves.length}
+                        </td>
+                        <td className="p-2 text-red-700">
+                          {row.missingMustHaves.join(", ") || "None"}
+                        </td>
+                      </>
+                    ) : (
+                      <td
+                        colSpan={3}
+                        className={`p-2 ${
+                          row.status === "error"
+                            ? "text-red-700"
+                            : "text-slate-500"
+                        }`}
+                      >
+                        {row.status === "error"
+                          ? row.error
+                          : row.status === "done"
+                            ? "Waiting for a job description"
+                            : row.status === "parsing"
+                              ? "Parsing..."
+                              : "Queued"}
+                      </td>
+                    )}
+                    <td className="p-2 text-slate-700">
+                      {row.summaryStatus === "running" ? (
+                        "Summarizing..."
+                      ) : row.summaryStatus === "error" ? (
+                        <span className="text-red-700">{row.summaryError}</span>
+                      ) : (
+                        <>
+                          {row.summary}
+                          {row.summaryNotice && (
+                            <p className="text-amber-700 text-xs mt-1">
+                              {row.summaryNotice}
+                            </p>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecruiterMode;
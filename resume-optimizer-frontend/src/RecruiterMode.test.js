@@ -0,0 +1,59 @@
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import RecruiterMode from "./RecruiterMode";
+
+const JD = `Data Engineer
+Requirements:
+- Python and Airflow`;
+
+const txt = (name, text) => new File([text], name, { type: "text/plain" });
+
+test("parses uploaded resumes and ranks them against the JD", async () => {
+  render(
+    <RecruiterMode
+      jdText={JD}
+      synonymGroups={[]}
+      llmSettings={{ provider: "mock" }}
+    />
+  );
+
+  fireEvent.change(screen.getByLabelText("Choose Resumes"), {
+    target: {
+      files: [
+        txt("weak.txt", "Marketing lead"),
+        txt("strong.txt", "Data engineer using Python and Airflow"),
+        new File(["not a resume"], "photo.png", { type: "image/png" }),
+      ],
+    },
+  });
+
+  expect(await screen.findByText("2 of 2 resumes parsed")).toBeInTheDocument();
+  expect(screen.getByText(/Skipped 1 file/)).toBeInTheDocument();
+
+  const rows = within(screen.getByRole("table")).getAllByRole("row");
+  expect(within(rows[1]).getByText("strong.txt")).toBeInTheDocument();
+  expect(within(rows[2]).getByText("weak.txt")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Summarize with AI"));
+  expect(
+    await within(rows[1]).findByText(/Candidate matches python, airflow/)
+  ).toBeInTheDocument();
+});
+
+test("blocks new uploads until the current batch is parsed", async () => {
+  render(
+    <RecruiterMode
+      jdText={JD}
+      synonymGroups={[]}
+      llmSettings={{ provider: "mock" }}
+    />
+  );
+
+  fireEvent.change(screen.getByLabelText("Choose Resumes"), {
+    target: { files: [txt("a.txt", "Python")] },
+  });
+
+  expect(screen.getByLabelText("Choose Resumes")).toBeDisabled();
+  expect(screen.getByLabelText("Choose Folder")).toBeDisabled();
+  expect(await screen.findByText("1 of 1 resumes parsed")).toBeInTheDocument();
+  expect(screen.getByLabelText("Choose Resumes")).toBeEnabled();
+});
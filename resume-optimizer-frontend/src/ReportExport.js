@@ -0,0 +1,47 @@
+import React from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import { downloadFile } from "./download";
+import { reportToJson, reportToMarkdown, reportToPdf } from "./report";
+
+const FORMATS = [
+  {
+    label: "PDF",
+    fileName: "resume-report.pdf",
+    render: reportToPdf,
+    type: "application/pdf",
+  },
+  {
+    label: "Markdown",
+    fileName: "resume-report.md",
+    render: reportToMarkdown,
+    type: "text/markdown",
+  },
+  {
+    label: "JSON",
+    fileName: "resume-report.json",
+    render: reportToJson,
+    type: "application/json",
+  },
+];
+
+// "Export report" buttons; getReport builds the report (see report.js) at
+// the time of the click
+const ReportExport = ({ getReport, disabled }) => (
+  <div className="flex flex-wrap items-center gap-3">
+    <span className="text-sm font-semibold text-slate-700">Export report:</span>
+    {FORMATS.map((format) => (
+      <button
+        key={format.label}
+        onClick={() =>
+          downloadFile(format.fileName, format.render(getReport()), format.type)
+        }
+        disabled={disabled}
+        className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+      >
+        {format.label}
+      </button>
+    ))}
+  </div>
+);
+
+export default ReportExport;
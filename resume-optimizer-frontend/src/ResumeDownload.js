@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import { downloadFile } from "./download";
+import { parseResume } from "./resumeParser";
+import {
+  RESUME_TEMPLATES,
+  resumeBlocks,
+  resumeFileBase,
+  resumeToDocx,
+  resumeToPdf,
+  templateById,
+} from "./resumeExport";
+
+const DOCX_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Builds a clean single-column DOCX or PDF from the current resume text,
+// using the sections the parser finds (see the Resume Outline in step 1)
+const ResumeDownload = ({ resumeText }) => {
+  const [templateId, setTemplateId] = useState(RESUME_TEMPLATES[0].id);
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [error, setError] = useState("");
+
+  const resume = useMemo(() => parseResume(resumeText), [resumeText]);
+  const headings = resumeBlocks(resume)
+    .filter((block) => block.type === "heading")
+    .map((block) => block.text);
+
+  const download = async (format) => {
+    const template = templateById(templateId);
+    setIsBuilding(true);
+    setError("");
+    try {
+      if (format === "docx") {
+        downloadFile(
+          `${resumeFileBase(resume)}.docx`,
+          await resumeToDocx(resume, template),
+          DOCX_TYPE
+        );
+      } else {
+        downloadFile(
+          `${resumeFileBase(resume)}.pdf`,
+          resumeToPdf(resume, template),
+          "application/pdf"
+        );
+      }
+    } catch (e) {
+      console.error("Error building resume file:", e);
+      setError(`Couldn't build the ${format.toUpperCase()}: ${e.message}`);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  if (!resumeText.trim()) {
+    return (
+      <p className="text-slate-500">
+        Add your resume in step 1 to download a formatted copy.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <fieldset className="mb-4">
+        <legend className="text-sm font-bold text-slate-700 mb-2">
+          Template
+        </legend>
+        <div className="grid sm:grid-cols-3 gap-3">
+          {RESUME_TEMPLATES.map((template) => (
+            <label
+              key={template.id}
+              className={`block p-3 rounded-lg border cursor-pointer ${
+                template.id === templateId
+                  ? "border-indigo-500 bg-indigo-50"
+                  : "border-slate-200 bg-white hover:bg-slate-50"
+              }`}
+            >
+              <input
+                type="radio"
+                name="resume-template"
+                value={template.id}
+                checked={template.id === templateId}
+                onChange={() => setTemplateId(template.id)}
+                className="mr-2"
+              />
+              <span className="font-semibold text-slate-800">
+                {template.label}
+              </span>
+              <span className="block text-sm text-slate-600 mt-1">
+                {template.description}
+              </span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <p className="text-sm text-slate-600 mb-4">
+        {headings.length > 0
+          ? `Sections: ${headings.join(", ")}.`
+          : "No sections found yet."}{" "}
+        {resume.contact.name
+          ? `Name: ${resume.contact.name}.`
+          : "No name found; check the Resume Outline in step 1."}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={() => download("docx")}
+          disabled={isBuilding}
+          className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+        >
+          Download DOCX
+        </button>
+        <button
+          onClick={() => download("pdf")}
+          disabled={isBuilding}
+          className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+        >
+          Download PDF
+        </button>
+      </div>
+      {error && <p className="mt-3 text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default ResumeDownload;
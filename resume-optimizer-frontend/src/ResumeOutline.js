@@ -0,0 +1,264 @@
+import React, { useMemo, useState } from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import {
+  SECTION_TITLES,
+  formatResume,
+  parseResume,
+  parseSkillLine,
+} from "./resumeParser";
+
+// Editable fields of each entry section, and the list shown one item per line
+const ENTRY_SECTIONS = [
+  {
+    id: "experience",
+    fields: [
+      ["title", "Title"],
+      ["company", "Company"],
+      ["location", "Location"],
+      ["dates", "Dates"],
+    ],
+    list: ["bullets", "Bullet points"],
+  },
+  {
+    id: "education",
+    fields: [
+      ["school", "School"],
+      ["degree", "Degree"],
+      ["dates", "Dates"],
+    ],
+    list: ["details", "Details"],
+  },
+  {
+    id: "projects",
+    fields: [
+      ["name", "Name"],
+      ["details", "Details"],
+      ["dates", "Dates"],
+    ],
+    list: ["bullets", "Bullet points"],
+  },
+];
+
+const inputClassName =
+  "w-full border border-slate-300 rounded-lg py-1 px-2 text-slate-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const emptyEntry = ({ fields, list }) => ({
+  ...Object.fromEntries(fields.map(([key]) => [key, ""])),
+  [list[0]]: [],
+});
+
+const TextField = ({ label, value, onChange }) => (
+  <label className="block text-xs font-semibold text-slate-500">
+    {label}
+    <input
+      type="text"
+      aria-label={label}
+      className={inputClassName}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  </label>
+);
+
+// A list edited as a textarea with one item per line
+const ListField = ({ label, items, onChange, rows = 3 }) => (
+  <label className="block text-xs font-semibold text-slate-500">
+    {label} (one per line)
+    <textarea
+      aria-label={label}
+      className={inputClassName}
+      rows={Math.max(rows, items.length)}
+      value={items.join("\n")}
+      onChange={(e) => onChange(e.target.value.split("\n"))}
+    ></textarea>
+  </label>
+);
+
+// The resume parsed into sections and entries. Edits stay in a draft until
+// applied, which rewrites the resume text from the outline.
+const ResumeOutline = ({ resumeText, onApply }) => {
+  const parsed = useMemo(() => parseResume(resumeText), [resumeText]);
+  const [draft, setDraft] = useState(null);
+  const resume = draft || parsed;
+
+  const update = (changes) => setDraft({ ...resume, ...changes });
+
+  const updateEntry = (sectionId, index, changes) =>
+    update({
+      [sectionId]: resume[sectionId].map((entry, i) =>
+        i === index ? { ...entry, ...changes } : entry
+      ),
+    });
+
+  const apply = () => {
+    onApply(formatResume(resume));
+    setDraft(null);
+  };
+
+  if (!resumeText.trim()) {
+    return (
+      <p className="text-slate-500 text-sm mt-3">
+        Add your resume above to see it broken into sections.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-3 space-y-6">
+      <div>
+        <h3 className="font-semibold text-slate-700 mb-2">Contact</h3>
+        <div className="grid sm:grid-cols-2 gap-2">
+          {[
+            ["name", "Name"],
+            ["email", "Email"],
+            ["phone", "Phone"],
+            ["location", "Location"],
+          ].map(([key, label]) => (
+            <TextField
+              key={key}
+              label={label}
+              value={resume.contact[key]}
+              onChange={(value) =>
+                update({ contact: { ...resume.contact, [key]: value } })
+              }
+            />
+          ))}
+        </div>
+        <div className="mt-2">
+          <ListField
+            label="Links"
+            rows={1}
+            items={resume.contact.links}
+            onChange={(links) =>
+              update({ contact: { ...resume.contact, links } })
+            }
+          />
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-slate-700 mb-2">
+          {SECTION_TITLES.summary}
+        </h3>
+        <textarea
+          aria-label="Summary"
+          className={inputClassName}
+          rows="3"
+          value={resume.summary}
+          onChange={(e) => update({ summary: e.target.value })}
+        ></textarea>
+      </div>
+
+      {ENTRY_SECTIONS.map((section) => (
+        <div key={section.id}>
+          <h3 className="font-semibold text-slate-700 mb-2">
+            {SECTION_TITLES[section.id]} ({resume[section.id].length})
+          </h3>
+          <ol className="space-y-3">
+            {resume[section.id].map((entry, index) => (
+              <li
+                key={index}
+                className="bg-white p-3 rounded-xl border border-slate-200"
+              >
+                <div className="grid sm:grid-cols-2 gap-2 mb-2">
+                  {section.fields.map(([key, label]) => (
+                    <TextField
+                      key={key}
+                      label={label}
+                      value={entry[key]}
+                      onChange={(value) =>
+                        updateEntry(section.id, index, { [key]: value })
+                      }
+                    />
+                  ))}
+                </div>
+                <ListField
+                  label={section.list[1]}
+                  items={entry[section.list[0]]}
+                  onChange={(items) =>
+                    updateEntry(section.id, index, { [section.list[0]]: items })
+                  }
+                />
+                <button
+                  onClick={() =>
+                    update({
+                      [section.id]: resume[section.id].filter(
+                        (_, i) => i !== index
+                      ),
+                    })
+                  }
+                  className={`${smallButtonClassName} mt-2 bg-white hover:bg-red-50 text-red-700 border border-red-200`}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ol>
+          <button
+            onClick={() =>
+              update({
+                [section.id]: [...resume[section.id], emptyEntry(section)],
+              })
+            }
+            className={`${smallButtonClassName} mt-2 bg-slate-100 hover:bg-slate-200 text-slate-700`}
+          >
+            Add {SECTION_TITLES[section.id]} Entry
+          </button>
+        </div>
+      ))}
+
+      <div>
+        <h3 className="font-semibold text-slate-700 mb-2">
+          {SECTION_TITLES.skills}
+        </h3>
+        <ListField
+          label="Skills"
+          items={resume.skills.map(({ category, items }) =>
+            category ? `${category}: ${items.join(", ")}` : items.join(", ")
+          )}
+          onChange={(lines) => update({ skills: lines.map(parseSkillLine) })}
+        />
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-slate-700 mb-2">
+          {SECTION_TITLES.certifications}
+        </h3>
+        <ListField
+          label="Certifications"
+          items={resume.certifications}
+          onChange={(certifications) => update({ certifications })}
+        />
+      </div>
+
+      {resume.otherSections.length > 0 && (
+        <p className="text-slate-500 text-sm">
+          Also kept as written:{" "}
+          {resume.otherSections.map((section) => section.heading).join(", ")}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={apply}
+          disabled={!draft}
+          className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+        >
+          Apply Outline to Resume
+        </button>
+        <button
+          onClick={() => setDraft(null)}
+          disabled={!draft}
+          className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+        >
+          Discard Edits
+        </button>
+        {draft && (
+          <span className="text-sm text-slate-500">Unapplied edits</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResumeOutline;
@@ -0,0 +1,31 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import ResumeOutline from "./ResumeOutline";
+
+const RESUME = `Jane Doe
+jane@example.com
+
+Experience
+Engineer | Acme | 2019 - 2021
+• Built things`;
+
+test("applies outline edits back to the resume text", () => {
+  const onApply = jest.fn();
+  render(<ResumeOutline resumeText={RESUME} onApply={onApply} />);
+
+  expect(screen.getByText("Apply Outline to Resume")).toBeDisabled();
+  fireEvent.change(screen.getByLabelText("Title"), {
+    target: { value: "Senior Engineer" },
+  });
+  fireEvent.change(screen.getByLabelText("Bullet points"), {
+    target: { value: "Built things\nLed a team of 3" },
+  });
+  fireEvent.click(screen.getByText("Apply Outline to Resume"));
+
+  expect(onApply).toHaveBeenCalledWith(`Jane Doe
+jane@example.com
+
+EXPERIENCE
+Senior Engineer | Acme | 2019 - 2021
+• Built things
+• Led a team of 3`);
+});
@@ -0,0 +1,157 @@
+import React, { useMemo } from "react";
+import { resumeMetrics } from "./resumeMetrics";
+
+const SEVERITY_CLASSES = {
+  high: "bg-red-100 text-red-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-slate-200 text-slate-700",
+};
+
+const Stat = ({ label, value, detail }) => (
+  <div className="bg-white p-3 rounded-lg border border-slate-200 text-center">
+    <p className="text-2xl font-bold text-slate-800">{value}</p>
+    <p className="text-sm font-semibold text-slate-600">{label}</p>
+    {detail && <p className="text-xs text-slate-500 mt-1">{detail}</p>}
+  </div>
+);
+
+const formatPercent = (share, digits = 0) =>
+  `${(share * 100).toFixed(digits)}%`;
+
+// Length, readability, keyword density and section balance of the current
+// resume text (see resumeMetrics.js)
+const ResumeStats = ({ resumeText, matchedKeywords }) => {
+  const metrics = useMemo(
+    () => resumeMetrics(resumeText, matchedKeywords),
+    [resumeText, matchedKeywords]
+  );
+
+  if (!resumeText.trim()) {
+    return (
+      <p className="text-slate-500 mt-3">
+        Add your resume in step 1 to see its stats.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-3 space-y-5">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <Stat label="Words" value={metrics.wordCount} />
+        <Stat
+          label="Est. pages"
+          value={metrics.pageCount}
+          detail="Single-spaced"
+        />
+        <Stat
+          label="Avg. bullet"
+          value={
+            metrics.averageBulletWords === null
+              ? "–"
+              : `${metrics.averageBulletWords} words`
+          }
+          detail={`${metrics.bulletCount} bullet point(s)`}
+        />
+        <Stat
+          label="Readability"
+          value={metrics.readability ? metrics.readability.score : "–"}
+          detail={metrics.readability && metrics.readability.label}
+        />
+      </div>
+
+      {metrics.warnings.length > 0 && (
+        <ul className="space-y-2">
+          {metrics.warnings.map((warning) => (
+            <li key={warning.id} className="text-sm text-slate-700">
+              <span
+                className={`${
+                  SEVERITY_CLASSES[warning.severity]
+                } text-xs font-semibold px-2 py-0.5 rounded-full mr-2 capitalize`}
+              >
+                {warning.severity}
+              </span>
+              {warning.text}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-5">
+        <div>
+          <h4 className="text-sm font-bold text-slate-700 mb-2">
+            Most repeated terms
+          </h4>
+          {metrics.keywords.length === 0 ? (
+            <p className="text-sm text-slate-500">No repeated terms.</p>
+          ) : (
+            <table className="w-full text-sm text-slate-700">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="font-semibold pb-1">Term</th>
+                  <th className="font-semibold pb-1 text-right">Uses</th>
+                  <th className="font-semibold pb-1 text-right">Density</th>
+                </tr>
+              </thead>
+              <tbody>
+                {metrics.keywords.map((keyword) => (
+                  <tr
+                    key={keyword.term}
+                    className={
+                      keyword.stuffed ? "text-red-700 font-semibold" : ""
+                    }
+                  >
+                    <td className="py-0.5">
+                      {keyword.term}
+                      {keyword.inJobDescription && (
+                        <span
+                          className="ml-2 text-xs text-indigo-700"
+                          title="The job description asks for this term"
+                        >
+                          JD
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-0.5 text-right">{keyword.count}</td>
+                    <td className="py-0.5 text-right">
+                      {formatPercent(keyword.density, 1)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <h4 className="text-sm font-bold text-slate-700 mb-2">
+            Section balance
+          </h4>
+          {metrics.sections.length === 0 ? (
+            <p className="text-sm text-slate-500">No section headings found.</p>
+          ) : (
+            <div className="space-y-2">
+              {metrics.sections.map((section, index) => (
+                <div key={index}>
+                  <div className="flex justify-between text-sm text-slate-700">
+                    <span className="font-semibold">{section.title}</span>
+                    <span>
+                      {section.words} words · {formatPercent(section.share)}
+                    </span>
+                  </div>
+                  <div className="w-full bg-slate-200 rounded-full h-2">
+                    <div
+                      className="bg-indigo-500 h-2 rounded-full"
+                      style={{ width: formatPercent(section.share) }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResumeStats;
@@ -0,0 +1,230 @@
+import React, { useMemo, useState } from "react";
+import { smallButtonClassName } from "./buttonStyles";
+import { compareKeywords } from "./keywords";
+import { scoreMatch } from "./matchScore";
+import { scoreColor } from "./ScoreCard";
+import { sideBySideRows } from "./versions";
+
+const CURRENT = "current";
+
+const cellClassNames = {
+  equal: "text-slate-700",
+  removed: "bg-red-100 text-red-700",
+  added: "bg-green-100 text-green-800",
+};
+
+const scoreAgainst = (text, jdText, synonymGroups) => {
+  if (!jdText.trim()) return null;
+  const { matched, missing } = compareKeywords(text, jdText, synonymGroups);
+  return scoreMatch(jdText, { matched, missing }).score;
+};
+
+const DiffCell = ({ side }) => (
+  <td
+    className={`p-1 px-2 align-top whitespace-pre-wrap break-words w-1/2 ${
+      side ? cellClassNames[side.type] : "bg-slate-50"
+    }`}
+  >
+    {side ? side.text || " " : ""}
+  </td>
+);
+
+// Saved snapshots of the resume (newest first), each scored against the
+// current job description, with a side-by-side diff between any two of
+// them or the current text
+const ResumeVersions = ({
+  versions,
+  resumeText,
+  jdText,
+  synonymGroups,
+  onSave,
+  onRestore,
+  onDelete,
+}) => {
+  const [name, setName] = useState("");
+  const [leftId, setLeftId] = useState("");
+  const [rightId, setRightId] = useState(CURRENT);
+
+  const scores = useMemo(
+    () =>
+      Object.fromEntries(
+        versions.map((version) => [
+          version.id,
+          scoreAgainst(version.text, jdText, synonymGroups),
+        ])
+      ),
+    [versions, jdText, synonymGroups]
+  );
+
+  const textOf = (id) =>
+    id === CURRENT
+      ? resumeText
+      : (versions.find((version) => version.id === id) || {}).text;
+
+  // Until the user picks (or when a picked version is deleted), compare the
+  // newest version with the current text
+  const left =
+    textOf(leftId) !== undefined
+      ? leftId
+      : versions.length > 0
+        ? versions[0].id
+        : CURRENT;
+  const right = textOf(rightId) !== undefined ? rightId : CURRENT;
+  const rows = sideBySideRows(textOf(left), textOf(right));
+
+  const save = () => {
+    onSave(name.trim());
+    setName("");
+  };
+
+  const options = [
+    { id: CURRENT, label: "Current resume" },
+    ...versions.map((version) => ({ id: version.id, label: version.name })),
+  ];
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <input
+          type="text"
+          aria-label="Version name"
+          placeholder="Version name (optional)"
+          className="flex-grow border border-slate-300 rounded-lg py-1 px-2 text-slate-700"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && resumeText.trim()) save();
+          }}
+        />
+        <button
+          onClick={save}
+          disabled={!resumeText.trim()}
+          className={`${smallButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+        >
+          Save Version
+        </button>
+      </div>
+
+      {versions.length === 0 ? (
+        <p className="text-slate-500 text-sm">
+          No versions yet. A version is also saved automatically before any AI
+          change is applied to your resume.
+        </p>
+      ) : (
+        <>
+          <ul className="divide-y divide-slate-200 border border-slate-200 rounded-lg bg-white mb-4">
+            {versions.map((version) => {
+              const score = scores[version.id];
+              return (
+                <li
+                  key={version.id}
+                  className="flex flex-wrap items-center gap-3 p-2 text-sm"
+                >
+                  <span className="flex-grow min-w-0">
+                    <span className="font-semibold text-slate-800">
+                      {version.name}
+                    </span>{" "}
+                    <span className="text-slate-500">
+                      {version.automatic ? "Auto" : "Saved"} ·{" "}
+                      {new Date(version.createdAt).toLocaleString()}
+                    </span>
+                  </span>
+                  <span
+                    className={`font-bold ${
+                      score === null || score === undefined
+                        ? "text-slate-400"
+                        : scoreColor(score).text
+                    }`}
+                    title="Match score against the current job description"
+                  >
+                    {score === null || score === undefined
+                      ? "n/a"
+                      : `${score}%`}
+                  </span>
+                  <button
+                    onClick={() => onRestore(version)}
+                    disabled={version.text === resumeText}
+                    className={`${smallButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => onDelete(version.id)}
+                    className={`${smallButtonClassName} bg-white hover:bg-red-50 text-red-700 border border-red-200`}
+                  >
+                    Delete
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="flex flex-wrap items-center gap-3 mb-2 text-sm text-slate-700">
+            <label>
+              Compare{" "}
+              <select
+                className="border border-slate-300 rounded-lg py-1 px-2"
+                value={left}
+                onChange={(e) => setLeftId(e.target.value)}
+              >
+                {options.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              with{" "}
+              <select
+                className="border border-slate-300 rounded-lg py-1 px-2"
+                value={right}
+                onChange={(e) => setRightId(e.target.value)}
+              >
+                {options.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {left === right ? (
+            <p className="text-slate-500 text-sm">
+              Pick two different versions to compare.
+            </p>
+          ) : rows.every((row) => row.left && row.left.type === "equal") ? (
+            <p className="text-slate-500 text-sm">
+              These versions are the same.
+            </p>
+          ) : (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full text-sm text-left border border-slate-200 table-fixed">
+                <thead className="bg-slate-100 text-slate-700">
+                  <tr>
+                    <th className="p-2">
+                      {options.find((option) => option.id === left).label}
+                    </th>
+                    <th className="p-2">
+                      {options.find((option) => option.id === right).label}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={index} className="border-t border-slate-100">
+                      <DiffCell side={row.left} />
+                      <DiffCell side={row.right} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ResumeVersions;
@@ -0,0 +1,82 @@
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import ResumeVersions from "./ResumeVersions";
+
+const VERSIONS = [
+  {
+    id: "b",
+    name: "Before AI rewrite",
+    text: "Built dashboards with Python",
+    automatic: true,
+    createdAt: 2,
+  },
+  {
+    id: "a",
+    name: "First draft",
+    text: "Built dashboards",
+    automatic: false,
+    createdAt: 1,
+  },
+];
+
+const renderVersions = (props = {}) => {
+  const handlers = {
+    onSave: jest.fn(),
+    onRestore: jest.fn(),
+    onDelete: jest.fn(),
+  };
+  render(
+    <ResumeVersions
+      versions={VERSIONS}
+      resumeText="Built dashboards with Python and SQL"
+      jdText="Required: Python and SQL."
+      synonymGroups={[]}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+test("shows each version's score against the job description", () => {
+  renderVersions();
+  const items = screen.getAllByRole("listitem");
+  expect(within(items[0]).getByText("50%")).toBeInTheDocument();
+  expect(within(items[1]).getByText("0%")).toBeInTheDocument();
+});
+
+test("saves, restores and deletes versions", () => {
+  const { onSave, onRestore, onDelete } = renderVersions();
+
+  fireEvent.change(screen.getByLabelText("Version name"), {
+    target: { value: "Tailored for Acme" },
+  });
+  fireEvent.click(screen.getByText("Save Version"));
+  expect(onSave).toHaveBeenCalledWith("Tailored for Acme");
+
+  fireEvent.click(screen.getAllByText("Restore")[1]);
+  expect(onRestore).toHaveBeenCalledWith(VERSIONS[1]);
+  fireEvent.click(screen.getAllByText("Delete")[0]);
+  expect(onDelete).toHaveBeenCalledWith("b");
+});
+
+test("compares two versions side by side", () => {
+  renderVersions();
+  // The newest version against the current text by default
+  expect(screen.getByText("Built dashboards with Python")).toHaveClass(
+    "bg-red-100"
+  );
+  expect(screen.getByText("Built dashboards with Python and SQL")).toHaveClass(
+    "bg-green-100"
+  );
+
+  fireEvent.change(screen.getByLabelText(/with/), {
+    target: { value: "b" },
+  });
+  fireEvent.change(screen.getByLabelText(/Compare/), {
+    target: { value: "a" },
+  });
+  expect(screen.getByText("Built dashboards")).toHaveClass("bg-red-100");
+  expect(screen.getByRole("table")).toHaveTextContent(
+    "Built dashboards with Python"
+  );
+});
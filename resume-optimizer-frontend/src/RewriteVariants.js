@@ -0,0 +1,51 @@
+import React from "react";
+import DiffView from "./DiffView";
+import { addedKeywords } from "./rewrite";
+
+// Alternative rewrites of one bullet, each diffed against the original with
+// the JD keywords it adds, and an action to apply it to the resume.
+const RewriteVariants = ({
+  original,
+  variants,
+  jdKeywords,
+  applied,
+  onApply,
+}) => (
+  <ol className="space-y-3">
+    {variants.map((variant, index) => {
+      const keywords = addedKeywords(original, variant, jdKeywords);
+      const isApplied = applied === variant;
+      return (
+        <li
+          key={index}
+          className="bg-white p-4 rounded-xl border border-slate-200 shadow-sm"
+        >
+          <p className="text-xs font-semibold text-slate-500 mb-1">
+            Option {index + 1}
+          </p>
+          <p className="text-slate-800 font-medium mb-2">{variant}</p>
+          <DiffView before={original} after={variant} />
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            {keywords.map((keyword) => (
+              <span
+                key={keyword}
+                className="bg-green-100 text-green-800 text-xs font-semibold px-2 py-1 rounded-full"
+              >
+                + {keyword}
+              </span>
+            ))}
+            <button
+              onClick={() => onApply(variant)}
+              disabled={isApplied}
+              className="ml-auto text-sm bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-1 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isApplied ? "Applied" : "Apply to Resume"}
+            </button>
+          </div>
+        </li>
+      );
+    })}
+  </ol>
+);
+
+export default RewriteVariants;
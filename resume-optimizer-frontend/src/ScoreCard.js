@@ -0,0 +1,52 @@
+import React from "react";
+
+// Tailwind colors for a 0-100 score
+export const scoreColor = (score) => {
+  if (score >= 75) return { text: "text-green-700", bar: "bg-green-500" };
+  if (score >= 50) return { text: "text-yellow-700", bar: "bg-yellow-500" };
+  return { text: "text-red-700", bar: "bg-red-500" };
+};
+
+// Overall ATS match score with a bar per keyword category
+const ScoreCard = ({ result }) => {
+  if (!result || result.score === null) return null;
+
+  const overall = scoreColor(result.score);
+
+  return (
+    <div className="bg-slate-50 p-5 rounded-xl border border-slate-200 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-6">
+        <div className="text-center sm:w-40 flex-shrink-0">
+          <p className={`text-5xl font-bold ${overall.text}`}>{result.score}</p>
+          <p className="text-slate-600 text-sm font-semibold mt-1">
+            ATS Match Score
+          </p>
+        </div>
+        <div className="flex-grow space-y-2">
+          {result.categories.map((category) => {
+            const colors = scoreColor(category.score);
+            return (
+              <div key={category.id}>
+                <div className="flex justify-between text-sm text-slate-700">
+                  <span className="font-semibold">{category.label}</span>
+                  <span>
+                    {category.matched}/{category.total} terms ·{" "}
+                    <span className={colors.text}>{category.score}%</span>
+                  </span>
+                </div>
+                <div className="w-full bg-slate-200 rounded-full h-2">
+                  <div
+                    className={`${colors.bar} h-2 rounded-full`}
+                    style={{ width: `${category.score}%` }}
+                  ></div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreCard;
@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import { compactButtonClassName } from "./buttonStyles";
+import { scoreColor } from "./ScoreCard";
+
+const formatDate = (timestamp) =>
+  timestamp && timestamp.toDate ? timestamp.toDate().toLocaleString() : "";
+
+// One saved session with inline rename and a confirm step before deleting
+const SessionItem = ({ session, isCurrent, onOpen, onRename, onDelete }) => {
+  const [title, setTitle] = useState(null);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+
+  const saveTitle = () => {
+    if (title.trim() && title.trim() !== session.title) {
+      onRename(session.id, title.trim());
+    }
+    setTitle(null);
+  };
+
+  return (
+    <li
+      className={`p-3 rounded-xl border ${
+        isCurrent
+          ? "border-indigo-400 bg-indigo-50"
+          : "border-slate-200 bg-white"
+      }`}
+    >
+      {title === null ? (
+        <button
+          onClick={() => onOpen(session)}
+          className="block w-full text-left font-semibold text-slate-800 hover:text-indigo-700"
+        >
+          {session.title}
+        </button>
+      ) : (
+        <input
+          type="text"
+          aria-label="Session name"
+          autoFocus
+          className="w-full border border-slate-300 rounded-lg py-1 px-2 text-sm text-slate-700"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={saveTitle}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") saveTitle();
+            if (e.key === "Escape") setTitle(null);
+          }}
+        />
+      )}
+      <div className="flex items-center gap-2 mt-1 text-xs text-slate-500">
+        <span>{formatDate(session.updatedAt)}</span>
+        {typeof session.score === "number" && (
+          <span
+            className={`ml-auto font-bold ${scoreColor(session.score).text}`}
+          >
+            {session.score}%
+          </span>
+        )}
+      </div>
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={() => setTitle(session.title)}
+          className={`${compactButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+        >
+          Rename
+        </button>
+        {isConfirmingDelete ? (
+          <>
+            <button
+              onClick={() => onDelete(session.id)}
+              className={`${compactButtonClassName} bg-red-600 hover:bg-red-700 text-white`}
+            >
+              Confirm Delete
+            </button>
+            <button
+              onClick={() => setIsConfirmingDelete(false)}
+              className={`${compactButtonClassName} bg-slate-100 hover:bg-slate-200 text-slate-700`}
+            >
+              Keep
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setIsConfirmingDelete(true)}
+            className={`${compactButtonClassName} bg-white hover:bg-red-50 text-red-700 border border-red-200`}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Sidebar listing the user's saved analysis sessions
+const SessionHistory = ({
+  sessions,
+  currentSessionId,
+  isAvailable,
+  onOpen,
+  onRename,
+  onDelete,
+  onNew,
+}) => (
+  <aside className="w-full lg:w-72 lg:flex-shrink-0 bg-white shadow-md rounded-2xl p-4 lg:sticky lg:top-4">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="text-xl font-semibold text-slate-800">History</h2>
+      <button
+        onClick={onNew}
+        className={`${compactButtonClassName} bg-indigo-600 hover:bg-indigo-700 text-white`}
+      >
+        New Analysis
+      </button>
+    </div>
+    {!isAvailable ? (
+      <p className="text-sm text-slate-500">
+        Sign-in isn't available, so analyses won't be saved.
+      </p>
+    ) : sessions.length === 0 ? (
+      <p className="text-sm text-slate-500">
+        Analyses you run are saved here automatically.
+      </p>
+    ) : (
+      <ul className="space-y-2 max-h-[70vh] overflow-y-auto">
+        {sessions.map((session) => (
+          <SessionItem
+            key={session.id}
+            session={session}
+            isCurrent={session.id === currentSessionId}
+            onOpen={onOpen}
+            onRename={onRename}
+            onDelete={onDelete}
+          />
+        ))}
+      </ul>
+    )}
+  </aside>
+);
+
+export default SessionHistory;
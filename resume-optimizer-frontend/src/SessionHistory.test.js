@@ -0,0 +1,48 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import SessionHistory from "./SessionHistory";
+
+const SESSIONS = [
+  { id: "a", title: "Data Engineer", score: 80, updatedAt: null },
+  { id: "b", title: "ML Engineer", score: 30, updatedAt: null },
+];
+
+const renderHistory = (props = {}) => {
+  const handlers = {
+    onOpen: jest.fn(),
+    onRename: jest.fn(),
+    onDelete: jest.fn(),
+    onNew: jest.fn(),
+  };
+  render(
+    <SessionHistory
+      sessions={SESSIONS}
+      currentSessionId="a"
+      isAvailable
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+test("opens a session and renames it inline", () => {
+  const { onOpen, onRename } = renderHistory();
+
+  fireEvent.click(screen.getByText("ML Engineer"));
+  expect(onOpen).toHaveBeenCalledWith(SESSIONS[1]);
+
+  fireEvent.click(screen.getAllByText("Rename")[1]);
+  const input = screen.getByLabelText("Session name");
+  fireEvent.change(input, { target: { value: "Acme ML role" } });
+  fireEvent.keyDown(input, { key: "Enter" });
+  expect(onRename).toHaveBeenCalledWith("b", "Acme ML role");
+});
+
+test("asks for confirmation before deleting", () => {
+  const { onDelete } = renderHistory();
+
+  fireEvent.click(screen.getAllByText("Delete")[0]);
+  expect(onDelete).not.toHaveBeenCalled();
+  fireEvent.click(screen.getByText("Confirm Delete"));
+  expect(onDelete).toHaveBeenCalledWith("a");
+});
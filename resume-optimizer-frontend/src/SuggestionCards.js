@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { SEVERITIES, SUGGESTION_CATEGORIES } from "./suggestions";
+
+const SEVERITY_CLASSES = {
+  high: "bg-red-100 text-red-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-slate-200 text-slate-700",
+};
+
+const selectClassName =
+  "border border-slate-300 rounded-lg py-1 px-2 text-sm text-slate-700 bg-white";
+
+const SuggestionCard = ({ suggestion, status, onStatusChange }) => (
+  <li
+    className={`bg-white p-4 rounded-xl border border-slate-200 shadow-sm ${
+      status ? "opacity-60" : ""
+    }`}
+  >
+    <div className="flex flex-wrap items-center gap-2 mb-2">
+      <span className="bg-indigo-100 text-indigo-800 text-xs font-semibold px-2 py-1 rounded-full">
+        {suggestion.category}
+      </span>
+      <span
+        className={`${
+          SEVERITY_CLASSES[suggestion.severity]
+        } text-xs font-semibold px-2 py-1 rounded-full capitalize`}
+      >
+        {suggestion.severity}
+      </span>
+      {status && (
+        <span className="text-xs text-slate-500 capitalize">{status}</span>
+      )}
+    </div>
+    {suggestion.excerpt && (
+      <blockquote className="border-l-4 border-slate-300 pl-3 text-slate-600 italic mb-2">
+        {suggestion.excerpt}
+      </blockquote>
+    )}
+    <p
+      className={`text-slate-800 font-medium ${
+        status === "done" ? "line-through" : ""
+      }`}
+    >
+      {suggestion.change}
+    </p>
+    {suggestion.rationale && (
+      <p className="text-slate-600 text-sm mt-1">{suggestion.rationale}</p>
+    )}
+    <div className="flex gap-2 mt-3">
+      {status ? (
+        <button
+          onClick={() => onStatusChange(suggestion.id, null)}
+          className="text-sm bg-slate-100 hover:bg-slate-200 text-slate-700 py-1 px-3 rounded-lg"
+        >
+          Reopen
+        </button>
+      ) : (
+        <>
+          <button
+            onClick={() => onStatusChange(suggestion.id, "done")}
+            className="text-sm bg-green-100 hover:bg-green-200 text-green-800 py-1 px-3 rounded-lg"
+          >
+            Mark Done
+          </button>
+          <button
+            onClick={() => onStatusChange(suggestion.id, "dismissed")}
+            className="text-sm bg-slate-100 hover:bg-slate-200 text-slate-700 py-1 px-3 rounded-lg"
+          >
+            Dismiss
+          </button>
+        </>
+      )}
+    </div>
+  </li>
+);
+
+// AI suggestions as cards that can be filtered, dismissed or marked done.
+// statuses maps suggestion id -> "done" | "dismissed".
+const SuggestionCards = ({ suggestions, statuses, onStatusChange }) => {
+  const [category, setCategory] = useState("all");
+  const [severity, setSeverity] = useState("all");
+  const [showResolved, setShowResolved] = useState(false);
+
+  const resolvedCount = suggestions.filter((s) => statuses[s.id]).length;
+  const visible = suggestions
+    .filter((s) => category === "all" || s.category === category)
+    .filter((s) => severity === "all" || s.severity === severity)
+    .filter((s) => showResolved || !statuses[s.id])
+    .sort(
+      (a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+        a.id - b.id
+    );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <select
+          aria-label="Filter by category"
+          className={selectClassName}
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+        >
+          <option value="all">All categories</option>
+          {SUGGESTION_CATEGORIES.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Filter by severity"
+          className={selectClassName}
+          value={severity}
+          onChange={(e) => setSeverity(e.target.value)}
+        >
+          <option value="all">All severities</option>
+          {SEVERITIES.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-slate-700">
+          <input
+            type="checkbox"
+            checked={showResolved}
+            onChange={(e) => setShowResolved(e.target.checked)}
+          />
+          Show done/dismissed ({resolvedCount})
+        </label>
+      </div>
+      {visible.length > 0 ? (
+        <ul className="space-y-3">
+          {visible.map((suggestion) => (
+            <SuggestionCard
+              key={suggestion.id}
+              suggestion={suggestion}
+              status={statuses[suggestion.id]}
+              onStatusChange={onStatusChange}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-slate-500">No suggestions match these filters.</p>
+      )}
+    </div>
+  );
+};
+
+export default SuggestionCards;
@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_SYNONYMS,
+  formatSynonymLines,
+  parseSynonymLines,
+} from "./synonyms";
+
+// Collapsible editor for user-defined synonym groups, one group per line
+const SynonymEditor = ({ customSynonyms, onChange }) => {
+  const [draft, setDraft] = useState(formatSynonymLines(customSynonyms));
+
+  return (
+    <details className="mt-6 bg-slate-50 p-4 rounded-xl border border-slate-200">
+      <summary className="cursor-pointer font-semibold text-slate-700">
+        Keyword Synonyms ({DEFAULT_SYNONYMS.length} built in,{" "}
+        {customSynonyms.length} custom)
+      </summary>
+      <p className="text-slate-600 text-sm mt-3 mb-2">
+        Terms on the same line count as the same keyword. Put one group per
+        line, separated by commas, e.g.{" "}
+        <code>PostgreSQL, Postgres, psql</code>.
+      </p>
+      <textarea
+        id="synonym-input"
+        aria-label="Custom synonyms"
+        className="shadow-sm appearance-none border border-slate-300 rounded-lg w-full py-3 px-4 text-slate-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        rows="4"
+        placeholder="PostgreSQL, Postgres, psql"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+      ></textarea>
+      <button
+        onClick={() => onChange(parseSynonymLines(draft))}
+        className="mt-2 bg-slate-200 hover:bg-slate-300 text-slate-700 font-semibold py-2 px-4 rounded-lg"
+      >
+        Save Synonyms
+      </button>
+    </details>
+  );
+};
+
+export default SynonymEditor;
@@ -0,0 +1,149 @@
+// Local cache of AI responses, so repeating a request (clicking Get AI
+// Suggestions twice on unchanged text, reopening an old analysis) is instant
+// and free. Responses are kept in IndexedDB, keyed by a SHA-256 hash of the
+// provider, model and full prompt; the prompt already holds the template and
+// every input, so editing either one misses the cache. Without IndexedDB the
+// cache only lasts until the page reloads. Entries are
+// { key, text, createdAt, usedAt }.
+
+// Limits on what the cache keeps; the least recently used responses go first
+export const MAX_CACHE_ENTRIES = 200;
+// Total length of the cached responses, in characters
+export const MAX_CACHE_CHARS = 5000000;
+
+const DB_NAME = "resumeOptimizer";
+const STORE_NAME = "aiResponses";
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+// Resolves with the cache key for a request, or null when the browser can't
+// hash (crypto.subtle only exists on https and localhost)
+export const cacheKey = async ({
+  provider,
+  model,
+  baseUrl = "",
+  task = "",
+  json = false,
+  prompt,
+}) => {
+  const subtle = window.crypto && window.crypto.subtle;
+  if (!subtle) return null;
+  const data = new TextEncoder().encode(
+    JSON.stringify([provider, model, baseUrl, task, Boolean(json), prompt])
+  );
+  return toHex(await subtle.digest("SHA-256", data));
+};
+
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const indexedDbStore = () => {
+  const opening = window.indexedDB.open(DB_NAME, 1);
+  opening.onupgradeneeded = () =>
+    opening.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+  const database = settle(opening);
+  const run = async (mode, action) =>
+    settle(
+      action(
+        (await database).transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+      )
+    );
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    getAll: () => run("readonly", (store) => store.getAll()),
+    put: (entry) => run("readwrite", (store) => store.put(entry)),
+    delete: (key) => run("readwrite", (store) => store.delete(key)),
+    clear: () => run("readwrite", (store) => store.clear()),
+  };
+};
+
+const memoryStore = () => {
+  const entries = new Map();
+  return {
+    get: async (key) => entries.get(key),
+    getAll: async () => [...entries.values()],
+    put: async (entry) => {
+      entries.set(entry.key, entry);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    clear: async () => entries.clear(),
+  };
+};
+
+let store = null;
+
+const cacheStore = () => {
+  if (!store) {
+    store = window.indexedDB ? indexedDbStore() : memoryStore();
+  }
+  return store;
+};
+
+// Drops the least recently used responses until the cache fits its limits
+const trimCache = async () => {
+  const entries = (await cacheStore().getAll()).sort(
+    (a, b) => b.usedAt - a.usedAt
+  );
+  let chars = 0;
+  const evicted = entries.filter((entry, index) => {
+    chars += entry.text.length;
+    return index >= MAX_CACHE_ENTRIES || chars > MAX_CACHE_CHARS;
+  });
+  await Promise.all(evicted.map((entry) => cacheStore().delete(entry.key)));
+};
+
+// Resolves with the cached { text, createdAt } for a key, or null. A broken
+// cache counts as a miss.
+export const readCachedResponse = async (key) => {
+  if (!key) return null;
+  try {
+    const entry = await cacheStore().get(key);
+    if (!entry) return null;
+    await cacheStore().put({ ...entry, usedAt: Date.now() });
+    return { text: entry.text, createdAt: entry.createdAt };
+  } catch (error) {
+    console.error("Could not read the AI response cache:", error);
+    return null;
+  }
+};
+
+export const writeCachedResponse = async (key, text) => {
+  if (!key || !text) return;
+  try {
+    const now = Date.now();
+    await cacheStore().put({ key, text, createdAt: now, usedAt: now });
+    await trimCache();
+  } catch (error) {
+    console.error("Could not write the AI response cache:", error);
+  }
+};
+
+// Resolves with { entries, chars } for showing how full the cache is
+export const aiCacheStats = async () => {
+  try {
+    const entries = await cacheStore().getAll();
+    return {
+      entries: entries.length,
+      chars: entries.reduce((sum, entry) => sum + entry.text.length, 0),
+    };
+  } catch (error) {
+    console.error("Could not read the AI response cache:", error);
+    return { entries: 0, chars: 0 };
+  }
+};
+
+export const clearAiCache = async () => {
+  try {
+    await cacheStore().clear();
+  } catch (error) {
+    console.error("Could not clear the AI response cache:", error);
+  }
+};
@@ -0,0 +1,103 @@
+import { webcrypto } from "crypto";
+import {
+  aiCacheStats,
+  cacheKey,
+  clearAiCache,
+  MAX_CACHE_CHARS,
+  MAX_CACHE_ENTRIES,
+  readCachedResponse,
+  writeCachedResponse,
+} from "./aiCache";
+
+// jsdom has neither crypto.subtle nor IndexedDB, so these run against the
+// in-memory fallback
+beforeAll(() => {
+  window.crypto = webcrypto;
+});
+
+afterAll(() => {
+  delete window.crypto;
+});
+
+afterEach(async () => {
+  await clearAiCache();
+  jest.restoreAllMocks();
+});
+
+const request = {
+  provider: "gemini",
+  model: "gemini-2.0-flash",
+  task: "suggestions",
+  json: true,
+  prompt: "Resume: ...",
+};
+
+test("keys depend on the provider, model and prompt", async () => {
+  const key = await cacheKey(request);
+
+  expect(key).toMatch(/^[0-9a-f]{64}$/);
+  expect(await cacheKey({ ...request })).toBe(key);
+  expect(await cacheKey({ ...request, model: "gemini-1.5-pro" })).not.toBe(key);
+  expect(await cacheKey({ ...request, prompt: "Resume: ...!" })).not.toBe(key);
+  expect(await cacheKey({ ...request, json: false })).not.toBe(key);
+});
+
+test("there is no key where the browser can't hash", async () => {
+  delete window.crypto;
+  try {
+    await expect(cacheKey(request)).resolves.toBeNull();
+    await expect(readCachedResponse(null)).resolves.toBeNull();
+  } finally {
+    window.crypto = webcrypto;
+  }
+});
+
+test("stores and reads back responses", async () => {
+  jest.spyOn(Date, "now").mockReturnValue(1000);
+  const key = await cacheKey(request);
+
+  await expect(readCachedResponse(key)).resolves.toBeNull();
+  await writeCachedResponse(key, '{"suggestions": []}');
+
+  await expect(readCachedResponse(key)).resolves.toEqual({
+    text: '{"suggestions": []}',
+    createdAt: 1000,
+  });
+  await expect(aiCacheStats()).resolves.toEqual({ entries: 1, chars: 19 });
+
+  await clearAiCache();
+  await expect(readCachedResponse(key)).resolves.toBeNull();
+});
+
+test("evicts the least recently used responses beyond the entry limit", async () => {
+  let now = 0;
+  jest.spyOn(Date, "now").mockImplementation(() => (now += 1));
+  for (let i = 0; i < MAX_CACHE_ENTRIES; i += 1) {
+    await writeCachedResponse(`key-${i}`, "x");
+  }
+  // Reading the oldest response makes it recently used
+  await readCachedResponse("key-0");
+
+  await writeCachedResponse("key-new", "x");
+
+  expect((await aiCacheStats()).entries).toBe(MAX_CACHE_ENTRIES);
+  await expect(readCachedResponse("key-0")).resolves.not.toBeNull();
+  await expect(readCachedResponse("key-1")).resolves.toBeNull();
+  await expect(readCachedResponse("key-new")).resolves.not.toBeNull();
+});
+
+test("evicts old responses beyond the size limit", async () => {
+  let now = 0;
+  jest.spyOn(Date, "now").mockImplementation(() => (now += 1));
+  const half = "x".repeat(MAX_CACHE_CHARS / 2);
+
+  await writeCachedResponse("first", half);
+  await writeCachedResponse("second", half);
+  await writeCachedResponse("third", "small");
+
+  await expect(readCachedResponse("first")).resolves.toBeNull();
+  await expect(aiCacheStats()).resolves.toEqual({
+    entries: 2,
+    chars: MAX_CACHE_CHARS / 2 + 5,
+  });
+});
@@ -0,0 +1,137 @@
+// Classified AI errors. A failed AI request rejects with an Error named
+// "AiError" whose kind says what went wrong, so the UI can show an
+// actionable message and llm.js can retry the transient kinds. Errors may
+// also carry status (the HTTP status), retryAfterMs (how long the service
+// asked us to wait), finishReason and partialText (what arrived before the
+// model stopped).
+
+const ERROR_KINDS = {
+  quota: {
+    label: "Quota exceeded",
+    advice:
+      "Wait a minute and try again, or pick another model under AI Model.",
+    retryable: true,
+  },
+  server: {
+    label: "The AI service had a temporary error",
+    advice: "Try again in a moment.",
+    retryable: true,
+  },
+  network: {
+    label: "Could not reach the AI service",
+    advice: "Check your connection and that the backend is running.",
+    retryable: true,
+  },
+  auth: {
+    label: "The AI service rejected the API key",
+    advice:
+      "Check GEMINI_API_KEY on the backend, or the API key under AI Model.",
+    retryable: false,
+  },
+  badRequest: {
+    label: "The AI service rejected the request",
+    advice: "Check the model name under AI Model, or shorten the input.",
+    retryable: false,
+  },
+  blocked: {
+    label: "The response was blocked by the AI's safety filters",
+    advice: "Try rephrasing, or remove sensitive details from the text.",
+    retryable: false,
+  },
+  truncated: {
+    label: "The response was truncated at the model's length limit",
+    // Streamed text has already been shown as it arrived
+    advice: ({ streamed }) =>
+      streamed
+        ? "Showing the partial result."
+        : "Try a shorter resume or job description.",
+    retryable: false,
+  },
+  empty: {
+    label: "The AI returned an empty response",
+    advice: "Try again, or pick another model under AI Model.",
+    retryable: false,
+  },
+};
+
+// Finish reasons (Gemini's, then OpenAI's) that mean the text is incomplete
+const TRUNCATED_FINISH_REASONS = new Set(["MAX_TOKENS", "length"]);
+const BLOCKED_FINISH_REASONS = new Set([
+  "SAFETY",
+  "RECITATION",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+  "content_filter",
+]);
+
+// detail is the provider's own message, shown in brackets after ours
+export const aiError = (kind, { detail = "", ...fields } = {}) => {
+  const { label, advice } = ERROR_KINDS[kind];
+  const adviceText = typeof advice === "function" ? advice(fields) : advice;
+  const error = new Error(
+    `${label}${detail ? ` (${detail.replace(/\.+$/, "")})` : ""}. ${adviceText}`
+  );
+  error.name = "AiError";
+  error.kind = kind;
+  Object.assign(error, fields);
+  return error;
+};
+
+export const isAiError = (error) => Boolean(error) && error.name === "AiError";
+
+// True for a response cut off at the model's length limit
+export const isTruncatedAiError = (error) =>
+  isAiError(error) && error.kind === "truncated";
+
+// Shown next to the partial text of a truncated response
+export const TRUNCATED_NOTICE =
+  "The response was truncated — showing partial result.";
+
+// True for failures worth retrying: rate limits, server and network errors
+export const isRetryableAiError = (error) =>
+  isAiError(error) && ERROR_KINDS[error.kind].retryable;
+
+// The error for a failed HTTP response; detail is the provider's message
+export const httpAiError = (status, detail, retryAfterMs) => {
+  let kind = "badRequest";
+  if (status === 429) kind = "quota";
+  else if (status === 401 || status === 403) kind = "auth";
+  else if (status === 408 || status >= 500) kind = "server";
+  return aiError(kind, {
+    detail: detail || `HTTP ${status}`,
+    status,
+    retryAfterMs,
+  });
+};
+
+// Milliseconds from a Retry-After header (seconds or an HTTP date), or
+// Gemini's "20s" retryDelay; undefined when there is none
+export const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = /^\s*(\d+(?:\.\d+)?)s?\s*$/.exec(value);
+  if (seconds) return Math.round(Number(seconds[1]) * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// Throws when a finish reason means the text is incomplete. streamed says
+// whether partialText has already been shown.
+export const checkFinishReason = (finishReason, partialText, streamed) => {
+  if (TRUNCATED_FINISH_REASONS.has(finishReason)) {
+    throw aiError("truncated", { finishReason, partialText, streamed });
+  }
+  if (BLOCKED_FINISH_REASONS.has(finishReason)) {
+    throw aiError("blocked", {
+      detail: finishReason,
+      finishReason,
+      partialText,
+    });
+  }
+};
+
+// "Quota exceeded, retrying in 20s..." for a retry that waits delayMs
+export const retryMessage = (error, delayMs) =>
+  `${ERROR_KINDS[error.kind].label}, retrying in ${Math.ceil(
+    delayMs / 1000
+  )}s...`;
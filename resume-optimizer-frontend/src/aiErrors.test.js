@@ -0,0 +1,87 @@
+import {
+  aiError,
+  checkFinishReason,
+  httpAiError,
+  isRetryableAiError,
+  parseRetryAfter,
+  retryMessage,
+} from "./aiErrors";
+
+test("builds actionable messages with the provider's detail", () => {
+  const error = aiError("quota", {
+    detail: "Resource exhausted.",
+    status: 429,
+  });
+
+  expect(error.name).toBe("AiError");
+  expect(error.status).toBe(429);
+  expect(error.message).toBe(
+    "Quota exceeded (Resource exhausted). Wait a minute and try again, or pick another model under AI Model."
+  );
+  expect(aiError("empty").message).toBe(
+    "The AI returned an empty response. Try again, or pick another model under AI Model."
+  );
+});
+
+test("classifies HTTP statuses and retries only transient ones", () => {
+  const kinds = [429, 401, 403, 408, 500, 503, 400, 404].map(
+    (status) => httpAiError(status, "").kind
+  );
+  expect(kinds).toEqual([
+    "quota",
+    "auth",
+    "auth",
+    "server",
+    "server",
+    "server",
+    "badRequest",
+    "badRequest",
+  ]);
+  expect(httpAiError(503, "").message).toContain("(HTTP 503)");
+
+  expect(isRetryableAiError(httpAiError(429))).toBe(true);
+  expect(isRetryableAiError(aiError("network"))).toBe(true);
+  expect(isRetryableAiError(httpAiError(403))).toBe(false);
+  expect(isRetryableAiError(new Error("Something else"))).toBe(false);
+});
+
+test("reads Retry-After seconds, dates and Gemini retry delays", () => {
+  jest.spyOn(Date, "now").mockReturnValue(Date.parse("2025-01-01T00:00:00Z"));
+
+  expect(parseRetryAfter("20")).toBe(20000);
+  expect(parseRetryAfter("1.5s")).toBe(1500);
+  expect(parseRetryAfter("Wed, 01 Jan 2025 00:00:30 GMT")).toBe(30000);
+  expect(parseRetryAfter("soon")).toBeUndefined();
+  expect(parseRetryAfter(null)).toBeUndefined();
+  Date.now.mockRestore();
+});
+
+test("turns incomplete finish reasons into errors", () => {
+  expect(() => checkFinishReason("STOP", "Done")).not.toThrow();
+  expect(() => checkFinishReason(null, "Done")).not.toThrow();
+
+  const truncated = (streamed) => {
+    try {
+      checkFinishReason("MAX_TOKENS", "Par", streamed);
+    } catch (error) {
+      return error;
+    }
+  };
+  expect(truncated(true)).toMatchObject({
+    kind: "truncated",
+    partialText: "Par",
+  });
+  expect(truncated(true).message).toBe(
+    "The response was truncated at the model's length limit. Showing the partial result."
+  );
+  expect(truncated(false).message).toContain("Try a shorter");
+  expect(() => checkFinishReason("content_filter", "")).toThrow(
+    "blocked by the AI's safety filters (content_filter)"
+  );
+});
+
+test("describes a retry and its wait", () => {
+  expect(retryMessage(httpAiError(429), 19500)).toBe(
+    "Quota exceeded, retrying in 20s..."
+  );
+});
@@ -0,0 +1,159 @@
+// ATS formatting check: turns the layout signals the backend reports for an
+// uploaded PDF or DOCX (see extract_text_from_pdf/docx in
+// ResumeBackend/app.py) and the resume text into a list of issues.
+// Each issue is { id, severity: "high" | "medium" | "low", title, detail }.
+import { parseResume, unrecognizedHeadings } from "./resumeParser";
+import { SEVERITIES } from "./suggestions";
+
+// Fonts every word processor and ATS parser handles. Compared without
+// spaces, so "TimesNewRoman" from a PDF matches too.
+const ATS_SAFE_FONTS = new Set([
+  "arial", "calibri", "cambria", "georgia", "helvetica", "timesnewroman",
+  "times", "garamond", "verdana", "tahoma", "trebuchetms", "bookantiqua",
+  "palatino", "palatinolinotype", "aptos", "segoeui", "centurygothic",
+  "liberationsans", "liberationserif", "carlito", "caladea", "dejavusans",
+  "opensans", "roboto", "lato", "couriernew", "courier",
+  // Symbol fonts Word uses for bullet glyphs
+  "symbol", "wingdings", "zapfdingbats",
+]);
+
+// "TimesNewRomanPS-BoldMT" -> "TimesNewRoman", "Calibri,Bold" -> "Calibri"
+const fontFamily = (font) =>
+  font
+    .split(/[-,]/)[0]
+    .replace(/(PS)?MT$|PS$/, "")
+    .trim();
+
+export const unusualFonts = (fonts) => [
+  ...new Set(
+    fonts
+      .map(fontFamily)
+      .filter(
+        (family) =>
+          family &&
+          !ATS_SAFE_FONTS.has(family.replace(/\s+/g, "").toLowerCase())
+      )
+  ),
+];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const quoteList = (items) => items.map((item) => `"${item}"`).join(", ");
+
+const layoutIssues = (layout) => {
+  const issues = [];
+  if (layout.columns > 1) {
+    issues.push({
+      id: "columns",
+      severity: "high",
+      title: "Multi-column layout",
+      detail:
+        "ATS parsers read straight across the page, so text from side-by-side columns can get mixed together. Use a single column.",
+    });
+  }
+  if (layout.textBoxes > 0) {
+    issues.push({
+      id: "textBoxes",
+      severity: "high",
+      title: "Text boxes",
+      detail: `Found ${plural(layout.textBoxes, "text box")}. Many ATS parsers skip text inside text boxes; move it into the document body.`,
+    });
+  }
+  if (layout.tables > 0) {
+    issues.push({
+      id: "tables",
+      severity: "medium",
+      title: "Tables",
+      detail: `Found ${plural(layout.tables, "table")}. Table cells are often read out of order or skipped${
+        layout.format === "docx"
+          ? ", and this app doesn't read them either"
+          : ""
+      }. Use plain lines instead.`,
+    });
+  }
+  if (layout.headerFooterText.length > 0) {
+    issues.push({
+      id: "headerFooter",
+      severity: "medium",
+      title: "Text in the header or footer",
+      detail: `Found ${quoteList(layout.headerFooterText)}. Many ATS parsers ignore headers and footers, so keep contact details in the main body.`,
+    });
+  }
+  if (layout.images > 0) {
+    issues.push({
+      id: "images",
+      severity: "medium",
+      title: "Images or graphics",
+      detail: `Found ${plural(layout.images, "image")}. ATS parsers can't read text in images, icons, logos or skill charts.`,
+    });
+  }
+  const fonts = unusualFonts(layout.fonts);
+  if (fonts.length > 0) {
+    issues.push({
+      id: "fonts",
+      severity: "low",
+      title: "Uncommon fonts",
+      detail: `${fonts.join(", ")} may not be available where your resume is opened. Standard fonts such as Arial, Calibri or Times New Roman are safest.`,
+    });
+  }
+  return issues;
+};
+
+const CORE_SECTIONS = [
+  { id: "experience", title: "Experience", severity: "medium" },
+  { id: "education", title: "Education", severity: "low" },
+  { id: "skills", title: "Skills", severity: "low" },
+];
+
+const textIssues = (resumeText) => {
+  const issues = [];
+  const resume = parseResume(resumeText);
+  const { contact } = resume;
+
+  const missingContact = [
+    !contact.name && "name",
+    !contact.email && "email address",
+    !contact.phone && "phone number",
+  ].filter(Boolean);
+  if (missingContact.length > 0) {
+    issues.push({
+      id: "contact",
+      severity: contact.email ? "medium" : "high",
+      title: "Missing contact details",
+      detail: `No ${missingContact.join(" or ")} found at the top of your resume. If it's in a header, text box or image, ATS parsers may not see it either.`,
+    });
+  }
+
+  const headings = unrecognizedHeadings(resumeText);
+  if (headings.length > 0) {
+    issues.push({
+      id: "headings",
+      severity: "medium",
+      title: "Non-standard section headings",
+      detail: `${quoteList(headings)} may not be recognised. Use standard headings such as Experience, Education and Skills.`,
+    });
+  }
+
+  CORE_SECTIONS.filter(
+    (section) => !resume.sectionOrder.includes(section.id)
+  ).forEach((section) =>
+    issues.push({
+      id: `section-${section.id}`,
+      severity: section.severity,
+      title: `No ${section.title} section`,
+      detail: `No "${section.title}" heading was found. ATS parsers sort your resume by its headings, so give each section a standard one.`,
+    })
+  );
+
+  return issues;
+};
+
+// Issues for the resume, most serious first. layout is null when the resume
+// wasn't uploaded as a PDF or DOCX; then only the text is checked.
+export const lintAtsFormatting = ({ layout, resumeText }) =>
+  [
+    ...(layout ? layoutIssues(layout) : []),
+    ...(resumeText.trim() ? textIssues(resumeText) : []),
+  ].sort(
+    (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  );
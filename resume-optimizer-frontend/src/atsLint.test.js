@@ -0,0 +1,91 @@
+import { lintAtsFormatting, unusualFonts } from "./atsLint";
+
+const RESUME = `Jane Doe
+jane@example.com | 555-123-4567
+
+EXPERIENCE
+Data Engineer | Acme | 2020 - Present
+• Built pipelines
+
+EDUCATION
+State University | BS Computer Science | 2019
+
+SKILLS
+Python, SQL`;
+
+const CLEAN_LAYOUT = {
+  format: "pdf",
+  pageCount: 1,
+  columns: 1,
+  tables: 0,
+  images: 0,
+  textBoxes: 0,
+  headerFooterText: [],
+  fonts: ["Calibri", "Calibri-Bold"],
+};
+
+test("finds nothing in a plain single-column resume", () => {
+  expect(
+    lintAtsFormatting({ layout: CLEAN_LAYOUT, resumeText: RESUME })
+  ).toEqual([]);
+});
+
+test("reports layout problems, most serious first", () => {
+  const issues = lintAtsFormatting({
+    layout: {
+      ...CLEAN_LAYOUT,
+      format: "docx",
+      columns: 2,
+      tables: 1,
+      images: 2,
+      headerFooterText: ["jane@example.com"],
+      fonts: ["Lobster", "TimesNewRomanPS-BoldMT"],
+    },
+    resumeText: RESUME,
+  });
+  expect(issues.map((issue) => issue.id)).toEqual([
+    "columns",
+    "tables",
+    "headerFooter",
+    "images",
+    "fonts",
+  ]);
+  expect(issues[1].detail).toMatch(/this app doesn't read them either/);
+  expect(issues[2].detail).toContain('"jane@example.com"');
+  expect(issues[4].detail).toMatch(/^Lobster may not/);
+});
+
+test("checks contact details and headings in the text", () => {
+  const issues = lintAtsFormatting({
+    layout: null,
+    resumeText: `Jane Doe
+Portland, OR
+
+WHERE I'VE WORKED
+MY TOOLBOX
+Data Engineer | Acme | 2020 - Present
+
+EDUCATION
+State University | 2019`,
+  });
+  const byId = Object.fromEntries(issues.map((issue) => [issue.id, issue]));
+
+  expect(issues[0].id).toBe("contact");
+  expect(byId.contact.severity).toBe("high");
+  expect(byId.contact.detail).toMatch(/email address or phone number/);
+  expect(byId.headings.detail).toContain('"MY TOOLBOX"');
+  expect(byId["section-experience"]).toBeDefined();
+  expect(byId["section-skills"].severity).toBe("low");
+  expect(byId["section-education"]).toBeUndefined();
+});
+
+test("treats standard font variants as safe", () => {
+  expect(
+    unusualFonts([
+      "ArialMT",
+      "Arial-BoldMT",
+      "Times New Roman",
+      "Comic Sans MS",
+    ])
+  ).toEqual(["Comic Sans MS"]);
+});
@@ -0,0 +1,69 @@
+// The Flask backend (ResumeBackend/app.py) and the document parsing it
+// provides.
+
+// Make sure this matches your Flask backend URL if you are running it locally
+export const BACKEND_URL = "http://127.0.0.1:5000";
+
+const DOCX_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Some systems leave file.type empty, so fall back to the extension
+export const documentKind = (file) => {
+  const name = (file.name || "").toLowerCase();
+  if (file.type === "text/plain" || name.endsWith(".txt")) return "text";
+  if (file.type === "application/pdf" || name.endsWith(".pdf")) return "pdf";
+  if (file.type === DOCX_TYPE || name.endsWith(".docx")) return "docx";
+  return null;
+};
+
+export const isSupportedDocument = (file) => documentKind(file) !== null;
+
+const readAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+// Resolves with { text, layout } for a .txt, .pdf or .docx file. Plain text
+// is read in the browser; PDF and DOCX are parsed by the backend, which also
+// reports layout signals for the ATS formatting check (see atsLint.js).
+// layout is null for plain text. Rejects with a message ready to show the
+// user.
+export const parseDocument = async (file, { signal } = {}) => {
+  const kind = documentKind(file);
+  if (!kind) {
+    throw new Error(
+      "Unsupported file type. Please upload a .txt, .pdf, or .docx file."
+    );
+  }
+  if (kind === "text") return { text: await readAsText(file), layout: null };
+
+  const formData = new FormData();
+  formData.append("file", file);
+
+  let response;
+  let data;
+  try {
+    response = await fetch(`${BACKEND_URL}/parse_document`, {
+      method: "POST",
+      body: formData,
+      signal,
+    });
+    data = await response.json();
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.error("Backend communication error:", error);
+    throw new Error(`Network error or backend issue: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Error parsing file: ${data.error || "Unknown error"}`);
+  }
+  return { text: data.parsedText, layout: data.layout || null };
+};
+
+// Resolves with just the text of a document (see parseDocument)
+export const parseDocumentFile = async (file, options) =>
+  (await parseDocument(file, options)).text;
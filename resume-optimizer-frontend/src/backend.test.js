@@ -0,0 +1,63 @@
+import { documentKind, parseDocument, parseDocumentFile } from "./backend";
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("recognises documents by type or extension", () => {
+  expect(documentKind({ name: "cv.PDF", type: "" })).toBe("pdf");
+  expect(documentKind({ name: "cv", type: "text/plain" })).toBe("text");
+  expect(documentKind({ name: "cv.docx", type: "" })).toBe("docx");
+  expect(documentKind({ name: "cv.png", type: "image/png" })).toBeNull();
+});
+
+test("reads text files in the browser", async () => {
+  const file = new File(["Jane Doe\nEngineer"], "cv.txt", {
+    type: "text/plain",
+  });
+  await expect(parseDocumentFile(file)).resolves.toBe("Jane Doe\nEngineer");
+});
+
+test("sends PDFs to the backend and reports its errors", async () => {
+  const file = new File(["%PDF"], "cv.pdf", { type: "application/pdf" });
+  global.fetch = jest.fn().mockResolvedValueOnce({
+    ok: true,
+    json: async () => ({ parsedText: "Parsed text" }),
+  });
+  await expect(parseDocumentFile(file)).resolves.toBe("Parsed text");
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/parse_document$/);
+
+  global.fetch.mockResolvedValueOnce({
+    ok: false,
+    json: async () => ({ error: "Corrupt PDF" }),
+  });
+  await expect(parseDocumentFile(file)).rejects.toThrow(
+    "Error parsing file: Corrupt PDF"
+  );
+});
+
+test("returns the layout signals the backend reports", async () => {
+  const layout = { format: "docx", columns: 2 };
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ parsedText: "Parsed text", layout }),
+  });
+  const file = new File(["PK"], "cv.docx", { type: "" });
+  await expect(parseDocument(file)).resolves.toEqual({
+    text: "Parsed text",
+    layout,
+  });
+
+  const text = new File(["Jane"], "cv.txt", { type: "text/plain" });
+  await expect(parseDocument(text)).resolves.toEqual({
+    text: "Jane",
+    layout: null,
+  });
+});
+
+test("rejects unsupported files", async () => {
+  const file = new File(["x"], "photo.png", { type: "image/png" });
+  await expect(parseDocumentFile(file)).rejects.toThrow(
+    "Unsupported file type"
+  );
+});
@@ -0,0 +1,262 @@
+// Rule-based bullet point checks that run offline: weak openers, missing
+// numbers, passive voice, first-person pronouns, tense mismatches, long
+// bullets and repeated verbs.
+// Each finding is { rule, severity, bulletId, line, text, start, end, match,
+// message, suggestion }: line is 1-based, start/end locate the bullet text
+// in the resume and match is the { start, end } of the offending words in
+// the bullet text (or null).
+import { detectBullets, isMarkerOnlyLine } from "./bullets";
+
+export const BULLET_RULES = {
+  weakOpener: "Weak opener",
+  noMetric: "No numbers or outcome",
+  passive: "Passive voice",
+  pronoun: "First-person pronoun",
+  tense: "Tense mismatch",
+  tooLong: "Too long",
+  repeatedVerb: "Repeated verb",
+};
+
+// Bullets longer than this are hard to scan
+export const MAX_BULLET_WORDS = 30;
+
+// An opening verb used this many times is flagged from its second use
+const REPEAT_THRESHOLD = 3;
+
+// Weak openers and stronger verbs to use instead
+const WEAK_OPENERS = [
+  { pattern: /^responsible for\b/i, instead: "Owned, Led or Managed" },
+  {
+    pattern: /^(worked|working) (on|with)\b/i,
+    instead: "Built, Developed or Delivered",
+  },
+  {
+    pattern: /^(helped|helping)( to)?\b/i,
+    instead: "Contributed, Enabled or Supported",
+  },
+  { pattern: /^assisted (with|in)\b/i, instead: "Supported or Coordinated" },
+  {
+    pattern: /^(participated|involved) in\b/i,
+    instead: "Contributed or Collaborated",
+  },
+  { pattern: /^(was )?tasked with\b/i, instead: "Led, Built or Delivered" },
+  { pattern: /^(was )?in charge of\b/i, instead: "Led, Directed or Oversaw" },
+  {
+    pattern: /^duties included\b/i,
+    instead: "the action you took, e.g. Managed",
+  },
+  { pattern: /^(was )?part of\b/i, instead: "Contributed or Collaborated" },
+  { pattern: /^handled\b/i, instead: "Managed, Resolved or Processed" },
+];
+
+const NUMBER_WORDS =
+  /\b(one|two|three|four|five|six|seven|eight|nine|ten|dozens?|hundreds?|thousands?|millions?|billions?|percent|double[ds]?|triple[ds]?|half)\b/i;
+
+// "was built", "were rapidly adopted", "has been reduced"
+const PASSIVE =
+  /\b(am|is|are|was|were|be|been|being)\s+(\w+ly\s+)?(\w+ed|built|made|done|given|taken|written|led|run|shown|chosen|known|seen|sent|sold|taught|won|held|kept|brought|paid)\b/i;
+
+// Case matters, so "US" (the country) isn't a pronoun
+const PRONOUN =
+  /\bI\b|\b([Mm]e|[Mm]y|[Mm]ine|[Mm]yself|[Ww]e|[Oo]urs?|[Uu]s)\b/;
+
+const IRREGULAR_PAST = new Set([
+  "led", "built", "ran", "made", "wrote", "grew", "drove", "won", "began",
+  "brought", "bought", "sold", "taught", "took", "gave", "cut", "set", "spoke",
+  "found", "held", "kept", "met", "paid", "put", "sent", "spent", "oversaw",
+  "undertook", "rebuilt", "rewrote", "drew", "chose", "became", "overcame",
+]);
+
+const PRESENT_VERBS = new Set([
+  "lead", "build", "run", "make", "write", "grow", "drive", "own", "manage",
+  "develop", "design", "create", "implement", "maintain", "deliver",
+  "coordinate", "analyze", "analyse", "support", "oversee", "mentor", "train",
+  "improve", "reduce", "increase", "optimize", "automate", "collaborate",
+  "partner", "plan", "launch", "test", "deploy", "monitor", "review",
+  "prepare", "conduct", "establish", "define", "teach", "sell", "handle",
+]);
+
+// Other verbs to suggest when one is overused
+const VERB_ALTERNATIVES = {
+  developed: "Built, Engineered or Created",
+  managed: "Led, Directed or Oversaw",
+  led: "Headed, Directed or Spearheaded",
+  created: "Designed, Launched or Established",
+  built: "Developed, Engineered or Assembled",
+  improved: "Increased, Streamlined or Optimized",
+  implemented: "Deployed, Delivered or Introduced",
+  designed: "Architected, Created or Planned",
+  worked: "Built, Delivered or Collaborated",
+};
+
+const firstWord = (text) => (text.match(/^[A-Za-z]+/) || [""])[0];
+
+// "past", "present" or null when the opening word isn't clearly a verb
+const openerTense = (text) => {
+  const word = firstWord(text).toLowerCase();
+  if (!word) return null;
+  if (IRREGULAR_PAST.has(word) || (word.length > 3 && word.endsWith("ed"))) {
+    return "past";
+  }
+  if (
+    PRESENT_VERBS.has(word) ||
+    PRESENT_VERBS.has(word.replace(/s$/, "")) ||
+    PRESENT_VERBS.has(word.replace(/es$/, "")) ||
+    word.endsWith("ing")
+  ) {
+    return "present";
+  }
+  return null;
+};
+
+const matchRange = (match) =>
+  match ? { start: match.index, end: match.index + match[0].length } : null;
+
+// Bullets with only other bullets between them belong to the same entry
+const groupBullets = (resumeText, bullets) => {
+  const groups = [];
+  bullets.forEach((bullet, index) => {
+    const previous = bullets[index - 1];
+    // Lines between the two bullets, after the end of the previous one
+    const between = previous
+      ? resumeText.slice(previous.end, bullet.start).split("\n").slice(1)
+      : [];
+    if (between.length > 0 && between.every(isMarkerOnlyLine)) {
+      groups[groups.length - 1].push(bullet);
+    } else {
+      groups.push([bullet]);
+    }
+  });
+  return groups;
+};
+
+const tenseFindings = (groups) =>
+  groups.flatMap((group) => {
+    const tenses = group.map((bullet) => openerTense(bullet.text));
+    const past = tenses.filter((tense) => tense === "past").length;
+    const present = tenses.filter((tense) => tense === "present").length;
+    if (past === 0 || present === 0 || past === present) return [];
+    const majority = past > present ? "past" : "present";
+    return group
+      .filter((_, index) => tenses[index] && tenses[index] !== majority)
+      .map((bullet) => ({
+        bullet,
+        rule: "tense",
+        severity: "medium",
+        match: { start: 0, end: firstWord(bullet.text).length },
+        message: `The other bullets in this role use ${majority} tense.`,
+        suggestion:
+          majority === "past"
+            ? `Start with a past-tense verb, as for a finished role.`
+            : `Start with a present-tense verb, as for a current role.`,
+      }));
+  });
+
+const repeatedVerbFindings = (bullets) => {
+  const byVerb = new Map();
+  bullets.forEach((bullet) => {
+    const verb = firstWord(bullet.text).toLowerCase();
+    if (openerTense(bullet.text)) {
+      byVerb.set(verb, [...(byVerb.get(verb) || []), bullet]);
+    }
+  });
+  return [...byVerb.entries()]
+    .filter(([, uses]) => uses.length >= REPEAT_THRESHOLD)
+    .flatMap(([verb, uses]) =>
+      uses.slice(1).map((bullet) => ({
+        bullet,
+        rule: "repeatedVerb",
+        severity: "low",
+        match: { start: 0, end: verb.length },
+        message: `${uses.length} bullets start with "${firstWord(bullet.text)}".`,
+        suggestion: `Vary the verb${
+          VERB_ALTERNATIVES[verb] ? `, e.g. ${VERB_ALTERNATIVES[verb]}` : ""
+        }.`,
+      }))
+    );
+};
+
+// Checks that only need the bullet itself
+const bulletFindings = (bullet) => {
+  const findings = [];
+  const { text } = bullet;
+  const add = (finding) => findings.push({ bullet, ...finding });
+
+  const weak = WEAK_OPENERS.find(({ pattern }) => pattern.test(text));
+  if (weak) {
+    add({
+      rule: "weakOpener",
+      severity: "high",
+      match: matchRange(text.match(weak.pattern)),
+      message: "Opens with a weak phrase that describes duties, not results.",
+      suggestion: `Start with a strong action verb such as ${weak.instead}.`,
+    });
+  }
+  if (!/\d/.test(text) && !NUMBER_WORDS.test(text)) {
+    add({
+      rule: "noMetric",
+      severity: "medium",
+      match: null,
+      message: "No numbers or measurable outcome.",
+      suggestion:
+        "Add the scale or result: how many, how much, how fast, or what changed.",
+    });
+  }
+  const passive = text.match(PASSIVE);
+  if (passive) {
+    add({
+      rule: "passive",
+      severity: "medium",
+      match: matchRange(passive),
+      message: `"${passive[0]}" is passive voice.`,
+      suggestion: "Rewrite in active voice, leading with what you did.",
+    });
+  }
+  const pronoun = text.match(PRONOUN);
+  if (pronoun) {
+    add({
+      rule: "pronoun",
+      severity: "medium",
+      match: matchRange(pronoun),
+      message: `Uses the pronoun "${pronoun[0]}".`,
+      suggestion: "Drop first-person pronouns; resume bullets imply them.",
+    });
+  }
+  const words = text.split(/\s+/).filter(Boolean).length;
+  if (words > MAX_BULLET_WORDS) {
+    add({
+      rule: "tooLong",
+      severity: "low",
+      match: null,
+      message: `${words} words; recruiters skim bullets in seconds.`,
+      suggestion: `Trim to under ${MAX_BULLET_WORDS} words or split it in two.`,
+    });
+  }
+  return findings;
+};
+
+// Lints every bullet in the resume. Findings are ordered by line.
+export const lintBullets = (resumeText) => {
+  const bullets = detectBullets(resumeText);
+  const lineOf = (offset) => resumeText.slice(0, offset).split("\n").length;
+
+  return [
+    ...bullets.flatMap(bulletFindings),
+    ...tenseFindings(groupBullets(resumeText, bullets)),
+    ...repeatedVerbFindings(bullets),
+  ]
+    .map(({ bullet, ...finding }) => ({
+      ...finding,
+      bulletId: bullet.id,
+      line: lineOf(bullet.start),
+      text: bullet.text,
+      start: bullet.start,
+      end: bullet.end,
+    }))
+    .sort(
+      (a, b) =>
+        a.line - b.line ||
+        Object.keys(BULLET_RULES).indexOf(a.rule) -
+          Object.keys(BULLET_RULES).indexOf(b.rule)
+    );
+};
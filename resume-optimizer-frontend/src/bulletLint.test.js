@@ -0,0 +1,92 @@
+import { lintBullets, MAX_BULLET_WORDS } from "./bulletLint";
+
+const rulesFor = (text) => lintBullets(text).map((finding) => finding.rule);
+
+test("finds nothing in strong, measurable bullets", () => {
+  expect(
+    lintBullets(`EXPERIENCE
+• Built a fraud model that cut chargebacks by 30%
+• Led a team of five engineers
+• Reduced deploy time from 2 hours to 10 minutes`)
+  ).toEqual([]);
+});
+
+test("flags weak openers and suggests a stronger verb", () => {
+  const [finding] = lintBullets("• Responsible for 3 data pipelines");
+  expect(finding).toMatchObject({
+    rule: "weakOpener",
+    severity: "high",
+    line: 1,
+    match: { start: 0, end: "Responsible for".length },
+  });
+  expect(finding.suggestion).toMatch(/Owned/);
+});
+
+test("flags bullets without numbers or outcomes", () => {
+  expect(rulesFor("• Built dashboards for the sales team")).toEqual([
+    "noMetric",
+  ]);
+  expect(rulesFor("• Built dozens of dashboards")).toEqual([]);
+});
+
+test("flags passive voice and marks the phrase", () => {
+  const text = "• Pipelines were rapidly migrated to 3 regions";
+  const [finding] = lintBullets(text);
+  expect(finding.rule).toBe("passive");
+  expect(finding.text.slice(finding.match.start, finding.match.end)).toBe(
+    "were rapidly migrated"
+  );
+});
+
+test("flags first-person pronouns but not US", () => {
+  expect(rulesFor("• I built 4 services for my team")).toEqual(["pronoun"]);
+  expect(rulesFor("• Launched 2 products in the US")).toEqual([]);
+});
+
+test("flags bullets longer than the limit", () => {
+  const long = `• Built 1 ${"very ".repeat(MAX_BULLET_WORDS)}long bullet`;
+  expect(rulesFor(long)).toEqual(["tooLong"]);
+});
+
+test("flags tense that differs from the rest of the role", () => {
+  const findings = lintBullets(`Engineer | Acme | 2019 - 2021
+• Built 3 APIs
+• Led 2 migrations
+• Manage 4 engineers
+
+Analyst | Beta | 2021 - Present
+• Analyze 10 reports a week`);
+  expect(findings).toHaveLength(1);
+  expect(findings[0]).toMatchObject({ rule: "tense", line: 4 });
+  expect(findings[0].message).toMatch(/past tense/);
+});
+
+test("flags a verb used to open many bullets after its first use", () => {
+  const findings = lintBullets(`• Developed 1 app
+• Developed 2 apps
+• Developed 3 apps`);
+  expect(findings.map((finding) => [finding.rule, finding.line])).toEqual([
+    ["repeatedVerb", 2],
+    ["repeatedVerb", 3],
+  ]);
+  expect(findings[0].suggestion).toMatch(/Engineered/);
+});
+
+test("points to the bullet text in the resume", () => {
+  const resumeText = "Jane Doe\n\n-  Helped with 2 launches";
+  const [finding] = lintBullets(resumeText);
+  expect(finding.line).toBe(3);
+  expect(resumeText.slice(finding.start, finding.end)).toBe(
+    "Helped with 2 launches"
+  );
+});
+
+test("orders findings by line", () => {
+  const findings = lintBullets(`• We shipped features
+• Worked on 2 services`);
+  expect(findings.map((finding) => [finding.line, finding.rule])).toEqual([
+    [1, "noMetric"],
+    [1, "pronoun"],
+    [2, "weakOpener"],
+  ]);
+});
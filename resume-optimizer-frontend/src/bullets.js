@@ -0,0 +1,64 @@
+// Finds bullet points in resume text.
+// Handles markers at the start of a line ("• Built...", "- Led...", "1. Ran...")
+// and markers on a line of their own followed by the bullet text, which is how
+// PDF text extraction often lays bullets out.
+
+// A bullet symbol, or a number such as "1." or "2)"
+const MARKER = "([-*•▪‣◦–]|\\d+[.)])";
+const MARKER_ONLY = new RegExp(`^\\s*${MARKER}\\s*$`);
+const MARKER_PREFIX = new RegExp(`^(\\s*${MARKER}\\s+)(\\S.*)$`);
+const LEADING_MARKER = new RegExp(`^\\s*${MARKER}\\s+`);
+
+// Text of a "• Built..." style line without its marker, or null when the
+// line doesn't start with a bullet marker
+export const bulletLineText = (line) => {
+  const prefixed = line.match(MARKER_PREFIX);
+  return prefixed ? prefixed[3].trimEnd() : null;
+};
+
+// The line without the bullet marker it starts with, if any
+export const stripBulletMarker = (line) => line.replace(LEADING_MARKER, "");
+
+// True for a line holding only a bullet marker
+export const isMarkerOnlyLine = (line) => MARKER_ONLY.test(line);
+
+// Returns [{ id, text, start, end }] where start/end are the offsets of the
+// bullet's text (without its marker) in the resume
+export const detectBullets = (resumeText) => {
+  const bullets = [];
+  const lines = (resumeText || "").split("\n");
+  let offset = 0;
+  let pendingMarker = false;
+
+  lines.forEach((line) => {
+    const prefixed = line.match(MARKER_PREFIX);
+    if (prefixed) {
+      const start = offset + prefixed[1].length;
+      const text = prefixed[3].trimEnd();
+      bullets.push({ text, start, end: start + text.length });
+      pendingMarker = false;
+    } else if (MARKER_ONLY.test(line)) {
+      pendingMarker = true;
+    } else if (pendingMarker && line.trim()) {
+      const start = offset + line.length - line.trimStart().length;
+      const text = line.trim();
+      bullets.push({ text, start, end: start + text.length });
+      pendingMarker = false;
+    }
+    offset += line.length + 1;
+  });
+
+  return bullets.map((bullet, index) => ({ id: index, ...bullet }));
+};
+
+// Writes replacement texts into the resume. replacements is a list of
+// { bullet, text } where bullet came from detectBullets on this same resume
+// text; later offsets are replaced first so earlier ones stay valid.
+export const applyBulletReplacements = (resumeText, replacements) =>
+  [...replacements]
+    .sort((a, b) => b.bullet.start - a.bullet.start)
+    .reduce(
+      (text, { bullet, text: replacement }) =>
+        text.slice(0, bullet.start) + replacement + text.slice(bullet.end),
+      resumeText
+    );
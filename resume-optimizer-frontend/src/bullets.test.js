@@ -0,0 +1,32 @@
+import { applyBulletReplacements, detectBullets } from "./bullets";
+
+const RESUME = `Jane Doe
+Experience
+• Built fraud models
+- Led a team of 4
+•
+Cut costs by 10%
+2019 - 2021
+1. Shipped the app`;
+
+test("detects prefixed bullets and markers on their own line", () => {
+  const bullets = detectBullets(RESUME);
+  expect(bullets.map((b) => b.text)).toEqual([
+    "Built fraud models",
+    "Led a team of 4",
+    "Cut costs by 10%",
+    "Shipped the app",
+  ]);
+  bullets.forEach((b) => expect(RESUME.slice(b.start, b.end)).toBe(b.text));
+});
+
+test("applies several replacements by offset", () => {
+  const [first, , third] = detectBullets(RESUME);
+  const updated = applyBulletReplacements(RESUME, [
+    { bullet: first, text: "Built ML fraud models saving $2M" },
+    { bullet: third, text: "Cut cloud costs by 10%" },
+  ]);
+  expect(updated).toContain("• Built ML fraud models saving $2M\n");
+  expect(updated).toContain("•\nCut cloud costs by 10%\n");
+  expect(updated).toContain("- Led a team of 4");
+});
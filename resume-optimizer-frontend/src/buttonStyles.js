@@ -0,0 +1,8 @@
+// Tailwind classes for the small buttons used across the app; each button
+// adds its own colours
+export const smallButtonClassName =
+  "text-sm py-1 px-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed";
+
+// A tighter version for crowded spots such as the session history sidebar
+export const compactButtonClassName =
+  "text-xs py-1 px-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed";
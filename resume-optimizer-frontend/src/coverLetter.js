@@ -0,0 +1,165 @@
+// Cover letters drafted from the resume and job description: prompts,
+// response parsing and TXT/DOCX export. The resume's bullet points are
+// numbered and sent as achievements, so each paragraph can cite the ones it
+// draws on. Paragraphs are { text, achievements } where achievements lists
+// those numbers.
+import { Document, Packer, Paragraph, TextRun } from "docx";
+import { detectBullets } from "./bullets";
+import { completeArrayObjects } from "./jsonStream";
+import { DEFAULT_PROMPT_SETTINGS, renderPrompt } from "./promptTemplates";
+
+export const COVER_LETTER_LENGTHS = [
+  { id: "short", label: "Short", paragraphs: 3, wordRange: "150-200" },
+  { id: "standard", label: "Standard", paragraphs: 4, wordRange: "250-350" },
+  { id: "long", label: "Long", paragraphs: 5, wordRange: "400-450" },
+];
+
+export const lengthById = (id) =>
+  COVER_LETTER_LENGTHS.find((length) => length.id === id) ||
+  COVER_LETTER_LENGTHS[1];
+
+// Most achievements worth sending in one prompt
+const MAX_ACHIEVEMENTS = 30;
+
+export const GREETING = "Dear Hiring Manager,";
+export const SIGN_OFF = "Sincerely,";
+
+const RESPONSE_FORMAT = `Respond with JSON only, in this shape:
+    {"paragraphs": [{"text": the paragraph, "achievements": the numbers of the achievements it draws on, e.g. [1, 4], or []}]}`;
+
+// The resume's bullet points as [{ id, text }], numbered from 1
+export const resumeAchievements = (resumeText) =>
+  detectBullets(resumeText)
+    .slice(0, MAX_ACHIEVEMENTS)
+    .map((bullet, index) => ({ id: index + 1, text: bullet.text }));
+
+// Achievements as "[1] Built..." lines for a prompt
+export const achievementLines = (achievements) =>
+  achievements.length > 0
+    ? achievements.map(({ id, text }) => `[${id}] ${text}`).join("\n    ")
+    : "(none found; draw on the resume text)";
+
+// settings are the prompt settings (see promptTemplates.js); tone overrides
+// their tone for this letter
+const withTone = (settings, tone) => (tone ? { ...settings, tone } : settings);
+
+export const buildCoverLetterPrompt = ({
+  resumeText,
+  jdText,
+  achievements,
+  length,
+  tone,
+  promptSettings = DEFAULT_PROMPT_SETTINGS,
+}) => {
+  const { paragraphs, wordRange } = lengthById(length);
+  return `${renderPrompt(withTone(promptSettings, tone), "coverLetter", {
+    resume: resumeText,
+    jobDescription: jdText,
+    achievements: achievementLines(achievements),
+    paragraphCount: paragraphs,
+    wordRange,
+  })}
+
+    ${RESPONSE_FORMAT}`;
+};
+
+// Asks for a new version of paragraphs[index], seeing the rest of the letter
+export const buildParagraphPrompt = ({
+  paragraphs,
+  index,
+  jdText,
+  achievements,
+  tone,
+  promptSettings = DEFAULT_PROMPT_SETTINGS,
+}) =>
+  `${renderPrompt(withTone(promptSettings, tone), "coverLetterParagraph", {
+    letter: paragraphs
+      .map((paragraph, i) => `(${i + 1}) ${paragraph.text}`)
+      .join("\n\n    "),
+    paragraphNumber: index + 1,
+    achievements: achievementLines(achievements),
+    jobDescription: jdText,
+  })}
+
+    ${RESPONSE_FORMAT} Return exactly one paragraph.`;
+
+// The achievement numbers a model cited that exist, without duplicates
+export const validCitations = (cited, achievements) => {
+  const ids = new Set(achievements.map((achievement) => achievement.id));
+  return [
+    ...new Set(
+      (Array.isArray(cited) ? cited : [])
+        .map(Number)
+        .filter((id) => ids.has(id))
+    ),
+  ];
+};
+
+// Parses a (possibly partial) JSON response into paragraphs, keeping only
+// citations of achievements that exist
+export const parseCoverLetter = (text, achievements) =>
+  completeArrayObjects(text || "")
+    .filter((raw) => raw && typeof raw.text === "string" && raw.text.trim())
+    .map((raw) => ({
+      text: raw.text.trim(),
+      achievements: validCitations(raw.achievements, achievements),
+    }));
+
+// The full letter as plain text
+export const coverLetterText = (paragraphs, name = "") =>
+  [
+    GREETING,
+    ...paragraphs.map((paragraph) => paragraph.text.trim()),
+    [SIGN_OFF, name.trim()].filter(Boolean).join("\n"),
+  ].join("\n\n");
+
+// "Jane_Doe_Cover_Letter", or "Cover_Letter" when the name is unknown
+export const coverLetterFileBase = (name = "") =>
+  [...name.trim().split(/\s+/), "Cover", "Letter"]
+    .map((word) => word.replace(/[^\w-]/g, ""))
+    .filter(Boolean)
+    .join("_");
+
+const TWIPS_PER_INCH = 1440;
+
+// Resolves with the letter as a DOCX Blob
+export const coverLetterToDocx = (paragraphs, name = "") => {
+  const textParagraph = (text, after = 240) =>
+    new Paragraph({
+      spacing: { after },
+      children: text
+        .split("\n")
+        .map((line, index) =>
+          index > 0 ? new TextRun({ text: line, break: 1 }) : new TextRun(line)
+        ),
+    });
+  const doc = new Document({
+    creator: "Resume Optimizer",
+    title: "Cover Letter",
+    styles: {
+      default: { document: { run: { font: "Calibri", size: 22 } } },
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: {
+              top: TWIPS_PER_INCH,
+              right: TWIPS_PER_INCH,
+              bottom: TWIPS_PER_INCH,
+              left: TWIPS_PER_INCH,
+            },
+          },
+        },
+        children: [
+          textParagraph(GREETING),
+          ...paragraphs.map((paragraph) =>
+            textParagraph(paragraph.text.trim())
+          ),
+          textParagraph([SIGN_OFF, name.trim()].filter(Boolean).join("\n"), 0),
+        ],
+      },
+    ],
+  });
+  return Packer.toBlob(doc);
+};
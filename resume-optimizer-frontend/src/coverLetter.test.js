@@ -0,0 +1,81 @@
+import JSZip from "jszip";
+import {
+  buildCoverLetterPrompt,
+  buildParagraphPrompt,
+  coverLetterFileBase,
+  coverLetterText,
+  coverLetterToDocx,
+  parseCoverLetter,
+  resumeAchievements,
+} from "./coverLetter";
+import { DEFAULT_PROMPT_SETTINGS } from "./promptTemplates";
+
+const RESUME = `Jane Doe
+EXPERIENCE
+• Built 12 data pipelines
+• Cut cloud costs by 30%`;
+
+const achievements = resumeAchievements(RESUME);
+
+test("numbers the resume bullets as achievements", () => {
+  expect(achievements).toEqual([
+    { id: 1, text: "Built 12 data pipelines" },
+    { id: 2, text: "Cut cloud costs by 30%" },
+  ]);
+});
+
+test("asks for the chosen length and tone and lists the achievements", () => {
+  const prompt = buildCoverLetterPrompt({
+    resumeText: RESUME,
+    jdText: "Data Engineer at Acme",
+    achievements,
+    length: "short",
+    tone: "confident",
+    promptSettings: DEFAULT_PROMPT_SETTINGS,
+  });
+  expect(prompt).toContain("Write 3 paragraphs, 150-200 words");
+  expect(prompt).toContain("[2] Cut cloud costs by 30%");
+  expect(prompt).toContain("confident, assertive tone");
+  expect(prompt).toContain('{"paragraphs"');
+});
+
+test("shows the rest of the letter when regenerating a paragraph", () => {
+  const prompt = buildParagraphPrompt({
+    paragraphs: [{ text: "First." }, { text: "Second." }],
+    index: 1,
+    jdText: "Data Engineer",
+    achievements,
+  });
+  expect(prompt).toContain("Rewrite paragraph 2");
+  expect(prompt).toContain("(1) First.");
+  expect(prompt).toContain("(2) Second.");
+});
+
+test("keeps only citations of real achievements", () => {
+  const text =
+    '{"paragraphs": [{"text": " I built pipelines. ", "achievements": [1, "2", 9, 1]}, {"text": "Partial';
+  expect(parseCoverLetter(text, achievements)).toEqual([
+    { text: "I built pipelines.", achievements: [1, 2] },
+  ]);
+});
+
+test("formats the letter as text with a greeting and sign-off", () => {
+  const paragraphs = [{ text: "One." }, { text: "Two." }];
+  expect(coverLetterText(paragraphs, "Jane Doe")).toBe(
+    "Dear Hiring Manager,\n\nOne.\n\nTwo.\n\nSincerely,\nJane Doe"
+  );
+  expect(coverLetterFileBase("Jane Doe")).toBe("Jane_Doe_Cover_Letter");
+  expect(coverLetterFileBase("")).toBe("Cover_Letter");
+});
+
+test("builds a DOCX with every paragraph", async () => {
+  const blob = await coverLetterToDocx(
+    [{ text: "I built 12 pipelines." }, { text: "I cut costs." }],
+    "Jane Doe"
+  );
+  const zip = await JSZip.loadAsync(await new Response(blob).arrayBuffer());
+  const documentXml = await zip.file("word/document.xml").async("string");
+  expect(documentXml).toContain("Dear Hiring Manager,");
+  expect(documentXml).toContain("I built 12 pipelines.");
+  expect(documentXml).toContain("Jane Doe");
+});
@@ -0,0 +1,60 @@
+// Minimal LCS-based diff for comparing resume text.
+// Returns a list of { type: "equal" | "added" | "removed", text } chunks
+// where consecutive chunks of the same type are merged.
+
+const diffSequences = (before, after, join) => {
+  const rows = before.length;
+  const cols = after.length;
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: rows + 1 }, () =>
+    new Array(cols + 1).fill(0)
+  );
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] =
+        before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const chunks = [];
+  const push = (type, item) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) last.items.push(item);
+    else chunks.push({ type, items: [item] });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      push("equal", before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", before[i++]);
+    } else {
+      push("added", after[j++]);
+    }
+  }
+  while (i < rows) push("removed", before[i++]);
+  while (j < cols) push("added", after[j++]);
+
+  return chunks.map(({ type, items }) => ({ type, text: join(items) }));
+};
+
+// Word-level diff. Whitespace is kept attached to the word before it so the
+// chunks can be rendered back into readable text.
+export const diffWords = (before, after) =>
+  diffSequences(
+    before.match(/\S+\s*/g) || [],
+    after.match(/\S+\s*/g) || [],
+    (items) => items.join("")
+  );
+
+// Line-level diff; chunk text is the lines joined with "\n"
+export const diffLines = (before, after) =>
+  diffSequences(before.split("\n"), after.split("\n"), (items) =>
+    items.join("\n")
+  );
@@ -0,0 +1,22 @@
+import { diffLines, diffWords } from "./diff";
+
+test("diffs words and merges runs of the same change", () => {
+  expect(
+    diffWords("Worked on the ML model", "Built the fraud ML model")
+  ).toEqual([
+    { type: "removed", text: "Worked on " },
+    { type: "added", text: "Built " },
+    { type: "equal", text: "the " },
+    { type: "added", text: "fraud " },
+    { type: "equal", text: "ML model" },
+  ]);
+});
+
+test("diffs lines", () => {
+  expect(diffLines("a\nb\nc", "a\nc\nd")).toEqual([
+    { type: "equal", text: "a" },
+    { type: "removed", text: "b" },
+    { type: "equal", text: "c" },
+    { type: "added", text: "d" },
+  ]);
+});
@@ -0,0 +1,13 @@
+// Saves generated content as a file through a temporary download link
+export const downloadFile = (fileName, content, type = "text/plain") => {
+  const url = URL.createObjectURL(
+    content instanceof Blob ? content : new Blob([content], { type })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
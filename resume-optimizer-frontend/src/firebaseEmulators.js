@@ -0,0 +1,28 @@
+// Points Auth and Firestore at the local Firebase emulators (see
+// firebase.json) when REACT_APP_FIRESTORE_EMULATOR_HOST and
+// REACT_APP_AUTH_EMULATOR_HOST are set, e.g. "127.0.0.1:8080" and
+// "127.0.0.1:9099".
+import { connectAuthEmulator } from "firebase/auth";
+import { connectFirestoreEmulator } from "firebase/firestore";
+
+const splitHost = (hostAndPort) => {
+  const [host, port] = hostAndPort.split(":");
+  return [host, Number(port)];
+};
+
+export const connectEmulators = (
+  db,
+  auth,
+  {
+    firestoreHost = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST,
+    authHost = process.env.REACT_APP_AUTH_EMULATOR_HOST,
+  } = {}
+) => {
+  if (firestoreHost) {
+    connectFirestoreEmulator(db, ...splitHost(firestoreHost));
+  }
+  if (authHost) {
+    connectAuthEmulator(auth, `http://${authHost}`, { disableWarnings: true });
+  }
+  return Boolean(firestoreHost || authHost);
+};
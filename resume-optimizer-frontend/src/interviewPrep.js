@@ -0,0 +1,94 @@
+// Interview prep: likely questions from the keyword comparison, grouped as
+// technical (strongest matches), behavioral and gap-probing (missing
+// keywords and skills), each with a STAR answer outline that cites the
+// resume bullets it draws on (numbered as in coverLetter.js).
+// Questions are { id, group, question, keyword, star: { situation, task,
+// action, result }, achievements }.
+import { achievementLines, validCitations } from "./coverLetter";
+import { completeArrayObjects } from "./jsonStream";
+import { DEFAULT_PROMPT_SETTINGS, renderPrompt } from "./promptTemplates";
+
+export const QUESTION_GROUPS = [
+  { id: "technical", label: "Technical" },
+  { id: "behavioral", label: "Behavioral" },
+  { id: "gap", label: "Gap-probing" },
+];
+
+export const STAR_STEPS = [
+  { id: "situation", label: "Situation" },
+  { id: "task", label: "Task" },
+  { id: "action", label: "Action" },
+  { id: "result", label: "Result" },
+];
+
+export const QUESTIONS_PER_GROUP = 3;
+
+// Most keywords of each kind worth sending in one prompt
+const MAX_STRENGTHS = 8;
+const MAX_GAPS = 8;
+
+// Strongest matches and gaps for the prompt. Keyword lists come from
+// compareKeywords, ordered by how often the JD mentions each term; missing
+// skills named by the AI suggestions count as gaps too.
+export const interviewFocus = ({
+  matchedKeywords,
+  missingKeywords,
+  suggestions = [],
+}) => ({
+  strengths: matchedKeywords
+    .slice(0, MAX_STRENGTHS)
+    .map((keyword) => keyword.term),
+  gaps: [
+    ...missingKeywords.slice(0, MAX_GAPS).map((keyword) => keyword.term),
+    ...suggestions
+      .filter((suggestion) => suggestion.category === "Missing Skill")
+      .map((suggestion) => suggestion.change),
+  ],
+});
+
+const listOrNone = (items) => (items.length > 0 ? items.join(", ") : "none");
+
+const GROUP_CHOICES = QUESTION_GROUPS.map((group) => `"${group.id}"`).join(
+  " | "
+);
+
+export const buildInterviewPrompt = ({
+  focus,
+  achievements,
+  jdText,
+  promptSettings = DEFAULT_PROMPT_SETTINGS,
+}) =>
+  `${renderPrompt(promptSettings, "interviewPrep", {
+    strengths: listOrNone(focus.strengths),
+    gaps: listOrNone(focus.gaps),
+    achievements: achievementLines(achievements),
+    jobDescription: jdText,
+    questionsPerGroup: QUESTIONS_PER_GROUP,
+  })}
+
+    Respond with JSON only, in this shape:
+    {"questions": [{"group": ${GROUP_CHOICES}, "question": the question, "keyword": the skill or keyword it probes, or "", "star": {"situation": ..., "task": ..., "action": ..., "result": ...}, "achievements": the numbers of the achievements the answer draws on, e.g. [2], or []}]}`;
+
+// Parses a (possibly partial) JSON response into questions, keeping only
+// citations of achievements that exist
+export const parseInterviewQuestions = (text, achievements) =>
+  completeArrayObjects(text || "")
+    .filter(
+      (raw) => raw && typeof raw.question === "string" && raw.question.trim()
+    )
+    .map((raw, index) => {
+      const star = raw.star && typeof raw.star === "object" ? raw.star : {};
+      const group = String(raw.group || "").toLowerCase();
+      return {
+        id: index,
+        group: QUESTION_GROUPS.some(({ id }) => id === group)
+          ? group
+          : "behavioral",
+        question: raw.question.trim(),
+        keyword: String(raw.keyword || "").trim(),
+        star: Object.fromEntries(
+          STAR_STEPS.map(({ id }) => [id, String(star[id] || "").trim()])
+        ),
+        achievements: validCitations(raw.achievements, achievements),
+      };
+    });
@@ -0,0 +1,78 @@
+import { resumeAchievements } from "./coverLetter";
+import {
+  buildInterviewPrompt,
+  interviewFocus,
+  parseInterviewQuestions,
+} from "./interviewPrep";
+
+const keyword = (term) => ({ term, keys: [term] });
+
+const achievements = resumeAchievements(`EXPERIENCE
+• Built 12 data pipelines in Python
+• Led a team of 4 engineers`);
+
+test("focuses on the top matches and gaps, plus missing skills from AI suggestions", () => {
+  const focus = interviewFocus({
+    matchedKeywords: ["python", "sql"].map(keyword),
+    missingKeywords: [keyword("airflow")],
+    suggestions: [
+      { category: "Missing Skill", change: "Kubernetes experience" },
+      { category: "Wording", change: "Use stronger verbs" },
+    ],
+  });
+  expect(focus).toEqual({
+    strengths: ["python", "sql"],
+    gaps: ["airflow", "Kubernetes experience"],
+  });
+});
+
+test("sends the strengths, gaps and numbered achievements", () => {
+  const prompt = buildInterviewPrompt({
+    focus: { strengths: ["python"], gaps: [] },
+    achievements,
+    jdText: "Data Engineer",
+  });
+  expect(prompt).toContain("Strengths: python");
+  expect(prompt).toContain("Gaps: none");
+  expect(prompt).toContain("[2] Led a team of 4 engineers");
+  expect(prompt).toContain('{"questions"');
+});
+
+test("normalizes questions and keeps only real citations", () => {
+  const text = JSON.stringify({
+    questions: [
+      {
+        group: "Technical",
+        question: " How do you test pipelines? ",
+        keyword: "python",
+        star: { situation: "Nightly jobs failed", action: "Added tests" },
+        achievements: [1, 7],
+      },
+      { group: "other", question: "Why this job?" },
+      { group: "gap", question: "" },
+    ],
+  });
+  expect(parseInterviewQuestions(text, achievements)).toEqual([
+    {
+      id: 0,
+      group: "technical",
+      question: "How do you test pipelines?",
+      keyword: "python",
+      star: {
+        situation: "Nightly jobs failed",
+        task: "",
+        action: "Added tests",
+        result: "",
+      },
+      achievements: [1],
+    },
+    {
+      id: 1,
+      group: "behavioral",
+      question: "Why this job?",
+      keyword: "",
+      star: { situation: "", task: "", action: "", result: "" },
+      achievements: [],
+    },
+  ]);
+});
@@ -0,0 +1,71 @@
+// Helpers for reading JSON that a model is still streaming.
+
+// Returns the complete top-level objects of the first JSON array in text.
+// Works on partial (still streaming) responses: an object is only returned
+// once its closing brace has arrived.
+export const completeArrayObjects = (text) => {
+  const arrayStart = text.indexOf("[");
+  if (arrayStart === -1) return [];
+
+  const objects = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = arrayStart + 1; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      if (depth === 0) objectStart = i;
+      depth += 1;
+    } else if (char === "}") {
+      depth -= 1;
+      if (depth === 0 && objectStart !== -1) {
+        try {
+          objects.push(JSON.parse(text.slice(objectStart, i + 1)));
+        } catch (error) {
+          // Skip malformed entries and keep the rest
+        }
+        objectStart = -1;
+      }
+    } else if (char === "]" && depth === 0) {
+      break;
+    }
+  }
+  return objects;
+};
+
+// The string value of key in the last object of text, as far as it arrived:
+// '[{"text": "Led a te' gives "Led a te". For responses cut off partway
+// through their final object; null when text has no such string.
+export const partialStringValue = (text, key) => {
+  const keyStart = text.lastIndexOf(`"${key}"`);
+  if (keyStart === -1) return null;
+  const valueStart = /^"[^"]*"\s*:\s*"/.exec(text.slice(keyStart));
+  if (!valueStart) return null;
+
+  let raw = "";
+  let escaped = false;
+  for (const char of text.slice(keyStart + valueStart[0].length)) {
+    if (escaped) escaped = false;
+    else if (char === "\\") escaped = true;
+    else if (char === '"') break;
+    raw += char;
+  }
+  // Drop an escape sequence that was cut off, e.g. a final "\" or "\u00"
+  if (escaped) raw = raw.slice(0, -1);
+  raw = raw.replace(/\\u[0-9a-fA-F]{0,3}$/, "");
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,20 @@
+import { completeArrayObjects, partialStringValue } from "./jsonStream";
+
+test("only returns objects whose closing brace has arrived", () => {
+  expect(completeArrayObjects('[{"text": "One"}, {"text": "Tw')).toEqual([
+    { text: "One" },
+  ]);
+});
+
+test("reads the string a response was cut off in", () => {
+  expect(
+    partialStringValue('[{"text": "One"}, {"text": "Led a te', "text")
+  ).toBe("Led a te");
+  expect(partialStringValue('[{"text": "Said \\"hi\\" and \\u00', "text")).toBe(
+    'Said "hi" and '
+  );
+  expect(partialStringValue('[{"text": "Ends with \\', "text")).toBe(
+    "Ends with "
+  );
+  expect(partialStringValue('[{"tex', "text")).toBeNull();
+});
@@ -0,0 +1,377 @@
+// Keyword extraction used by the "Analyze Keywords" comparison.
+// Text is split into tokens that keep special characters used by skill names
+// (C++, C#, Node.js, CI/CD, .NET), stopwords and generic filler are dropped,
+// tokens are lightly stemmed so "managed" and "managing" compare equal, and
+// multi-word phrases such as "machine learning" are kept together.
+
+// Common English words plus resume/JD filler that never make a useful keyword
+export const STOPWORDS = new Set([
+  "a", "about", "above", "across", "after", "again", "against", "all", "also",
+  "am", "an", "and", "any", "are", "as", "at", "be", "because", "been",
+  "before", "being", "below", "between", "both", "but", "by", "can", "could",
+  "did", "do", "does", "doing", "done", "down", "during", "each", "either",
+  "etc", "even", "ever", "every", "few", "for", "from", "further", "get",
+  "gets", "had", "has", "have", "having", "he", "her", "here", "hers", "him",
+  "his", "how", "however", "i", "if", "in", "into", "is", "it", "its",
+  "itself", "just", "least", "less", "like", "may", "me", "might", "more",
+  "most", "much", "must", "my", "near", "need", "needs", "no", "nor", "not",
+  "now", "of", "off", "often", "on", "once", "one", "only", "or", "other",
+  "our", "ours", "out", "over", "own", "per", "plus", "same", "shall", "she",
+  "should", "so", "some", "such", "than", "that", "the", "their", "theirs",
+  "them", "then", "there", "these", "they", "this", "those", "through", "to",
+  "too", "under", "until", "up", "upon", "us", "very", "via", "was", "we",
+  "well", "were", "what", "when", "where", "whether", "which", "while", "who",
+  "whom", "why", "will", "with", "within", "without", "would", "yet", "you",
+  "your", "yours",
+  // Filler that appears in nearly every job description or resume
+  "ability", "able", "bonus", "candidate", "candidates", "company",
+  "description", "desired", "e.g", "excellent", "experience", "experienced",
+  "familiarity", "good", "great", "ideal", "i.e", "include", "includes",
+  "including", "job", "join", "knowledge", "looking", "new", "nice",
+  "opportunity", "preferred", "proficiency", "proficient", "proven",
+  "qualifications", "related", "required", "requirements", "responsibilities",
+  "role", "seeking", "skills", "solid", "strong", "understanding", "various",
+  "work", "working", "year", "years",
+]);
+
+// Multi-word terms that should be matched as a unit even if they only appear once
+export const KNOWN_PHRASES = [
+  "machine learning",
+  "deep learning",
+  "natural language processing",
+  "computer vision",
+  "data analysis",
+  "data science",
+  "data structures",
+  "data engineering",
+  "data visualization",
+  "computer science",
+  "software development",
+  "software engineering",
+  "web development",
+  "distributed systems",
+  "cloud computing",
+  "continuous integration",
+  "continuous delivery",
+  "version control",
+  "unit testing",
+  "test automation",
+  "rest api",
+  "project management",
+  "product management",
+  "stakeholder management",
+  "time management",
+  "customer service",
+  "problem solving",
+  "critical thinking",
+  "cross functional",
+  "user experience",
+  "user interface",
+  "object oriented",
+  "business intelligence",
+  "supply chain",
+  "financial modeling",
+];
+
+// Tokens: letters/digits, optionally joined by . / + # (Node.js, CI/CD, C++),
+// with an optional leading dot for names like .NET
+const TOKEN_REGEX = /\.?[a-z0-9]+(?:[./+#]+[a-z0-9]+)*[+#]*/gi;
+
+// Punctuation that ends a phrase: phrases never span these
+const SEGMENT_REGEX = /[^\n\r,;:!?()[\]{}|•·"“”]+/g;
+
+const MAX_PHRASE_LENGTH = 3;
+
+// Light suffix-stripping stemmer. Deliberately conservative: it only needs to
+// make inflections of the same word compare equal, not produce real roots.
+export const stem = (word) => {
+  let w = word.toLowerCase();
+  // Leave short words and tokens with special characters (c++, node.js) alone
+  if (w.length <= 3 || /[^a-z]/.test(w)) return w;
+
+  if (w.endsWith("ies") && w.length > 4) {
+    w = w.slice(0, -3) + "y";
+  } else if (w.endsWith("sses")) {
+    w = w.slice(0, -2);
+  } else if (
+    w.endsWith("s") &&
+    !w.endsWith("ss") &&
+    !w.endsWith("us") &&
+    !w.endsWith("is")
+  ) {
+    w = w.slice(0, -1);
+  }
+
+  for (const suffix of ["ing", "ed"]) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length);
+      // running -> runn -> run
+      if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+
+  // manage / managed / managing all end up as "manag"
+  if (w.endsWith("e") && w.length > 3) w = w.slice(0, -1);
+  return w;
+};
+
+// Splits text into phrase-bounded segments of tokens. Each token keeps its
+// original spelling, its stem key, whether it is a stopword, and its offsets.
+export const tokenize = (text) => {
+  const segments = [];
+  const segmentRegex = new RegExp(SEGMENT_REGEX.source, "g");
+  let segmentMatch;
+
+  while ((segmentMatch = segmentRegex.exec(text)) !== null) {
+    const segmentText = segmentMatch[0];
+    const tokens = [];
+    const tokenRegex = new RegExp(TOKEN_REGEX.source, "gi");
+    let tokenMatch;
+
+    while ((tokenMatch = tokenRegex.exec(segmentText)) !== null) {
+      const original = tokenMatch[0];
+      const lower = original.toLowerCase();
+      // Single letters only count when they look like a language name (C, R)
+      const isSingleLetter = /^[a-z]$/i.test(original);
+      const isNoise =
+        /^\d+([.,]\d+)*$/.test(lower) ||
+        (isSingleLetter && !/^[CR]$/.test(original));
+
+      tokens.push({
+        original,
+        lower,
+        key: stem(lower),
+        isStopword: STOPWORDS.has(lower) || isNoise,
+        start: segmentMatch.index + tokenMatch.index,
+        end: segmentMatch.index + tokenMatch.index + original.length,
+      });
+    }
+    if (tokens.length > 0) segments.push(tokens);
+  }
+
+  return segments;
+};
+
+// Splits each segment into runs of consecutive non-stopword tokens
+const contentRuns = (segments) => {
+  const runs = [];
+  segments.forEach((tokens) => {
+    let run = [];
+    tokens.forEach((token) => {
+      if (token.isStopword) {
+        if (run.length > 0) runs.push(run);
+        run = [];
+      } else {
+        run.push(token);
+      }
+    });
+    if (run.length > 0) runs.push(run);
+  });
+  return runs;
+};
+
+const phraseKey = (tokens) => tokens.map((t) => t.key).join(" ");
+
+// Stem key for an arbitrary term ("Managed Services" -> "manag servic"),
+// ignoring stopwords, so lexicons can be compared against extracted keywords
+export const termKey = (term) => phraseKey(contentRuns(tokenize(term)).flat());
+
+const KNOWN_PHRASE_KEYS = new Set(KNOWN_PHRASES.map(termKey));
+
+// Offsets of every n-gram (1..MAX_PHRASE_LENGTH) in the text, by stem key.
+// Used to check whether a resume contains a JD term, so a phrase matches
+// wherever it appears, and to locate it for highlighting.
+export const collectTermOccurrences = (text) => {
+  const occurrences = new Map();
+  contentRuns(tokenize(text)).forEach((run) => {
+    for (let i = 0; i < run.length; i++) {
+      for (let n = 1; n <= MAX_PHRASE_LENGTH && i + n <= run.length; n++) {
+        const key = phraseKey(run.slice(i, i + n));
+        const list = occurrences.get(key) || [];
+        list.push({ start: run[i].start, end: run[i + n - 1].end });
+        occurrences.set(key, list);
+      }
+    }
+  });
+  return occurrences;
+};
+
+// Extracts the meaningful terms from a text.
+// A phrase is kept when it is a known multi-word skill, one of extraPhraseKeys
+// (e.g. multi-word synonyms), or when the same word pair is repeated. Words
+// consumed by a phrase are not reported on their own.
+// Returns a Map of stem key -> { key, term, count, firstIndex, occurrences },
+// where occurrences lists the { start, end } offsets of each appearance.
+export const extractKeywords = (text, extraPhraseKeys = new Set()) => {
+  const runs = contentRuns(tokenize(text || ""));
+
+  // Count word pairs so repeated ones can be promoted to phrases
+  const pairCounts = new Map();
+  runs.forEach((run) => {
+    for (let i = 0; i + 1 < run.length; i++) {
+      const key = phraseKey(run.slice(i, i + 2));
+      pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+    }
+  });
+
+  const isPhrase = (tokens) => {
+    const key = phraseKey(tokens);
+    if (KNOWN_PHRASE_KEYS.has(key) || extraPhraseKeys.has(key)) return true;
+    return tokens.length === 2 && pairCounts.get(key) > 1;
+  };
+
+  const keywords = new Map();
+  const surfaceCounts = new Map();
+
+  const addTerm = (tokens) => {
+    const key = phraseKey(tokens);
+    const surface = tokens.map((t) => t.original).join(" ");
+    const entry = keywords.get(key) || {
+      key,
+      term: surface,
+      count: 0,
+      firstIndex: tokens[0].start,
+      occurrences: [],
+    };
+    entry.count += 1;
+    entry.occurrences.push({
+      start: tokens[0].start,
+      end: tokens[tokens.length - 1].end,
+    });
+    keywords.set(key, entry);
+
+    // Display the spelling used most often, lowercased unless it is an acronym
+    // or contains special characters (keep "AWS", "Node.js", "C++")
+    const forms = surfaceCounts.get(key) || new Map();
+    forms.set(surface, (forms.get(surface) || 0) + 1);
+    surfaceCounts.set(key, forms);
+  };
+
+  runs.forEach((run) => {
+    let i = 0;
+    while (i < run.length) {
+      let consumed = 1;
+      // Prefer the longest phrase starting at this token
+      for (let n = Math.min(MAX_PHRASE_LENGTH, run.length - i); n > 1; n--) {
+        if (isPhrase(run.slice(i, i + n))) {
+          consumed = n;
+          break;
+        }
+      }
+      addTerm(run.slice(i, i + consumed));
+      i += consumed;
+    }
+  });
+
+  keywords.forEach((entry, key) => {
+    const [surface] = [...surfaceCounts.get(key).entries()].sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    entry.term = surface
+      .split(" ")
+      .map((word) =>
+        /^[A-Z0-9]{2,}$/.test(word) || /[^A-Za-z]/.test(word) || /^[CR]$/.test(word)
+          ? word
+          : word.toLowerCase()
+      )
+      .join(" ");
+  });
+
+  return keywords;
+};
+
+// Indexes synonym groups (lists of equivalent terms, canonical name first)
+// by stem key, so any spelling can be resolved to its group
+export const buildSynonymIndex = (groups) => {
+  const groupByKey = new Map();
+  const phraseKeys = new Set();
+
+  groups.forEach((group) => {
+    const terms = group
+      .map((term) => ({ term, key: termKey(term) }))
+      .filter(({ key }) => key !== "");
+    if (terms.length < 2) return;
+    const indexed = { canonicalKey: terms[0].key, terms };
+    terms.forEach(({ key }) => {
+      // The first group to claim a spelling keeps it
+      if (!groupByKey.has(key)) groupByKey.set(key, indexed);
+      if (key.includes(" ")) phraseKeys.add(key);
+    });
+  });
+
+  return { groupByKey, phraseKeys };
+};
+
+// Folds JD keywords that are synonyms of each other ("JavaScript" and "JS")
+// into a single entry under the group's canonical key
+const mergeSynonymEntries = (entries, synonyms) => {
+  const merged = new Map();
+  entries.forEach((entry) => {
+    const group = synonyms.groupByKey.get(entry.key);
+    const key = group ? group.canonicalKey : entry.key;
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...entry, key, group, jdKeys: [entry.key] });
+      return;
+    }
+    existing.jdKeys.push(entry.key);
+    existing.occurrences = [...existing.occurrences, ...entry.occurrences];
+    existing.firstIndex = Math.min(existing.firstIndex, entry.firstIndex);
+    if (entry.count > existing.count) existing.term = entry.term;
+    existing.count += entry.count;
+  });
+  return [...merged.values()];
+};
+
+// Compares the JD's keywords against the resume.
+// synonymGroups lists equivalent terms (see synonyms.js); a JD term counts as
+// matched when the resume contains any of its synonyms, and the entry's
+// matchedVia then names the resume spelling that satisfied it.
+// Returns { matched, missing }, each a list of keyword entries ordered by
+// how often the term appears in the JD. Each entry lists in keys the stem
+// keys of every spelling that counts as the term, and carries
+// resumeOccurrences, the offsets of the term (or its alias) in the resume.
+export const compareKeywords = (resumeText, jdText, synonymGroups = []) => {
+  const synonyms = buildSynonymIndex(synonymGroups);
+  const resumeTerms = collectTermOccurrences(resumeText);
+  const jdKeywords = mergeSynonymEntries(
+    [...extractKeywords(jdText, synonyms.phraseKeys).values()],
+    synonyms
+  ).sort((a, b) => b.count - a.count || a.firstIndex - b.firstIndex);
+
+  const resumeOccurrencesOf = (keys) =>
+    keys
+      .flatMap((key) => resumeTerms.get(key) || [])
+      .sort((a, b) => a.start - b.start);
+
+  const matched = [];
+  const missing = [];
+  jdKeywords.forEach(({ group, jdKeys, ...rest }) => {
+    // Every spelling that counts as this keyword
+    const entry = {
+      ...rest,
+      keys: group ? group.terms.map((t) => t.key) : jdKeys,
+    };
+    if (jdKeys.some((key) => resumeTerms.has(key))) {
+      matched.push({
+        ...entry,
+        resumeOccurrences: resumeOccurrencesOf(jdKeys),
+      });
+      return;
+    }
+    const alias = group && group.terms.find(({ key }) => resumeTerms.has(key));
+    if (alias) {
+      matched.push({
+        ...entry,
+        matchedVia: alias.term,
+        resumeOccurrences: resumeOccurrencesOf([alias.key]),
+      });
+    } else {
+      missing.push({ ...entry, resumeOccurrences: [] });
+    }
+  });
+
+  return { matched, missing };
+};
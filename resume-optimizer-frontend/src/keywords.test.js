@@ -0,0 +1,109 @@
+import { compareKeywords, extractKeywords, stem } from "./keywords";
+import { DEFAULT_SYNONYMS } from "./synonyms";
+
+const terms = (entries) => entries.map((entry) => entry.term);
+
+test("stems inflections of the same word to one key", () => {
+  expect(stem("managed")).toBe(stem("managing"));
+  expect(stem("manages")).toBe(stem("manage"));
+  expect(stem("running")).toBe(stem("run"));
+  expect(stem("node.js")).toBe("node.js");
+});
+
+test("drops stopwords and generic filler", () => {
+  const keywords = terms([
+    ...extractKeywords(
+      "We are looking for a candidate with strong experience in the Python and SQL."
+    ).values(),
+  ]);
+  expect(keywords).toEqual(expect.arrayContaining(["python", "SQL"]));
+  ["the", "and", "with", "we", "experience", "strong"].forEach((word) =>
+    expect(keywords).not.toContain(word)
+  );
+});
+
+test("keeps tokens with special characters intact", () => {
+  const keywords = terms([
+    ...extractKeywords(
+      "Skills: C++, C#, Node.js, CI/CD pipelines and .NET."
+    ).values(),
+  ]);
+  expect(keywords).toEqual(
+    expect.arrayContaining(["C++", "C#", "Node.js", "CI/CD", ".NET"])
+  );
+});
+
+test("keeps known and repeated multi-word phrases together", () => {
+  const keywords = terms([
+    ...extractKeywords(
+      "Build machine learning models. Own the feature store and scale the feature store."
+    ).values(),
+  ]);
+  expect(keywords).toEqual(
+    expect.arrayContaining(["machine learning", "feature store"])
+  );
+  expect(keywords).not.toContain("machine");
+  expect(keywords).not.toContain("learning");
+});
+
+test("matches phrases and inflected words against the resume", () => {
+  const { matched, missing } = compareKeywords(
+    "Managing a team that shipped Machine-Learning services in Node.js.",
+    "You will manage machine learning services in Node.js and Kafka."
+  );
+  expect(terms(matched)).toEqual(
+    expect.arrayContaining(["manage", "machine learning", "Node.js"])
+  );
+  expect(terms(missing)).toEqual(["kafka"]);
+});
+
+test("matches synonyms and reports the alias that satisfied the match", () => {
+  const synonyms = [
+    ["JavaScript", "JS"],
+    ["Kubernetes", "k8s"],
+    ["Amazon Web Services", "AWS"],
+  ];
+  const { matched, missing } = compareKeywords(
+    "Built JavaScript services on k8s and Amazon Web Services.",
+    "JS and JavaScript developer. Kubernetes, AWS and Terraform.",
+    synonyms
+  );
+  const byKey = Object.fromEntries(matched.map((entry) => [entry.key, entry]));
+
+  expect(byKey.javascript.matchedVia).toBeUndefined();
+  expect(byKey.javascript.count).toBe(2);
+  expect(byKey.kubernet.matchedVia).toBe("k8s");
+  expect(byKey["amazon web servic"].matchedVia).toBe("Amazon Web Services");
+  expect(terms(missing)).toEqual(expect.arrayContaining(["terraform"]));
+});
+
+test("default synonyms don't match everyday words", () => {
+  const { matched, missing } = compareKeywords(
+    "Led the team, worked on the rest of the node graph, go-to person.",
+    "Leadership, Golang, REST API, Node.js, master's degree (MS).",
+    DEFAULT_SYNONYMS
+  );
+
+  expect(matched).toEqual([]);
+  expect(terms(missing)).toEqual(
+    expect.arrayContaining([
+      "leadership",
+      "golang",
+      "REST API",
+      "Node.js",
+      "MS",
+    ])
+  );
+});
+
+test("records where each term occurs in the JD and the resume", () => {
+  const resume = "I use Python daily.";
+  const jd = "Python developer. Python is required.";
+  const { matched } = compareKeywords(resume, jd);
+  const python = matched.find((entry) => entry.key === "python");
+
+  expect(
+    python.occurrences.map(({ start, end }) => jd.slice(start, end))
+  ).toEqual(["Python", "Python"]);
+  expect(python.resumeOccurrences).toEqual([{ start: 6, end: 12 }]);
+});
@@ -0,0 +1,645 @@
+// LLM provider layer used by every AI feature.
+// Each provider turns a prompt into text through the same generate() call,
+// so the rest of the app doesn't care whether it talks to Gemini, a local
+// OpenAI-compatible server (Ollama, llama.cpp) or the offline mock.
+import { cacheKey, readCachedResponse, writeCachedResponse } from "./aiCache";
+import {
+  aiError,
+  checkFinishReason,
+  httpAiError,
+  isRetryableAiError,
+  isTruncatedAiError,
+  parseRetryAfter,
+  retryMessage,
+} from "./aiErrors";
+import { BACKEND_URL } from "./backend";
+
+const extractGeminiText = (result) => {
+  if (
+    result.candidates &&
+    result.candidates.length > 0 &&
+    result.candidates[0].content &&
+    result.candidates[0].content.parts &&
+    result.candidates[0].content.parts.length > 0
+  ) {
+    return result.candidates[0].content.parts[0].text;
+  }
+  return null;
+};
+
+// Why Gemini stopped: { blockReason, finishReason }, either of them null
+const geminiStop = (result) => ({
+  blockReason:
+    (result.promptFeedback && result.promptFeedback.blockReason) || null,
+  finishReason:
+    (result.candidates &&
+      result.candidates.length > 0 &&
+      result.candidates[0].finishReason) ||
+    null,
+});
+
+// Throws when Gemini blocked the prompt or stopped before finishing
+const checkGeminiStop = (
+  { blockReason, finishReason },
+  partialText,
+  streamed
+) => {
+  if (blockReason) {
+    throw aiError("blocked", {
+      detail: blockReason,
+      finishReason: blockReason,
+      partialText,
+    });
+  }
+  checkFinishReason(finishReason, partialText, streamed);
+};
+
+const extractOpenAiText = (result) => {
+  if (
+    result.choices &&
+    result.choices.length > 0 &&
+    result.choices[0].message &&
+    typeof result.choices[0].message.content === "string"
+  ) {
+    return result.choices[0].message.content;
+  }
+  return null;
+};
+
+const extractOpenAiFinishReason = (result) =>
+  (result.choices &&
+    result.choices.length > 0 &&
+    result.choices[0].finish_reason) ||
+  null;
+
+const extractOpenAiDelta = (event) =>
+  (event.choices &&
+    event.choices.length > 0 &&
+    event.choices[0].delta &&
+    event.choices[0].delta.content) ||
+  "";
+
+// How long the provider asked us to wait before retrying: the Retry-After
+// header, or the retryDelay of a Gemini error's RetryInfo
+const retryAfterMs = (response, result) => {
+  const header = response.headers && response.headers.get("Retry-After");
+  const retryInfo =
+    result.error &&
+    Array.isArray(result.error.details) &&
+    result.error.details.find((detail) => detail && detail.retryDelay);
+  return parseRetryAfter(header || (retryInfo && retryInfo.retryDelay));
+};
+
+// Throws a classified error (see aiErrors.js) with the provider's own
+// message when the reply is not ok
+const throwIfNotOk = async (response) => {
+  if (response.ok) return;
+  let result = {};
+  try {
+    result = await response.json();
+  } catch (error) {
+    // Not JSON; fall back to the status code
+  }
+  const message = result.error && (result.error.message || result.error);
+  throw httpAiError(
+    response.status,
+    typeof message === "string" ? message : "",
+    retryAfterMs(response, result)
+  );
+};
+
+// Cancelling rejects with the AbortError; any other failure to talk to the
+// provider is a network error
+const networkError = (error) =>
+  isAbortError(error) ? error : aiError("network", { detail: error.message });
+
+const postJson = async (url, payload, { headers = {}, signal } = {}) => {
+  try {
+    return await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  } catch (error) {
+    throw networkError(error);
+  }
+};
+
+// Reads a server-sent events body and calls onEvent with each parsed
+// "data:" payload. Stops at the OpenAI-style "[DONE]" marker.
+const readServerSentEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) return false;
+    const data = trimmed.slice(5).trim();
+    if (data === "[DONE]") return true;
+    onEvent(JSON.parse(data));
+    return false;
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read().catch((error) => {
+      throw networkError(error);
+    });
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (handleLine(line)) return;
+    }
+  }
+  handleLine(buffer);
+};
+
+// True when a request was cancelled through its AbortSignal
+export const isAbortError = (error) => error && error.name === "AbortError";
+
+const abortError = () => {
+  const error = new Error("The request was cancelled.");
+  error.name = "AbortError";
+  return error;
+};
+
+// Resolves after ms, or rejects with an AbortError when signal aborts first
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Gemini calls go through the backend (ResumeBackend/app.py), which holds the
+// API key, so the key never ships to the browser. The backend relays
+// Gemini's responses unchanged.
+const geminiRequest = (prompt, settings, { task, signal, stream, json }) =>
+  postJson(
+    `${BACKEND_URL}/ai/${task}`,
+    { prompt, model: settings.model, json, stream },
+    { signal }
+  );
+
+const geminiProvider = {
+  id: "gemini",
+  label: "Google Gemini (via the backend)",
+  defaultModel: "gemini-2.0-flash",
+  // The backend only accepts these (AI_MODELS in ResumeBackend/app.py)
+  models: ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"],
+  generate: async ({ prompt, settings, task, signal, json }) => {
+    const response = await geminiRequest(prompt, settings, {
+      task,
+      signal,
+      stream: false,
+      json,
+    });
+    await throwIfNotOk(response);
+    const result = await response.json();
+    const text = extractGeminiText(result);
+    checkGeminiStop(geminiStop(result), text || "", false);
+    if (!text) {
+      console.error("Gemini API response error:", result);
+      throw aiError("empty");
+    }
+    return text;
+  },
+  stream: async ({ prompt, settings, task, signal, json, onProgress }) => {
+    const response = await geminiRequest(prompt, settings, {
+      task,
+      signal,
+      stream: true,
+      json,
+    });
+    await throwIfNotOk(response);
+    let text = "";
+    // The last chunk says why the model stopped
+    let stop = { blockReason: null, finishReason: null };
+    await readServerSentEvents(response, (event) => {
+      text += extractGeminiText(event) || "";
+      const eventStop = geminiStop(event);
+      stop = {
+        blockReason: eventStop.blockReason || stop.blockReason,
+        finishReason: eventStop.finishReason || stop.finishReason,
+      };
+      onProgress(text);
+    });
+    checkGeminiStop(stop, text, true);
+    if (!text) throw aiError("empty");
+    return text;
+  },
+};
+
+const openAiRequest = (prompt, settings, { signal, stream, json }) => {
+  const baseUrl = (settings.baseUrl || "").replace(/\/+$/, "");
+  const headers = settings.apiKey
+    ? { Authorization: `Bearer ${settings.apiKey}` }
+    : {};
+  const payload = {
+    model: settings.model,
+    messages: [{ role: "user", content: prompt }],
+    stream,
+    ...(json && { response_format: { type: "json_object" } }),
+  };
+  return postJson(`${baseUrl}/chat/completions`, payload, { headers, signal });
+};
+
+const openAiCompatibleProvider = {
+  id: "openai",
+  label: "OpenAI-compatible (Ollama, llama.cpp)",
+  defaultModel: "llama3",
+  defaultBaseUrl: "http://localhost:11434/v1",
+  generate: async ({ prompt, settings, signal, json }) => {
+    const response = await openAiRequest(prompt, settings, {
+      signal,
+      stream: false,
+      json,
+    });
+    await throwIfNotOk(response);
+    const result = await response.json();
+    const text = extractOpenAiText(result);
+    checkFinishReason(extractOpenAiFinishReason(result), text || "", false);
+    if (!text) {
+      console.error("OpenAI-compatible API response error:", result);
+      throw aiError("empty");
+    }
+    return text;
+  },
+  stream: async ({ prompt, settings, signal, json, onProgress }) => {
+    const response = await openAiRequest(prompt, settings, {
+      signal,
+      stream: true,
+      json,
+    });
+    await throwIfNotOk(response);
+    let text = "";
+    let finishReason = null;
+    await readServerSentEvents(response, (event) => {
+      text += extractOpenAiDelta(event);
+      finishReason = extractOpenAiFinishReason(event) || finishReason;
+      onProgress(text);
+    });
+    checkFinishReason(finishReason, text, true);
+    if (!text) throw aiError("empty");
+    return text;
+  },
+};
+
+// Canned responses for the mock provider, by task. They only depend on the
+// prompt, so the same input always produces the same output.
+const MOCK_RESPONSES = {
+  suggestions: () =>
+    JSON.stringify(
+      {
+        suggestions: [
+          {
+            category: "Missing Skill",
+            severity: "high",
+            excerpt: "",
+            change:
+              "Add the job description's core tools to your skills section.",
+            rationale: "ATS filters look for these exact terms.",
+          },
+          {
+            category: "Impact",
+            severity: "medium",
+            excerpt: "",
+            change: "Quantify results with numbers, percentages or time saved.",
+            rationale: "Measurable outcomes stand out to recruiters.",
+          },
+          {
+            category: "Wording",
+            severity: "low",
+            excerpt: "",
+            change: "Start each bullet with a strong action verb.",
+            rationale: "Action verbs make your contributions clear.",
+          },
+        ],
+      },
+      null,
+      2
+    ),
+  rewrite: (prompt) => {
+    const match = prompt.match(/Bullet Point:\s*"([\s\S]*?)"/);
+    const original = match ? match[1].trim() : "the original bullet";
+    const countMatch = prompt.match(/Write (\d+) distinct alternatives/);
+    const count = countMatch ? Number(countMatch[1]) : 1;
+    const lowered = original.replace(/^\w/, (c) => c.toLowerCase());
+    const verbs = ["Delivered", "Led", "Drove", "Built", "Spearheaded"];
+    return JSON.stringify({
+      rewrites: Array.from({ length: count }, (_, index) => ({
+        text: `${verbs[index % verbs.length]} ${lowered}, improving team throughput by ${
+          (index + 1) * 10
+        }%.`,
+      })),
+    });
+  },
+  coverLetter: (prompt) => {
+    const countMatch = prompt.match(/Write (\d+) paragraphs/);
+    const count = countMatch ? Number(countMatch[1]) : 3;
+    const achievements = [...prompt.matchAll(/^\s*\[(\d+)\] (.+)$/gm)];
+    return JSON.stringify({
+      paragraphs: Array.from({ length: count }, (_, index) => {
+        const achievement = achievements[index % (achievements.length || 1)];
+        return achievement
+          ? {
+              text: `Paragraph ${index + 1}: in my recent work I ${achievement[2].replace(/^\w/, (c) => c.toLowerCase())}, and I would bring the same focus to this role.`,
+              achievements: [Number(achievement[1])],
+            }
+          : {
+              text: `Paragraph ${index + 1}: I am excited to apply for this role.`,
+              achievements: [],
+            };
+      }),
+    });
+  },
+  coverLetterParagraph: (prompt) => {
+    const match = prompt.match(/Rewrite paragraph (\d+)/);
+    return JSON.stringify({
+      paragraphs: [
+        {
+          text: `Reworked paragraph ${match ? match[1] : 1}, now more specific to the role.`,
+          achievements: [],
+        },
+      ],
+    });
+  },
+  interviewPrep: (prompt) => {
+    const listAfter = (label) => {
+      const match = prompt.match(new RegExp(`${label}: (.*)`));
+      return match && match[1].trim() !== "none"
+        ? match[1].split(",").map((item) => item.trim())
+        : [];
+    };
+    const achievement = prompt.match(/^\s*\[(\d+)\] (.+)$/m);
+    const outline = (topic) => ({
+      situation: achievement ? achievement[2] : "A recent project.",
+      task: `Needed to deliver results with ${topic}.`,
+      action: `Applied ${topic} step by step.`,
+      result: "Delivered on time with measurable impact.",
+    });
+    const cited = achievement ? [Number(achievement[1])] : [];
+    return JSON.stringify({
+      questions: [
+        ...listAfter("Strengths")
+          .slice(0, 2)
+          .map((term) => ({
+            group: "technical",
+            question: `How have you used ${term}?`,
+            keyword: term,
+            star: outline(term),
+            achievements: cited,
+          })),
+        {
+          group: "behavioral",
+          question: "Tell me about a time you handled a tight deadline.",
+          keyword: "",
+          star: outline("the team"),
+          achievements: cited,
+        },
+        ...listAfter("Gaps")
+          .slice(0, 2)
+          .map((term) => ({
+            group: "gap",
+            question: `What experience do you have with ${term}?`,
+            keyword: term,
+            star: outline(term),
+            achievements: [],
+          })),
+      ],
+    });
+  },
+  candidateSummary: (prompt) => {
+    const listAfter = (label) => {
+      const match = prompt.match(new RegExp(`${label}: (.*)`));
+      return match ? match[1].trim() : "none";
+    };
+    return `Candidate matches ${listAfter("Matched must-haves")}. Biggest gaps: ${listAfter("Missing must-haves")}.`;
+  },
+  default: (prompt) => `Mock response (${prompt.length} characters of input).`,
+};
+
+// Delay between streamed mock tokens, so the UI can be exercised offline
+const MOCK_TOKEN_DELAY_MS = 15;
+
+const mockResponse = (prompt, task) =>
+  (MOCK_RESPONSES[task] || MOCK_RESPONSES.default)(prompt);
+
+const mockProvider = {
+  id: "mock",
+  label: "Mock (offline, deterministic)",
+  defaultModel: "mock",
+  generate: async ({ prompt, task }) => mockResponse(prompt, task),
+  stream: async ({ prompt, task, signal, onProgress }) => {
+    // Stream word by word, keeping the whitespace that follows each word
+    const tokens = mockResponse(prompt, task).match(/\S+\s*/g) || [];
+    let text = "";
+    for (const token of tokens) {
+      await delay(MOCK_TOKEN_DELAY_MS, signal);
+      text += token;
+      onProgress(text);
+    }
+    return text;
+  },
+};
+
+export const PROVIDERS = {
+  [geminiProvider.id]: geminiProvider,
+  [openAiCompatibleProvider.id]: openAiCompatibleProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+const SETTINGS_KEY = "resumeOptimizer.llmSettings";
+
+// Provider settings for a provider id, with that provider's defaults
+export const defaultSettingsFor = (providerId) => {
+  const provider = PROVIDERS[providerId] || geminiProvider;
+  return {
+    provider: provider.id,
+    model: provider.defaultModel,
+    baseUrl: provider.defaultBaseUrl || "",
+    apiKey: "",
+  };
+};
+
+// REACT_APP_LLM_PROVIDER picks the default provider, e.g. "mock" to run offline
+export const loadLlmSettings = () => {
+  const defaults = defaultSettingsFor(
+    process.env.REACT_APP_LLM_PROVIDER || geminiProvider.id
+  );
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+    if (saved && PROVIDERS[saved.provider]) {
+      const settings = { ...defaultSettingsFor(saved.provider), ...saved };
+      // A model saved before the provider limited its models
+      const { models, defaultModel } = PROVIDERS[saved.provider];
+      if (models && !models.includes(settings.model)) {
+        settings.model = defaultModel;
+      }
+      return settings;
+    }
+  } catch (error) {
+    console.error("Could not read AI model settings:", error);
+  }
+  return defaults;
+};
+
+export const saveLlmSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Could not save AI model settings:", error);
+  }
+};
+
+const providerFor = (settings) => {
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${settings.provider}".`);
+  }
+  return provider;
+};
+
+// Key of a request in the response cache (see aiCache.js), or null when it
+// isn't cached. The mock provider is already free and instant.
+const requestCacheKey = (prompt, settings, { task, json }) =>
+  settings.provider === mockProvider.id
+    ? Promise.resolve(null)
+    : cacheKey({
+        provider: settings.provider,
+        model: settings.model,
+        baseUrl: settings.baseUrl,
+        task,
+        json,
+        prompt,
+      });
+
+// Attempts per request, counting the first
+export const MAX_ATTEMPTS = 3;
+// Wait before the first retry; each later retry waits twice as long
+const RETRY_BASE_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// How long to wait before retrying after attempt number attempt failed:
+// what the provider asked for, or exponential backoff
+export const retryDelayMs = (error, attempt) =>
+  Math.min(
+    error.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+    MAX_RETRY_DELAY_MS
+  );
+
+// Runs request, retrying rate limits, server and network errors (see
+// aiErrors.js). onRetry gets { error, attempt, delayMs, message } before each
+// wait, e.g. message "Quota exceeded, retrying in 20s...".
+const withRetries = async (request, { signal, maxAttempts, onRetry }) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableAiError(error)) throw error;
+      const delayMs = retryDelayMs(error, attempt);
+      onRetry({
+        error,
+        attempt,
+        delayMs,
+        message: retryMessage(error, delayMs),
+      });
+      await delay(delayMs, signal);
+    }
+  }
+};
+
+// Sends a prompt to the configured provider and resolves with its text.
+// task names the feature making the call ("suggestions", "rewrite", ...);
+// signal is an optional AbortSignal for cancelling the request; json asks
+// the provider for a JSON response where it supports that.
+// Responses are cached: a repeated request resolves with the cached text and
+// calls onCacheHit with { text, createdAt }. regenerate skips the lookup and
+// replaces the cached response.
+// Failures reject with a classified AiError (see aiErrors.js); transient ones
+// are retried up to maxAttempts times in all, calling onRetry before each
+// wait (see withRetries). With onTruncated, a response cut off at the
+// model's length limit resolves with its partial text instead, after calling
+// onTruncated with the error; partial responses aren't cached.
+export const generateText = async (
+  prompt,
+  settings,
+  {
+    task,
+    signal,
+    json = false,
+    regenerate = false,
+    maxAttempts = MAX_ATTEMPTS,
+    onCacheHit = () => {},
+    onRetry = () => {},
+    onTruncated,
+  } = {}
+) => {
+  const provider = providerFor(settings);
+  const key = await requestCacheKey(prompt, settings, { task, json });
+  const cached = regenerate ? null : await readCachedResponse(key);
+  if (cached) {
+    onCacheHit(cached);
+    return cached.text;
+  }
+  let text;
+  try {
+    text = await withRetries(
+      () => provider.generate({ prompt, settings, task, signal, json }),
+      { signal, maxAttempts, onRetry }
+    );
+  } catch (error) {
+    if (!onTruncated || !isTruncatedAiError(error) || !error.partialText) {
+      throw error;
+    }
+    onTruncated(error);
+    return error.partialText;
+  }
+  await writeCachedResponse(key, text);
+  return text;
+};
+
+// Like generateText, but calls onProgress with the text received so far as
+// the response streams in. Resolves with the full text. A cached response
+// arrives in a single onProgress call; cancelled streams aren't cached. A
+// retry streams from the start again. A truncated response rejects after its
+// partial text has been shown.
+export const streamText = async (
+  prompt,
+  settings,
+  {
+    task,
+    signal,
+    json = false,
+    regenerate = false,
+    maxAttempts = MAX_ATTEMPTS,
+    onProgress = () => {},
+    onCacheHit = () => {},
+    onRetry = () => {},
+  } = {}
+) => {
+  const provider = providerFor(settings);
+  const key = await requestCacheKey(prompt, settings, { task, json });
+  const cached = regenerate ? null : await readCachedResponse(key);
+  if (cached) {
+    onProgress(cached.text);
+    onCacheHit(cached);
+    return cached.text;
+  }
+  const text = await withRetries(
+    () => provider.stream({ prompt, settings, task, signal, json, onProgress }),
+    { signal, maxAttempts, onRetry }
+  );
+  await writeCachedResponse(key, text);
+  return text;
+};
@@ -0,0 +1,451 @@
+import { webcrypto } from "crypto";
+import { clearAiCache } from "./aiCache";
+import {
+  defaultSettingsFor,
+  generateText,
+  isAbortError,
+  loadLlmSettings,
+  retryDelayMs,
+  streamText,
+} from "./llm";
+
+const fetchResponse = (
+  body,
+  ok = true,
+  { status = ok ? 200 : 500, retryAfter = null } = {}
+) => ({
+  ok,
+  status,
+  headers: { get: (name) => (name === "Retry-After" ? retryAfter : null) },
+  json: () => Promise.resolve(body),
+});
+
+const mockFetchResponse = (body, ok, options) => {
+  global.fetch = jest.fn().mockResolvedValue(fetchResponse(body, ok, options));
+};
+
+const candidate = (text, finishReason) => ({
+  candidates: [{ content: { parts: [{ text }] }, finishReason }],
+});
+
+// A fetch response whose body streams the given chunks of text
+const mockStreamingResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map((chunk) => encoder.encode(chunk));
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () =>
+          Promise.resolve(
+            queue.length > 0
+              ? { done: false, value: queue.shift() }
+              : { done: true }
+          ),
+      }),
+    },
+  });
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("mock provider is deterministic and needs no network", async () => {
+  const settings = defaultSettingsFor("mock");
+  const prompt = 'Bullet Point: "Worked on a fraud detection ML model"';
+  const first = await generateText(prompt, settings, { task: "rewrite" });
+  const second = await generateText(prompt, settings, { task: "rewrite" });
+
+  expect(first).toBe(second);
+  expect(first).toContain("worked on a fraud detection ML model");
+});
+
+test("gemini provider sends the prompt through the backend, without a key", async () => {
+  mockFetchResponse({
+    candidates: [{ content: { parts: [{ text: "Use stronger verbs." }] } }],
+  });
+
+  await expect(
+    generateText("Improve this", defaultSettingsFor("gemini"), {
+      task: "suggestions",
+      json: true,
+    })
+  ).resolves.toBe("Use stronger verbs.");
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe("http://127.0.0.1:5000/ai/suggestions");
+  expect(JSON.parse(request.body)).toEqual({
+    prompt: "Improve this",
+    model: "gemini-2.0-flash",
+    json: true,
+    stream: false,
+  });
+  expect(url + request.body).not.toContain("key");
+});
+
+test("saved gemini models the backend doesn't allow fall back to the default", () => {
+  window.localStorage.setItem(
+    "resumeOptimizer.llmSettings",
+    JSON.stringify({ provider: "gemini", model: "gemini-ultra" })
+  );
+  try {
+    expect(loadLlmSettings().model).toBe("gemini-2.0-flash");
+  } finally {
+    window.localStorage.clear();
+  }
+});
+
+test("openai-compatible provider calls chat completions on the base URL", async () => {
+  mockFetchResponse({ choices: [{ message: { content: "Local answer" } }] });
+  const settings = {
+    ...defaultSettingsFor("openai"),
+    baseUrl: "http://localhost:8080/v1/",
+    model: "qwen",
+  };
+
+  await expect(generateText("Hi", settings)).resolves.toBe("Local answer");
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe("http://localhost:8080/v1/chat/completions");
+  expect(JSON.parse(request.body)).toMatchObject({
+    model: "qwen",
+    messages: [{ role: "user", content: "Hi" }],
+  });
+});
+
+test("classifies provider errors and unexpected responses", async () => {
+  const settings = defaultSettingsFor("gemini");
+  const once = { maxAttempts: 1 };
+
+  mockFetchResponse(
+    { error: { message: "Resource has been exhausted" } },
+    false,
+    {
+      status: 429,
+    }
+  );
+  await expect(generateText("x", settings, once)).rejects.toMatchObject({
+    name: "AiError",
+    kind: "quota",
+    status: 429,
+    message: expect.stringContaining("Resource has been exhausted"),
+  });
+
+  // The backend's own errors, e.g. its rate limit
+  mockFetchResponse({ error: "Too many AI requests." }, false, {
+    status: 429,
+    retryAfter: "20",
+  });
+  await expect(generateText("x", settings, once)).rejects.toMatchObject({
+    kind: "quota",
+    retryAfterMs: 20000,
+    message: expect.stringContaining("Too many AI requests"),
+  });
+
+  // Gemini's RetryInfo says how long to wait too
+  mockFetchResponse(
+    {
+      error: {
+        message: "Quota exceeded",
+        details: [{ retryDelay: "31s" }],
+      },
+    },
+    false,
+    { status: 429 }
+  );
+  await expect(generateText("x", settings, once)).rejects.toMatchObject({
+    retryAfterMs: 31000,
+  });
+
+  mockFetchResponse({ error: { message: "API key not valid" } }, false, {
+    status: 403,
+  });
+  await expect(generateText("x", settings)).rejects.toMatchObject({
+    kind: "auth",
+  });
+
+  mockFetchResponse({}, false, { status: 503 });
+  await expect(generateText("x", settings, once)).rejects.toMatchObject({
+    kind: "server",
+    message: expect.stringContaining("HTTP 503"),
+  });
+
+  global.fetch = jest.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+  await expect(generateText("x", settings, once)).rejects.toMatchObject({
+    kind: "network",
+  });
+
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  mockFetchResponse({ candidates: [] });
+  await expect(generateText("x", settings)).rejects.toMatchObject({
+    kind: "empty",
+  });
+  console.error.mockRestore();
+});
+
+test("reports truncated and blocked responses", async () => {
+  const settings = defaultSettingsFor("gemini");
+
+  mockFetchResponse(candidate('{"sugg', "MAX_TOKENS"));
+  await expect(generateText("x", settings)).rejects.toMatchObject({
+    kind: "truncated",
+    finishReason: "MAX_TOKENS",
+    partialText: '{"sugg',
+  });
+
+  mockFetchResponse({ promptFeedback: { blockReason: "SAFETY" } });
+  await expect(generateText("x", settings)).rejects.toMatchObject({
+    kind: "blocked",
+    message: expect.stringContaining("SAFETY"),
+  });
+
+  mockFetchResponse({
+    choices: [{ message: { content: "Partial" }, finish_reason: "length" }],
+  });
+  await expect(
+    generateText("x", defaultSettingsFor("openai"))
+  ).rejects.toMatchObject({ kind: "truncated", partialText: "Partial" });
+
+  // A stream has already shown what arrived before the cut-off
+  mockStreamingResponse([
+    'data: {"candidates":[{"content":{"parts":[{"text":"Use "}]}}]}\n\n',
+    'data: {"candidates":[{"content":{"parts":[{"text":"met"}]},"finishReason":"MAX_TOKENS"}]}\n\n',
+  ]);
+  const onProgress = jest.fn();
+  const error = await streamText("x", settings, { onProgress }).catch((e) => e);
+  expect(onProgress).toHaveBeenLastCalledWith("Use met");
+  expect(error.kind).toBe("truncated");
+  expect(error.message).toContain("Showing the partial result.");
+});
+
+test("callers that accept partial text get it from a truncated response", async () => {
+  mockFetchResponse(candidate("Led a te", "MAX_TOKENS"));
+  const onTruncated = jest.fn();
+
+  await expect(
+    generateText("x", defaultSettingsFor("gemini"), { onTruncated })
+  ).resolves.toBe("Led a te");
+  expect(onTruncated).toHaveBeenCalledWith(
+    expect.objectContaining({ kind: "truncated" })
+  );
+
+  // Other failures still reject
+  mockFetchResponse({ promptFeedback: { blockReason: "SAFETY" } });
+  await expect(
+    generateText("x", defaultSettingsFor("gemini"), { onTruncated })
+  ).rejects.toMatchObject({ kind: "blocked" });
+});
+
+describe("retries", () => {
+  const settings = defaultSettingsFor("gemini");
+  // Retry-After: 0 keeps the tests from waiting
+  const failure = (status) =>
+    fetchResponse({ error: { message: "Try later" } }, false, {
+      status,
+      retryAfter: "0",
+    });
+
+  test("retries transient failures until one succeeds", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(failure(503))
+      .mockResolvedValueOnce(failure(429))
+      .mockResolvedValueOnce(fetchResponse(candidate("Done")));
+    const onRetry = jest.fn();
+
+    await expect(generateText("x", settings, { onRetry })).resolves.toBe(
+      "Done"
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([retry]) => retry.attempt)).toEqual([1, 2]);
+    expect(onRetry.mock.calls[1][0].message).toBe(
+      "Quota exceeded, retrying in 0s..."
+    );
+  });
+
+  test("gives up after the last attempt or on a permanent error", async () => {
+    global.fetch = jest.fn().mockResolvedValue(failure(500));
+    await expect(generateText("x", settings)).rejects.toMatchObject({
+      kind: "server",
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    global.fetch = jest.fn().mockResolvedValue(failure(400));
+    await expect(generateText("x", settings)).rejects.toMatchObject({
+      kind: "badRequest",
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("stops listening for cancellation once the wait is over", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(failure(503))
+      .mockResolvedValueOnce(fetchResponse(candidate("Done")));
+    const { signal } = new AbortController();
+    jest.spyOn(signal, "addEventListener");
+    jest.spyOn(signal, "removeEventListener");
+
+    await generateText("x", settings, { signal });
+
+    const [[, listener]] = signal.addEventListener.mock.calls;
+    expect(signal.removeEventListener).toHaveBeenCalledWith("abort", listener);
+  });
+
+  test("stops waiting when cancelled", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(
+        fetchResponse({}, false, { status: 503, retryAfter: "30" })
+      );
+    const controller = new AbortController();
+
+    const error = await streamText("x", settings, {
+      signal: controller.signal,
+      onRetry: () => controller.abort(),
+    }).catch((e) => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("backs off exponentially unless the provider says how long", () => {
+    expect([1, 2, 3].map((attempt) => retryDelayMs({}, attempt))).toEqual([
+      2000, 4000, 8000,
+    ]);
+    expect(retryDelayMs({ retryAfterMs: 20000 }, 1)).toBe(20000);
+    expect(retryDelayMs({ retryAfterMs: 600000 }, 1)).toBe(60000);
+  });
+});
+
+test("streams gemini server-sent events split across chunks", async () => {
+  mockStreamingResponse([
+    'data: {"candidates":[{"content":{"parts":[{"text":"Use "}]}}]}\n\ndata: {"cand',
+    'idates":[{"content":{"parts":[{"text":"metrics."}]}}]}\n\n',
+  ]);
+  const onProgress = jest.fn();
+
+  await expect(
+    streamText("x", defaultSettingsFor("gemini"), {
+      task: "rewrite",
+      onProgress,
+    })
+  ).resolves.toBe("Use metrics.");
+  expect(onProgress.mock.calls).toEqual([["Use "], ["Use metrics."]]);
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe("http://127.0.0.1:5000/ai/rewrite");
+  expect(JSON.parse(request.body)).toMatchObject({ stream: true });
+});
+
+test("streams openai-compatible deltas until [DONE]", async () => {
+  mockStreamingResponse([
+    'data: {"choices":[{"delta":{"content":"Hel"}}]}\n',
+    'data: {"choices":[{"delta":{"content":"lo"}}]}\ndata: [DONE]\n',
+  ]);
+  const settings = defaultSettingsFor("openai");
+
+  await expect(streamText("x", settings)).resolves.toBe("Hello");
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+});
+
+test("mock stream reports progress and can be cancelled", async () => {
+  const settings = defaultSettingsFor("mock");
+  const progress = [];
+  const full = await streamText("x", settings, {
+    task: "suggestions",
+    onProgress: (text) => progress.push(text),
+  });
+  expect(progress.length).toBeGreaterThan(1);
+  expect(progress[progress.length - 1]).toBe(full);
+
+  const controller = new AbortController();
+  const partial = [];
+  const request = streamText("x", settings, {
+    task: "suggestions",
+    signal: controller.signal,
+    onProgress: (text) => {
+      partial.push(text);
+      controller.abort();
+    },
+  });
+  const error = await request.catch((e) => e);
+  expect(isAbortError(error)).toBe(true);
+  expect(partial).toHaveLength(1);
+});
+
+describe("response cache", () => {
+  // jsdom lacks crypto.subtle, which the cache keys need
+  beforeAll(() => {
+    window.crypto = webcrypto;
+  });
+
+  afterAll(() => {
+    delete window.crypto;
+  });
+
+  afterEach(() => clearAiCache());
+
+  test("answers a repeated request from the cache", async () => {
+    mockFetchResponse(candidate("Fresh"));
+    const settings = defaultSettingsFor("gemini");
+    const onCacheHit = jest.fn();
+
+    await generateText("Improve this", settings, {
+      task: "suggestions",
+      onCacheHit,
+    });
+    expect(onCacheHit).not.toHaveBeenCalled();
+
+    const onProgress = jest.fn();
+    await expect(
+      streamText("Improve this", settings, {
+        task: "suggestions",
+        onProgress,
+        onCacheHit,
+      })
+    ).resolves.toBe("Fresh");
+    expect(onProgress).toHaveBeenCalledWith("Fresh");
+    expect(onCacheHit).toHaveBeenCalledWith(
+      expect.objectContaining({ text: "Fresh" })
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // A different model is a different request
+    await generateText(
+      "Improve this",
+      { ...settings, model: "gemini-1.5-pro" },
+      { task: "suggestions" }
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("regenerate skips the cache and replaces the cached response", async () => {
+    const settings = defaultSettingsFor("gemini");
+    mockFetchResponse(candidate("First"));
+    await generateText("x", settings, { task: "rewrite" });
+
+    mockFetchResponse(candidate("Second"));
+    await expect(
+      generateText("x", settings, { task: "rewrite", regenerate: true })
+    ).resolves.toBe("Second");
+    await expect(
+      generateText("x", settings, { task: "rewrite" })
+    ).resolves.toBe("Second");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("doesn't cache failures or the mock provider", async () => {
+    const settings = defaultSettingsFor("gemini");
+    mockFetchResponse({ error: { message: "Quota exceeded" } }, false);
+    await expect(
+      generateText("x", settings, { maxAttempts: 1 })
+    ).rejects.toThrow();
+    mockFetchResponse(candidate("Recovered"));
+    await expect(generateText("x", settings)).resolves.toBe("Recovered");
+
+    const onCacheHit = jest.fn();
+    const mock = defaultSettingsFor("mock");
+    await generateText("x", mock, { task: "rewrite" });
+    await generateText("x", mock, { task: "rewrite", onCacheHit });
+    expect(onCacheHit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,202 @@
+// Weighted ATS match score.
+// Each JD keyword gets a weight from how often and how prominently it appears
+// in the JD (the job title line and "requirements" sections count more,
+// "nice to have" sections count less) and from its category. The score is the
+// share of that weight the resume covers, overall and per category.
+import { termKey } from "./keywords";
+
+export const SCORE_CATEGORIES = [
+  { id: "hardSkills", label: "Hard Skills", weight: 1 },
+  { id: "tools", label: "Tools", weight: 0.9 },
+  { id: "certifications", label: "Certifications", weight: 0.8 },
+  { id: "education", label: "Education", weight: 0.6 },
+  { id: "softSkills", label: "Soft Skills", weight: 0.5 },
+  { id: "other", label: "Other Keywords", weight: 0.4 },
+];
+
+// Terms used to place a keyword in a category. Anything not listed is "other".
+export const CATEGORY_TERMS = {
+  hardSkills: [
+    "python", "java", "javascript", "typescript", "C++", "C#", "go", "golang",
+    "rust", "ruby", "php", "sql", "R", "scala", "kotlin", "swift", "html",
+    "css", "react", "angular", "vue", "Node.js", "django", "flask", "spring",
+    ".NET", "graphql", "rest api", "microservices", "distributed systems",
+    "machine learning", "deep learning", "natural language processing",
+    "computer vision", "data analysis", "data science", "data engineering",
+    "data visualization", "data structures", "algorithms", "statistics",
+    "CI/CD", "devops", "testing", "unit testing", "test automation",
+    "security", "networking", "cloud computing", "software development",
+    "software engineering", "web development", "object oriented", "agile",
+    "scrum", "etl", "api", "backend", "frontend", "mobile", "ios", "android",
+    "financial modeling", "accounting", "forecasting", "budgeting", "seo",
+    "marketing", "analytics", "business intelligence", "supply chain",
+    "pandas", "numpy", "tensorflow", "pytorch", "scikit-learn",
+  ],
+  tools: [
+    "git", "github", "gitlab", "bitbucket", "docker", "kubernetes", "jenkins",
+    "circleci", "terraform", "ansible", "aws", "azure", "gcp", "linux", "jira",
+    "confluence", "excel", "tableau", "power bi", "looker", "salesforce",
+    "hubspot", "figma", "sketch", "photoshop", "postgresql", "mysql",
+    "mongodb", "redis", "kafka", "spark", "hadoop", "airflow", "snowflake",
+    "databricks", "elasticsearch", "webpack", "sap", "quickbooks", "slack",
+    "version control",
+  ],
+  softSkills: [
+    "communication", "leadership", "teamwork", "collaboration",
+    "collaborative", "problem solving", "critical thinking", "adaptability",
+    "mentoring", "mentorship", "ownership", "creativity", "presentation",
+    "negotiation", "stakeholder management", "time management",
+    "project management", "cross functional", "organization", "initiative",
+    "customer service", "interpersonal",
+  ],
+  certifications: [
+    "certification", "certified", "certificate", "license", "licensed",
+    "pmp", "cpa", "cfa", "cissp", "ccna", "comptia", "security+", "itil",
+    "six sigma", "csm", "scrum master", "aws certified", "rn",
+  ],
+  education: [
+    "bachelor", "bachelors", "master", "masters", "phd", "doctorate", "mba",
+    "degree", "bs", "ba", "ms", "msc", "bsc", "diploma", "university",
+    "college", "gpa", "computer science", "graduate", "coursework",
+  ],
+};
+
+const CATEGORY_BY_KEY = new Map();
+Object.entries(CATEGORY_TERMS).forEach(([category, terms]) => {
+  terms.forEach((term) => CATEGORY_BY_KEY.set(termKey(term), category));
+});
+
+// Category of a keyword entry
+export const categorizeKeyword = (entry) => {
+  if (CATEGORY_BY_KEY.has(entry.key)) return CATEGORY_BY_KEY.get(entry.key);
+  // Phrases take the category of their most specific known word
+  const known = entry.key.split(" ").find((word) => CATEGORY_BY_KEY.has(word));
+  return known ? CATEGORY_BY_KEY.get(known) : "other";
+};
+
+const REQUIRED_REGEX = /\b(required|requirements?|must|minimum|qualifications)\b/i;
+const OPTIONAL_REGEX = /\b(preferred|nice to have|bonus|plus|desired)\b/i;
+
+// Prominence of terms on the title line, in required and in optional lines
+const TITLE_FACTOR = 3;
+const REQUIRED_FACTOR = 1.5;
+const OPTIONAL_FACTOR = 0.5;
+
+// A heading is a short line ending with ":" or written in capitals
+const isHeading = (line) =>
+  line.length < 60 && (/:\s*$/.test(line) || /^[A-Z][A-Z\s&/]+$/.test(line));
+
+// Splits the JD into lines with a prominence factor for each
+const lineProminence = (jdText) => {
+  const lines = [];
+  let offset = 0;
+  let sectionFactor = 1;
+  let seenTitle = false;
+
+  jdText.split("\n").forEach((rawLine) => {
+    const line = rawLine.trim();
+    let factor = sectionFactor;
+
+    if (line && !seenTitle) {
+      // The first non-empty line is usually the job title
+      factor = TITLE_FACTOR;
+      seenTitle = true;
+    } else if (line && isHeading(line)) {
+      if (OPTIONAL_REGEX.test(line)) sectionFactor = OPTIONAL_FACTOR;
+      else if (REQUIRED_REGEX.test(line)) sectionFactor = REQUIRED_FACTOR;
+      else sectionFactor = 1;
+      factor = sectionFactor;
+    } else if (OPTIONAL_REGEX.test(line)) {
+      factor = OPTIONAL_FACTOR;
+    } else if (REQUIRED_REGEX.test(line)) {
+      factor = REQUIRED_FACTOR;
+    }
+
+    lines.push({ start: offset, end: offset + rawLine.length, factor });
+    offset += rawLine.length + 1;
+  });
+
+  return lines;
+};
+
+const lineAt = (lines, offset) =>
+  lines.find((line) => offset >= line.start && offset <= line.end);
+
+// Weight of one JD keyword: log-scaled sum of the prominence of each
+// occurrence, times its category weight
+const keywordWeight = (entry, lines, categoryWeight) => {
+  const prominence = entry.occurrences.reduce((sum, occurrence) => {
+    const line = lineAt(lines, occurrence.start);
+    return sum + (line ? line.factor : 1);
+  }, 0);
+  return categoryWeight * Math.log2(1 + prominence);
+};
+
+// True when the keyword appears in a required line or section of the JD
+const isRequiredKeyword = (entry, lines) =>
+  entry.occurrences.some((occurrence) => {
+    const line = lineAt(lines, occurrence.start);
+    return line && line.factor === REQUIRED_FACTOR;
+  });
+
+const percent = (part, total) =>
+  total > 0 ? Math.round((part / total) * 100) : null;
+
+// Scores the result of compareKeywords against the JD it came from.
+// Returns { score, categories, terms }: score is 0-100 (null when the JD has
+// no keywords), categories holds per-category scores for categories present
+// in the JD, and terms lists every keyword with its category, weight and
+// whether it appears in a required part of the JD.
+export const scoreMatch = (jdText, { matched, missing }) => {
+  const lines = lineProminence(jdText || "");
+  const categoryWeights = Object.fromEntries(
+    SCORE_CATEGORIES.map((category) => [category.id, category.weight])
+  );
+
+  const terms = [
+    ...matched.map((entry) => ({ ...entry, matched: true })),
+    ...missing.map((entry) => ({ ...entry, matched: false })),
+  ].map((entry) => {
+    const category = categorizeKeyword(entry);
+    return {
+      ...entry,
+      category,
+      weight: keywordWeight(entry, lines, categoryWeights[category]),
+      required: isRequiredKeyword(entry, lines),
+    };
+  });
+
+  const totals = {};
+  SCORE_CATEGORIES.forEach((category) => {
+    totals[category.id] = { weight: 0, matchedWeight: 0, total: 0, matched: 0 };
+  });
+  terms.forEach((term) => {
+    const bucket = totals[term.category];
+    bucket.weight += term.weight;
+    bucket.total += 1;
+    if (term.matched) {
+      bucket.matchedWeight += term.weight;
+      bucket.matched += 1;
+    }
+  });
+
+  const categories = SCORE_CATEGORIES.filter(
+    (category) => totals[category.id].total > 0
+  ).map((category) => {
+    const bucket = totals[category.id];
+    return {
+      id: category.id,
+      label: category.label,
+      score: percent(bucket.matchedWeight, bucket.weight),
+      matched: bucket.matched,
+      total: bucket.total,
+    };
+  });
+
+  const allWeight = terms.reduce((sum, term) => sum + term.weight, 0);
+  const matchedWeight = terms
+    .filter((term) => term.matched)
+    .reduce((sum, term) => sum + term.weight, 0);
+
+  return { score: percent(matchedWeight, allWeight), categories, terms };
+};
@@ -0,0 +1,56 @@
+import { compareKeywords } from "./keywords";
+import { categorizeKeyword, scoreMatch } from "./matchScore";
+
+const JD = `Senior Python Engineer
+Requirements:
+- Python, Docker and Kubernetes
+- Excellent communication
+Nice to have:
+- Tableau`;
+
+const score = (resumeText) => scoreMatch(JD, compareKeywords(resumeText, JD));
+
+test("categorizes keywords by lexicon", () => {
+  const { terms } = score("");
+  const categoryOf = (term) => terms.find((t) => t.term === term).category;
+  expect(categoryOf("python")).toBe("hardSkills");
+  expect(categoryOf("docker")).toBe("tools");
+  expect(categoryOf("communication")).toBe("softSkills");
+  expect(categorizeKeyword({ key: "bachelor" })).toBe("education");
+});
+
+test("scores 0 for no overlap and 100 for full overlap", () => {
+  expect(score("Gardening and cooking").score).toBe(0);
+  expect(
+    score("Senior Python engineer. Docker, Kubernetes, communication, Tableau.")
+      .score
+  ).toBe(100);
+});
+
+test("weights prominent required terms above nice-to-haves", () => {
+  const withTitleSkill = score("Python").score;
+  const withOptionalTool = score("Tableau").score;
+  expect(withTitleSkill).toBeGreaterThan(withOptionalTool);
+});
+
+test("flags terms from required sections", () => {
+  const { terms } = score("");
+  const requiredTerms = terms
+    .filter((term) => term.required)
+    .map((term) => term.term);
+  expect(requiredTerms).toEqual(
+    expect.arrayContaining(["python", "docker", "kubernetes"])
+  );
+  expect(requiredTerms).not.toContain("tableau");
+});
+
+test("reports a breakdown for categories present in the JD", () => {
+  const { categories } = score("Docker and Kubernetes");
+  const tools = categories.find((c) => c.id === "tools");
+  expect(tools).toMatchObject({ matched: 2, total: 3 });
+  expect(categories.find((c) => c.id === "certifications")).toBeUndefined();
+});
+
+test("returns a null score for an empty JD", () => {
+  expect(scoreMatch("", { matched: [], missing: [] }).score).toBeNull();
+});
@@ -0,0 +1,68 @@
+// Compares one resume against several job descriptions: a score per job,
+// ranked, and the missing terms shared by most of the jobs.
+import { compareKeywords } from "./keywords";
+import { scoreMatch } from "./matchScore";
+
+// Missing terms listed per job
+const TOP_MISSING_PER_JOB = 5;
+
+// Most terms listed as missing across jobs
+const MAX_COMMON_MISSING = 15;
+
+// jobs is [{ id, name, text }]. Returns
+// { rankings: [{ id, name, score, topMissing, matchedCount, missingCount }],
+//   commonMissing: [{ key, term, jobCount, jobNames, weight }] }
+// with rankings best match first. A term counts as common when at least two
+// jobs miss it (or the only job does), most widely missing first.
+export const compareAcrossJobs = (resumeText, jobs, synonymGroups = []) => {
+  const missingByKey = new Map();
+
+  const rankings = jobs.map((job) => {
+    const { matched, missing } = compareKeywords(
+      resumeText,
+      job.text,
+      synonymGroups
+    );
+    const { score, terms } = scoreMatch(job.text, { matched, missing });
+    const missingTerms = terms
+      .filter((term) => !term.matched)
+      .sort((a, b) => b.weight - a.weight);
+
+    missingTerms.forEach((term) => {
+      const common = missingByKey.get(term.key) || {
+        key: term.key,
+        term: term.term,
+        jobCount: 0,
+        jobNames: [],
+        weight: 0,
+      };
+      common.jobCount += 1;
+      common.jobNames.push(job.name);
+      common.weight += term.weight;
+      missingByKey.set(term.key, common);
+    });
+
+    return {
+      id: job.id,
+      name: job.name,
+      score,
+      topMissing: missingTerms
+        .slice(0, TOP_MISSING_PER_JOB)
+        .map((term) => term.term),
+      matchedCount: matched.length,
+      missingCount: missing.length,
+    };
+  });
+
+  const minJobs = Math.min(2, jobs.length);
+  const commonMissing = [...missingByKey.values()]
+    .filter((term) => term.jobCount >= minJobs)
+    .sort((a, b) => b.jobCount - a.jobCount || b.weight - a.weight)
+    .slice(0, MAX_COMMON_MISSING);
+
+  return {
+    // Jobs with no scorable terms (score null) go last
+    rankings: rankings.sort((a, b) => (b.score ?? -1) - (a.score ?? -1)),
+    commonMissing,
+  };
+};
@@ -0,0 +1,50 @@
+import { compareAcrossJobs } from "./multiJobs";
+
+const RESUME = "Data engineer experienced with Python, SQL and Airflow.";
+
+const JOBS = [
+  {
+    id: 1,
+    name: "Platform",
+    text: "Required: Python, Kubernetes, Terraform and Go.",
+  },
+  { id: 2, name: "Analytics", text: "Required: Python, SQL and Airflow." },
+  {
+    id: 3,
+    name: "Infra",
+    text: "Required: Kubernetes, Terraform and SQL.",
+  },
+];
+
+test("ranks jobs by match score", () => {
+  const { rankings } = compareAcrossJobs(RESUME, JOBS);
+  expect(rankings.map((row) => row.name)).toEqual([
+    "Analytics",
+    "Infra",
+    "Platform",
+  ]);
+  expect(rankings[0].score).toBe(100);
+  expect(rankings[0].topMissing).toEqual([]);
+  expect(rankings[2].topMissing).toEqual(
+    expect.arrayContaining(["kubernetes", "terraform", "go"])
+  );
+});
+
+test("lists terms missing from several jobs, most widely missing first", () => {
+  const { commonMissing } = compareAcrossJobs(RESUME, JOBS);
+  expect(commonMissing.map((term) => term.term)).toEqual([
+    "kubernetes",
+    "terraform",
+  ]);
+  expect(commonMissing[0]).toMatchObject({
+    jobCount: 2,
+    jobNames: ["Platform", "Infra"],
+  });
+});
+
+test("treats every missing term as common when there is one job", () => {
+  const { commonMissing } = compareAcrossJobs(RESUME, [JOBS[0]]);
+  expect(commonMissing.map((term) => term.term)).toEqual(
+    expect.arrayContaining(["kubernetes", "terraform", "go"])
+  );
+});
@@ -0,0 +1,319 @@
+// Editable prompt templates for the AI actions, and the seniority, industry
+// and tone presets that steer them. Templates use {{name}} placeholders; the
+// JSON response format each action needs is appended by its prompt builder
+// (see suggestions.js, rewrite.js and coverLetter.js), so editing a template
+// can't break parsing.
+
+export const SENIORITY_PRESETS = [
+  { id: "any", label: "Any level", guidance: "" },
+  {
+    id: "intern",
+    label: "Intern / student",
+    guidance:
+      "The candidate is a student or intern: emphasise coursework, projects, internships and willingness to learn, and don't invent professional experience.",
+  },
+  {
+    id: "entry",
+    label: "Entry level",
+    guidance:
+      "The candidate is early in their career (0-2 years): emphasise hands-on contributions, core skills and how quickly they ramped up.",
+  },
+  {
+    id: "mid",
+    label: "Mid level",
+    guidance:
+      "The candidate is mid-level (3-6 years): emphasise ownership of projects end to end and measurable results.",
+  },
+  {
+    id: "senior",
+    label: "Senior",
+    guidance:
+      "The candidate is senior (7+ years): emphasise technical leadership, mentoring, scope and business impact.",
+  },
+  {
+    id: "manager",
+    label: "Manager",
+    guidance:
+      "The candidate is a people manager: emphasise leading and growing teams, hiring, cross-team delivery and outcomes.",
+  },
+  {
+    id: "executive",
+    label: "Executive",
+    guidance:
+      "The candidate is an executive: emphasise strategy, budget or P&L ownership, organisation-wide results and stakeholder leadership.",
+  },
+];
+
+export const INDUSTRY_PRESETS = [
+  { id: "general", label: "Any industry", guidance: "" },
+  {
+    id: "tech",
+    label: "Tech",
+    guidance:
+      "The target industry is technology: name specific tools, languages and systems, and quantify scale, performance and reliability.",
+  },
+  {
+    id: "finance",
+    label: "Finance",
+    guidance:
+      "The target industry is finance: stress accuracy, compliance and risk control, and quantify results in money, assets or basis points.",
+  },
+  {
+    id: "healthcare",
+    label: "Healthcare",
+    guidance:
+      "The target industry is healthcare: stress patient outcomes, safety, regulatory compliance such as HIPAA, and clinical or operational metrics.",
+  },
+];
+
+export const TONE_PRESETS = [
+  { id: "professional", label: "Professional", guidance: "" },
+  {
+    id: "confident",
+    label: "Confident",
+    guidance: "Use a confident, assertive tone that leads with results.",
+  },
+  {
+    id: "concise",
+    label: "Concise",
+    guidance: "Be as concise as possible: short phrases, no filler words.",
+  },
+  {
+    id: "approachable",
+    label: "Approachable",
+    guidance: "Use a warm, approachable tone while staying professional.",
+  },
+];
+
+const PRESET_GROUPS = {
+  seniority: SENIORITY_PRESETS,
+  industry: INDUSTRY_PRESETS,
+  tone: TONE_PRESETS,
+};
+
+// Each template lists its placeholders; required ones must stay in an
+// edited template, since without them the model can't do the task
+export const PROMPT_TEMPLATES = {
+  suggestions: {
+    label: "AI suggestions",
+    placeholders: {
+      resume: { required: true, description: "the resume text" },
+      jobDescription: {
+        required: true,
+        description: "the job description text",
+      },
+      guidance: {
+        required: false,
+        description: "instructions from the selected presets",
+      },
+    },
+    text: `Given the following Resume and Job Description, identify key skills from the Job Description that are missing or weakly represented in the Resume. Also, suggest general improvements for making the resume more impactful.{{guidance}}
+
+    Resume:
+    "{{resume}}"
+
+    Job Description:
+    "{{jobDescription}}"`,
+  },
+  rewrite: {
+    label: "Bullet rewrite",
+    placeholders: {
+      bullet: { required: true, description: "the bullet point to rewrite" },
+      count: {
+        required: true,
+        description: "how many alternatives to write",
+      },
+      keywordHint: {
+        required: false,
+        description: "missing job description keywords to work in",
+      },
+      guidance: {
+        required: false,
+        description: "instructions from the selected presets",
+      },
+    },
+    text: `Rewrite this resume bullet point to be more impactful, concise, and ATS-friendly, incorporating strong action verbs and quantifiable achievements if applicable. Focus on the impact and results. Write {{count}} distinct alternatives.{{keywordHint}}{{guidance}}
+
+    Bullet Point: "{{bullet}}"`,
+  },
+  coverLetter: {
+    label: "Cover letter",
+    placeholders: {
+      resume: { required: true, description: "the resume text" },
+      jobDescription: {
+        required: true,
+        description: "the job description text",
+      },
+      achievements: {
+        required: true,
+        description: "the resume's bullet points, numbered for citing",
+      },
+      paragraphCount: {
+        required: true,
+        description: "how many paragraphs to write",
+      },
+      wordRange: {
+        required: false,
+        description: "the target length, e.g. 250-350",
+      },
+      guidance: {
+        required: false,
+        description: "instructions from the selected presets and tone",
+      },
+    },
+    text: `Write the body of a cover letter for this candidate, tailored to the Job Description. Write {{paragraphCount}} paragraphs, {{wordRange}} words in total, without a greeting or sign-off. Open with why the candidate fits this role, back it up with specific achievements from the list below, and close with a call to action. Only use facts from the Resume.{{guidance}}
+
+    Achievements (cite them by number):
+    {{achievements}}
+
+    Resume:
+    "{{resume}}"
+
+    Job Description:
+    "{{jobDescription}}"`,
+  },
+  coverLetterParagraph: {
+    label: "Cover letter paragraph",
+    placeholders: {
+      letter: {
+        required: true,
+        description: "the current letter, paragraphs numbered",
+      },
+      paragraphNumber: {
+        required: true,
+        description: "the number of the paragraph to rewrite",
+      },
+      achievements: {
+        required: true,
+        description: "the resume's bullet points, numbered for citing",
+      },
+      jobDescription: {
+        required: true,
+        description: "the job description text",
+      },
+      guidance: {
+        required: false,
+        description: "instructions from the selected presets and tone",
+      },
+    },
+    text: `Rewrite paragraph {{paragraphNumber}} of this cover letter so it is stronger and fits with the paragraphs around it. Keep its purpose in the letter, don't repeat points the other paragraphs make, and only use facts from the achievements below.{{guidance}}
+
+    Cover letter:
+    {{letter}}
+
+    Achievements (cite them by number):
+    {{achievements}}
+
+    Job Description:
+    "{{jobDescription}}"`,
+  },
+  interviewPrep: {
+    label: "Interview prep",
+    placeholders: {
+      strengths: {
+        required: true,
+        description: "job description keywords the resume matches",
+      },
+      gaps: {
+        required: true,
+        description: "job description keywords and skills the resume lacks",
+      },
+      achievements: {
+        required: true,
+        description: "the resume's bullet points, numbered for citing",
+      },
+      jobDescription: {
+        required: true,
+        description: "the job description text",
+      },
+      questionsPerGroup: {
+        required: false,
+        description: "how many questions to write per group",
+      },
+      guidance: {
+        required: false,
+        description: "instructions from the selected presets",
+      },
+    },
+    text: `You are preparing a candidate for an interview for the job below. Write {{questionsPerGroup}} likely interview questions in each group: "technical" questions on the candidate's strongest matching skills, "behavioral" questions about how they work, and "gap" questions an interviewer would ask to probe the skills the resume lacks. For each question, outline a STAR (Situation, Task, Action, Result) answer built from the candidate's own achievements below; for gap questions, show how to bridge from the closest real experience without inventing any.{{guidance}}
+
+    Strengths: {{strengths}}
+    Gaps: {{gaps}}
+
+    Achievements (cite them by number):
+    {{achievements}}
+
+    Job Description:
+    "{{jobDescription}}"`,
+  },
+};
+
+export const DEFAULT_PROMPT_SETTINGS = {
+  seniority: "any",
+  industry: "general",
+  tone: "professional",
+  // Edited template texts by template id; missing ones use the default
+  templates: {},
+};
+
+export const presetById = (group, id) =>
+  PRESET_GROUPS[group].find((preset) => preset.id === id) ||
+  PRESET_GROUPS[group][0];
+
+// Instructions for the selected presets, with a leading space so it can
+// follow a sentence, or "" when every preset is the neutral default
+export const presetGuidance = (settings) =>
+  Object.keys(PRESET_GROUPS)
+    .map((group) => presetById(group, settings[group]).guidance)
+    .filter(Boolean)
+    .map((sentence) => ` ${sentence}`)
+    .join("");
+
+export const templateText = (settings, templateId) =>
+  settings.templates[templateId] ?? PROMPT_TEMPLATES[templateId].text;
+
+// Required placeholders the template text no longer contains
+export const missingPlaceholders = (templateId, text) =>
+  Object.entries(PROMPT_TEMPLATES[templateId].placeholders)
+    .filter(([name, { required }]) => required && !text.includes(`{{${name}}}`))
+    .map(([name]) => name);
+
+// Fills {{name}} placeholders; unknown ones are left as they are
+export const renderTemplate = (text, values) =>
+  text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder
+  );
+
+// The prompt for a template with the presets' guidance filled in
+export const renderPrompt = (settings, templateId, values) =>
+  renderTemplate(templateText(settings, templateId), {
+    guidance: presetGuidance(settings),
+    ...values,
+  });
+
+const STORAGE_KEY = "resumeOptimizer.promptSettings";
+
+// Presets and edited templates saved in this browser
+export const loadPromptSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved && typeof saved === "object") {
+      return {
+        ...DEFAULT_PROMPT_SETTINGS,
+        ...saved,
+        templates: { ...saved.templates },
+      };
+    }
+  } catch (error) {
+    console.error("Could not read prompt settings:", error);
+  }
+  return DEFAULT_PROMPT_SETTINGS;
+};
+
+export const savePromptSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Could not save prompt settings:", error);
+  }
+};
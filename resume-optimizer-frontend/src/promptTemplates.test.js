@@ -0,0 +1,86 @@
+import { generateText } from "./llm";
+import {
+  DEFAULT_PROMPT_SETTINGS,
+  loadPromptSettings,
+  missingPlaceholders,
+  presetGuidance,
+  renderTemplate,
+  savePromptSettings,
+} from "./promptTemplates";
+import { buildRewritePrompt, parseRewrites } from "./rewrite";
+import { buildSuggestionsPrompt } from "./suggestions";
+
+const SENIOR_TECH = {
+  ...DEFAULT_PROMPT_SETTINGS,
+  seniority: "senior",
+  industry: "tech",
+  tone: "concise",
+};
+
+afterEach(() => window.localStorage.clear());
+
+test("fills placeholders and leaves unknown ones alone", () => {
+  expect(
+    renderTemplate("Hi {{name}}, {{count}} of {{other}}", {
+      name: "Jane",
+      count: 3,
+    })
+  ).toBe("Hi Jane, 3 of {{other}}");
+  expect(renderTemplate("{{text}}", { text: "costs $1 {{x}}" })).toBe(
+    "costs $1 {{x}}"
+  );
+});
+
+test("adds no guidance for the neutral presets", () => {
+  expect(presetGuidance(DEFAULT_PROMPT_SETTINGS)).toBe("");
+  expect(presetGuidance(SENIOR_TECH)).toMatch(
+    /^ The candidate is senior.* technology.* concise/
+  );
+});
+
+test("the selected presets drive both AI actions", () => {
+  const suggestions = buildSuggestionsPrompt("resume", "job", SENIOR_TECH);
+  const rewrite = buildRewritePrompt("Built apps", {
+    promptSettings: SENIOR_TECH,
+  });
+  [suggestions, rewrite].forEach((prompt) => {
+    expect(prompt).toContain("The candidate is senior");
+    expect(prompt).toContain("The target industry is technology");
+  });
+});
+
+test("uses edited templates and still asks for JSON", () => {
+  const settings = {
+    ...DEFAULT_PROMPT_SETTINGS,
+    templates: { rewrite: "Punch up {{bullet}} ({{count}} options)" },
+  };
+  const prompt = buildRewritePrompt("Built apps", {
+    count: 2,
+    promptSettings: settings,
+  });
+  expect(prompt).toMatch(/^Punch up Built apps \(2 options\)/);
+  expect(prompt).toContain('{"rewrites"');
+});
+
+test("the default rewrite template works with the mock provider", async () => {
+  const text = await generateText(
+    buildRewritePrompt("Built apps", { count: 2 }),
+    { provider: "mock" },
+    { task: "rewrite" }
+  );
+  expect(parseRewrites(text)).toHaveLength(2);
+});
+
+test("reports required placeholders missing from a template", () => {
+  expect(missingPlaceholders("suggestions", "Review {{resume}}")).toEqual([
+    "jobDescription",
+  ]);
+  expect(missingPlaceholders("rewrite", "{{bullet}} x{{count}}")).toEqual([]);
+});
+
+test("saves and loads presets and edited templates", () => {
+  expect(loadPromptSettings()).toEqual(DEFAULT_PROMPT_SETTINGS);
+  const settings = { ...SENIOR_TECH, templates: { rewrite: "{{bullet}}" } };
+  savePromptSettings(settings);
+  expect(loadPromptSettings()).toEqual(settings);
+});
@@ -0,0 +1,106 @@
+// Recruiter mode: scores many candidate resumes against one job description,
+// sorts them and exports the ranking as CSV.
+import { compareKeywords } from "./keywords";
+import { scoreMatch } from "./matchScore";
+
+// When the JD has no required section, its heaviest terms stand in for the
+// must-haves
+const FALLBACK_MUST_HAVES = 10;
+
+// Terms from the JD's required lines, or its heaviest terms
+const mustHaveTerms = (terms) => {
+  const required = terms.filter((term) => term.required);
+  if (required.length > 0) return required;
+  return [...terms]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, FALLBACK_MUST_HAVES);
+};
+
+// Returns { score, matchedMustHaves, missingMustHaves } for one resume
+export const scoreCandidate = (resumeText, jdText, synonymGroups = []) => {
+  const { matched, missing } = compareKeywords(
+    resumeText,
+    jdText,
+    synonymGroups
+  );
+  const { score, terms } = scoreMatch(jdText, { matched, missing });
+  const mustHaves = mustHaveTerms(terms);
+  return {
+    score,
+    matchedMustHaves: mustHaves
+      .filter((term) => term.matched)
+      .map((term) => term.term),
+    missingMustHaves: mustHaves
+      .filter((term) => !term.matched)
+      .map((term) => term.term),
+  };
+};
+
+// Sortable columns: how to read each one from a candidate row
+export const CANDIDATE_SORTS = {
+  name: (candidate) => candidate.fileName.toLowerCase(),
+  score: (candidate) => (candidate.score === null ? -1 : candidate.score),
+  mustHaves: (candidate) => candidate.matchedMustHaves.length,
+};
+
+// Sorts without mutating; candidates without a result (still parsing or
+// failed) always go last
+export const sortCandidates = (candidates, { key, direction }) => {
+  const value = CANDIDATE_SORTS[key];
+  const sign = direction === "asc" ? 1 : -1;
+  return [...candidates].sort((a, b) => {
+    if (!a.isScored || !b.isScored) {
+      return (b.isScored ? 1 : 0) - (a.isScored ? 1 : 0);
+    }
+    const left = value(a);
+    const right = value(b);
+    if (left === right) return 0;
+    return left < right ? -sign : sign;
+  });
+};
+
+// Quotes a CSV cell when needed, and stops spreadsheet apps from running
+// cells that look like formulas
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV of the candidates in the given order
+export const candidatesToCsv = (candidates) => {
+  const header = [
+    "Rank",
+    "Candidate",
+    "Score",
+    "Matched must-haves",
+    "Missing must-haves",
+    "AI summary",
+  ];
+  const rows = candidates.map((candidate, index) => [
+    index + 1,
+    candidate.fileName,
+    candidate.isScored ? candidate.score : candidate.error || "",
+    candidate.isScored ? candidate.matchedMustHaves.join("; ") : "",
+    candidate.isScored ? candidate.missingMustHaves.join("; ") : "",
+    candidate.summary || "",
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+};
+
+export const buildCandidateSummaryPrompt = (
+  resumeText,
+  jdText,
+  { matchedMustHaves, missingMustHaves }
+) => `You are helping a hiring manager screen candidates. In 2-3 sentences, summarize how well this candidate fits the job: their most relevant experience, their strongest match, and the biggest gap. Be factual and only use what the resume says.
+
+    Matched must-haves: ${matchedMustHaves.join(", ") || "none"}
+    Missing must-haves: ${missingMustHaves.join(", ") || "none"}
+
+    Resume:
+    ${resumeText}
+
+    Job Description:
+    ${jdText}`;
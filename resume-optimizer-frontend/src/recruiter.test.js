@@ -0,0 +1,69 @@
+import { candidatesToCsv, scoreCandidate, sortCandidates } from "./recruiter";
+
+const JD = `Data Engineer
+Requirements:
+- Python, Airflow and SQL
+Nice to have:
+- Tableau`;
+
+test("splits the JD's required terms into matched and missing must-haves", () => {
+  const result = scoreCandidate("Built Airflow pipelines in Python", JD);
+  expect(result.matchedMustHaves).toEqual(
+    expect.arrayContaining(["python", "airflow"])
+  );
+  expect(result.missingMustHaves).toContain("SQL");
+  expect(result.missingMustHaves).not.toContain("tableau");
+});
+
+test("falls back to the heaviest terms when the JD has no requirements", () => {
+  const result = scoreCandidate("Python", "Python developer with Django");
+  expect([...result.matchedMustHaves, ...result.missingMustHaves]).toEqual(
+    expect.arrayContaining(["python", "django"])
+  );
+});
+
+const candidate = (fileName, score, matched = [], isScored = true) => ({
+  fileName,
+  score,
+  isScored,
+  matchedMustHaves: matched,
+  missingMustHaves: [],
+});
+
+test("sorts by any column and keeps unscored candidates last", () => {
+  const candidates = [
+    candidate("b.pdf", 40, ["x", "y"]),
+    candidate("broken.pdf", null, [], false),
+    candidate("a.pdf", 90, ["x"]),
+  ];
+  const names = (sort) =>
+    sortCandidates(candidates, sort).map((c) => c.fileName);
+
+  expect(names({ key: "score", direction: "desc" })).toEqual([
+    "a.pdf",
+    "b.pdf",
+    "broken.pdf",
+  ]);
+  expect(names({ key: "name", direction: "asc" })).toEqual([
+    "a.pdf",
+    "b.pdf",
+    "broken.pdf",
+  ]);
+  expect(names({ key: "mustHaves", direction: "desc" })).toEqual([
+    "b.pdf",
+    "a.pdf",
+    "broken.pdf",
+  ]);
+});
+
+test("exports quoted CSV rows and neutralizes formulas", () => {
+  const csv = candidatesToCsv([
+    { ...candidate("=cmd.pdf", 80, ["python"]), summary: 'Says "hi", twice' },
+    { ...candidate("bad.docx", null, [], false), error: "Error parsing file" },
+  ]);
+  expect(csv.split("\r\n")).toEqual([
+    "Rank,Candidate,Score,Matched must-haves,Missing must-haves,AI summary",
+    `1,'=cmd.pdf,80,python,,"Says ""hi"", twice"`,
+    "2,bad.docx,Error parsing file,,,",
+  ]);
+});
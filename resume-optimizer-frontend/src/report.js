@@ -0,0 +1,184 @@
+// Analysis report export: bundles the match score, keywords, AI suggestions
+// and accepted rewrites, and renders them as JSON, Markdown or PDF. All of it
+// runs in the browser.
+import { jsPDF } from "jspdf";
+
+const REPORT_VERSION = 1;
+
+// Collects the analysis into a plain object; this is also the JSON format.
+// acceptedRewrites is [{ original, rewrite }].
+export const buildReport = ({
+  resumeFileName,
+  jdFileName,
+  matchScore,
+  matchedKeywords,
+  missingKeywords,
+  suggestions,
+  suggestionStatuses,
+  acceptedRewrites,
+  now = new Date(),
+}) => ({
+  version: REPORT_VERSION,
+  generatedAt: now.toISOString(),
+  resumeFileName: resumeFileName || null,
+  jdFileName: jdFileName || null,
+  score:
+    matchScore && matchScore.score !== null
+      ? {
+          overall: matchScore.score,
+          categories: matchScore.categories.map((category) => ({
+            label: category.label,
+            score: category.score,
+            matched: category.matched,
+            total: category.total,
+          })),
+        }
+      : null,
+  matchedKeywords: matchedKeywords.map((keyword) => keyword.term),
+  missingKeywords: missingKeywords.map((keyword) => keyword.term),
+  suggestions: suggestions.map((suggestion) => ({
+    category: suggestion.category,
+    severity: suggestion.severity,
+    excerpt: suggestion.excerpt,
+    change: suggestion.change,
+    rationale: suggestion.rationale,
+    status: suggestionStatuses[suggestion.id] || "open",
+  })),
+  acceptedRewrites,
+});
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+// Markdown list items can't span lines, so collapse line breaks
+const inline = (text) => text.replace(/\s*\n\s*/g, " ");
+
+export const reportToMarkdown = (report) => {
+  const lines = ["# Resume Analysis Report", ""];
+  lines.push(`Generated ${new Date(report.generatedAt).toLocaleString()}`);
+  if (report.resumeFileName) lines.push(`Resume: ${report.resumeFileName}`);
+  if (report.jdFileName) lines.push(`Job description: ${report.jdFileName}`);
+
+  lines.push("", "## ATS Match Score", "");
+  if (report.score) {
+    lines.push(`**${report.score.overall} / 100**`, "");
+    lines.push("| Category | Matched | Score |", "| --- | --- | --- |");
+    report.score.categories.forEach((category) =>
+      lines.push(
+        `| ${category.label} | ${category.matched}/${category.total} | ${category.score}% |`
+      )
+    );
+  } else {
+    lines.push("Not scored.");
+  }
+
+  lines.push("", "## Matched Keywords", "");
+  lines.push(report.matchedKeywords.join(", ") || "None");
+  lines.push("", "## Missing Keywords", "");
+  lines.push(report.missingKeywords.join(", ") || "None");
+
+  lines.push("", "## AI Suggestions", "");
+  if (report.suggestions.length === 0) lines.push("None.");
+  report.suggestions.forEach((suggestion) => {
+    lines.push(
+      `- **${suggestion.category}** (${suggestion.severity}, ${suggestion.status}): ${inline(suggestion.change)}`
+    );
+    if (suggestion.excerpt) {
+      lines.push(`  - Excerpt: "${inline(suggestion.excerpt)}"`);
+    }
+    if (suggestion.rationale) {
+      lines.push(`  - Why: ${inline(suggestion.rationale)}`);
+    }
+  });
+
+  lines.push("", "## Accepted Rewrites", "");
+  if (report.acceptedRewrites.length === 0) lines.push("None.");
+  report.acceptedRewrites.forEach(({ original, rewrite }) => {
+    lines.push(`- Before: ${inline(original)}`, `  After: ${inline(rewrite)}`);
+  });
+
+  return `${lines.join("\n")}\n`;
+};
+
+// Page layout in points (US Letter)
+const MARGIN = 54;
+const PAGE_HEIGHT = 792;
+const PAGE_WIDTH = 612;
+
+// Renders the report as a PDF Blob
+export const reportToPdf = (report) => {
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const width = PAGE_WIDTH - MARGIN * 2;
+  let y = MARGIN;
+
+  const write = (text, { size = 10, style = "normal", indent = 0 } = {}) => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    const lineHeight = size * 1.35;
+    doc.splitTextToSize(text, width - indent).forEach((line) => {
+      if (y + lineHeight > PAGE_HEIGHT - MARGIN) {
+        doc.addPage();
+        y = MARGIN;
+      }
+      doc.text(line, MARGIN + indent, y + size);
+      y += lineHeight;
+    });
+  };
+  const heading = (text) => {
+    y += 10;
+    write(text, { size: 13, style: "bold" });
+    y += 2;
+  };
+
+  write("Resume Analysis Report", { size: 18, style: "bold" });
+  write(`Generated ${new Date(report.generatedAt).toLocaleString()}`);
+  if (report.resumeFileName) write(`Resume: ${report.resumeFileName}`);
+  if (report.jdFileName) write(`Job description: ${report.jdFileName}`);
+
+  heading("ATS Match Score");
+  if (report.score) {
+    write(`${report.score.overall} / 100`, { size: 14, style: "bold" });
+    report.score.categories.forEach((category) =>
+      write(
+        `${category.label}: ${category.score}% (${category.matched}/${category.total} terms)`,
+        { indent: 12 }
+      )
+    );
+  } else {
+    write("Not scored.");
+  }
+
+  heading("Matched Keywords");
+  write(report.matchedKeywords.join(", ") || "None");
+  heading("Missing Keywords");
+  write(report.missingKeywords.join(", ") || "None");
+
+  heading("AI Suggestions");
+  if (report.suggestions.length === 0) write("None.");
+  report.suggestions.forEach((suggestion) => {
+    y += 4;
+    write(
+      `${suggestion.category} (${suggestion.severity}, ${suggestion.status})`,
+      { style: "bold" }
+    );
+    write(suggestion.change, { indent: 12 });
+    if (suggestion.excerpt) {
+      write(`Excerpt: "${suggestion.excerpt}"`, {
+        style: "italic",
+        indent: 12,
+      });
+    }
+    if (suggestion.rationale) {
+      write(`Why: ${suggestion.rationale}`, { indent: 12 });
+    }
+  });
+
+  heading("Accepted Rewrites");
+  if (report.acceptedRewrites.length === 0) write("None.");
+  report.acceptedRewrites.forEach(({ original, rewrite }) => {
+    y += 4;
+    write(`Before: ${original}`, { style: "italic" });
+    write(`After: ${rewrite}`, { indent: 12 });
+  });
+
+  return doc.output("blob");
+};
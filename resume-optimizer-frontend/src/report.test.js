@@ -0,0 +1,106 @@
+import {
+  buildReport,
+  reportToJson,
+  reportToMarkdown,
+  reportToPdf,
+} from "./report";
+
+const report = buildReport({
+  resumeFileName: "resume.pdf",
+  jdFileName: "",
+  matchScore: {
+    score: 64,
+    categories: [
+      {
+        id: "technical",
+        label: "Technical Skills",
+        score: 64,
+        matched: 2,
+        total: 3,
+      },
+    ],
+    terms: [],
+  },
+  matchedKeywords: [{ term: "python" }, { term: "SQL" }],
+  missingKeywords: [{ term: "kubernetes" }],
+  suggestions: [
+    {
+      id: 0,
+      category: "Missing Skill",
+      severity: "high",
+      excerpt: "",
+      change: "Mention Kubernetes",
+      rationale: "The job requires it",
+    },
+  ],
+  suggestionStatuses: { 0: "done" },
+  acceptedRewrites: [
+    { original: "Built dashboards", rewrite: "Built 12 Tableau dashboards" },
+  ],
+  now: new Date("2025-01-02T03:04:05Z"),
+});
+
+test("bundles the analysis as plain data", () => {
+  expect(JSON.parse(reportToJson(report))).toEqual({
+    version: 1,
+    generatedAt: "2025-01-02T03:04:05.000Z",
+    resumeFileName: "resume.pdf",
+    jdFileName: null,
+    score: {
+      overall: 64,
+      categories: [
+        { label: "Technical Skills", score: 64, matched: 2, total: 3 },
+      ],
+    },
+    matchedKeywords: ["python", "SQL"],
+    missingKeywords: ["kubernetes"],
+    suggestions: [
+      {
+        category: "Missing Skill",
+        severity: "high",
+        excerpt: "",
+        change: "Mention Kubernetes",
+        rationale: "The job requires it",
+        status: "done",
+      },
+    ],
+    acceptedRewrites: [
+      { original: "Built dashboards", rewrite: "Built 12 Tableau dashboards" },
+    ],
+  });
+});
+
+test("renders the report as Markdown", () => {
+  const markdown = reportToMarkdown(report);
+  expect(markdown).toContain("**64 / 100**");
+  expect(markdown).toContain("| Technical Skills | 2/3 | 64% |");
+  expect(markdown).toContain("## Missing Keywords\n\nkubernetes");
+  expect(markdown).toContain(
+    "- **Missing Skill** (high, done): Mention Kubernetes\n  - Why: The job requires it"
+  );
+  expect(markdown).toContain(
+    "- Before: Built dashboards\n  After: Built 12 Tableau dashboards"
+  );
+});
+
+test("notes when nothing was scored", () => {
+  const empty = buildReport({
+    matchScore: null,
+    matchedKeywords: [],
+    missingKeywords: [],
+    suggestions: [],
+    suggestionStatuses: {},
+    acceptedRewrites: [],
+  });
+  expect(reportToMarkdown(empty)).toContain(
+    "## ATS Match Score\n\nNot scored."
+  );
+  expect(empty.score).toBeNull();
+});
+
+test("renders the report as a PDF", async () => {
+  const pdf = reportToPdf(report);
+  expect(pdf.type).toBe("application/pdf");
+  const text = await new Response(pdf).text();
+  expect(text.startsWith("%PDF-")).toBe(true);
+});
@@ -0,0 +1,380 @@
+// ATS-friendly resume files: lays the parsed resume out as a single column
+// with standard section headings and common fonts, as DOCX or PDF. Both
+// formats are generated in the browser.
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Packer,
+  Paragraph,
+  Tab,
+  TabStopType,
+  TextRun,
+} from "docx";
+import { jsPDF } from "jspdf";
+import { bulletLineText } from "./bullets";
+import { orderedSectionIds, SECTION_TITLES } from "./resumeParser";
+
+// Fonts are ones ATS parsers and every word processor handle. PDFs only
+// embed the standard fonts, so Arial and Calibri become Helvetica there.
+export const RESUME_TEMPLATES = [
+  {
+    id: "classic",
+    label: "Classic",
+    description: "Times New Roman, centered header, ruled headings",
+    docxFont: "Times New Roman",
+    pdfFont: "times",
+    nameSize: 18,
+    headingSize: 12,
+    bodySize: 11,
+    centerHeader: true,
+    headingRule: true,
+    uppercaseHeadings: true,
+    spacing: 1,
+  },
+  {
+    id: "modern",
+    label: "Modern",
+    description: "Arial, left-aligned header",
+    docxFont: "Arial",
+    pdfFont: "helvetica",
+    nameSize: 20,
+    headingSize: 12,
+    bodySize: 10.5,
+    centerHeader: false,
+    headingRule: true,
+    uppercaseHeadings: false,
+    spacing: 1,
+  },
+  {
+    id: "compact",
+    label: "Compact",
+    description: "Calibri at 10pt with tighter spacing, to fit one page",
+    docxFont: "Calibri",
+    pdfFont: "helvetica",
+    nameSize: 16,
+    headingSize: 11,
+    bodySize: 10,
+    centerHeader: true,
+    headingRule: false,
+    uppercaseHeadings: true,
+    spacing: 0.6,
+  },
+];
+
+export const templateById = (id) =>
+  RESUME_TEMPLATES.find((template) => template.id === id) ||
+  RESUME_TEMPLATES[0];
+
+const joinParts = (parts) =>
+  parts
+    .map((part) => (part || "").trim())
+    .filter(Boolean)
+    .join(" | ");
+
+const entryBlocks = (entries, textFor, itemsFor) =>
+  entries.flatMap((entry) => {
+    const text = textFor(entry);
+    const items = itemsFor(entry).filter((item) => item.trim());
+    if (!text && !entry.dates.trim() && items.length === 0) return [];
+    return [
+      { type: "entry", text, dates: entry.dates.trim() },
+      ...items.map((item) => ({ type: "bullet", text: item.trim() })),
+    ];
+  });
+
+const SECTION_BLOCKS = {
+  summary: (resume) =>
+    resume.summary.trim()
+      ? [{ type: "text", text: resume.summary.trim() }]
+      : [],
+  experience: (resume) =>
+    entryBlocks(
+      resume.experience,
+      (entry) => joinParts([entry.title, entry.company, entry.location]),
+      (entry) => entry.bullets
+    ),
+  education: (resume) =>
+    entryBlocks(
+      resume.education,
+      (entry) => joinParts([entry.school, entry.degree]),
+      (entry) => entry.details
+    ),
+  skills: (resume) =>
+    resume.skills
+      .map(({ category, items }) => {
+        const list = items.filter((item) => item.trim()).join(", ");
+        return category.trim() && list ? `${category.trim()}: ${list}` : list;
+      })
+      .filter(Boolean)
+      .map((text) => ({ type: "text", text })),
+  projects: (resume) =>
+    entryBlocks(
+      resume.projects,
+      (entry) => joinParts([entry.name, entry.details]),
+      (entry) => entry.bullets
+    ),
+  certifications: (resume) =>
+    resume.certifications
+      .filter((item) => item.trim())
+      .map((item) => ({ type: "bullet", text: item.trim() })),
+};
+
+// Flattens a parsed resume (see resumeParser.js) into the blocks both
+// formats lay out, in the resume's own section order. Each block is
+// { type: "name" | "contact" | "heading" | "entry" | "text" | "bullet",
+// text } and entries also carry their dates.
+export const resumeBlocks = (resume) => {
+  const { contact } = resume;
+  const blocks = [];
+  if (contact.name.trim()) {
+    blocks.push({ type: "name", text: contact.name.trim() });
+  }
+  const contactLine = joinParts([
+    contact.email,
+    contact.phone,
+    contact.location,
+    ...contact.links,
+    ...contact.other,
+  ]);
+  if (contactLine) blocks.push({ type: "contact", text: contactLine });
+
+  orderedSectionIds(resume).forEach((id) => {
+    let heading;
+    let body;
+    if (id.startsWith("other-")) {
+      const section = resume.otherSections[Number(id.slice(6))];
+      if (!section) return;
+      heading = section.heading;
+      body = section.lines
+        .filter((line) => line.trim())
+        .map((line) => {
+          const bullet = bulletLineText(line);
+          return bullet === null
+            ? { type: "text", text: line.trim() }
+            : { type: "bullet", text: bullet };
+        });
+    } else {
+      heading = SECTION_TITLES[id];
+      body = SECTION_BLOCKS[id](resume);
+    }
+    if (body.length > 0) {
+      blocks.push({ type: "heading", text: heading }, ...body);
+    }
+  });
+
+  return blocks;
+};
+
+// "Jane_Doe_Resume", or "Resume" when the name is unknown
+export const resumeFileBase = (resume) =>
+  [...resume.contact.name.trim().split(/\s+/), "Resume"]
+    .map((word) => word.replace(/[^\w-]/g, ""))
+    .filter(Boolean)
+    .join("_");
+
+const headingText = (text, template) =>
+  template.uppercaseHeadings ? text.toUpperCase() : text;
+
+// US Letter with 0.75in margins, in twips (DOCX) and points (PDF)
+const TWIPS_PER_POINT = 20;
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const TEXT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const docxParagraph = (block, template) => {
+  const size = template.bodySize * 2;
+  const after = Math.round(2 * template.spacing * TWIPS_PER_POINT);
+  const headerAlignment = template.centerHeader
+    ? AlignmentType.CENTER
+    : AlignmentType.LEFT;
+
+  switch (block.type) {
+    case "name":
+      return new Paragraph({
+        alignment: headerAlignment,
+        children: [
+          new TextRun({
+            text: block.text,
+            bold: true,
+            size: template.nameSize * 2,
+          }),
+        ],
+      });
+    case "contact":
+      return new Paragraph({
+        alignment: headerAlignment,
+        spacing: { after },
+        children: [new TextRun({ text: block.text, size })],
+      });
+    case "heading":
+      return new Paragraph({
+        spacing: {
+          before: Math.round(10 * template.spacing * TWIPS_PER_POINT),
+          after: after * 2,
+        },
+        border: template.headingRule
+          ? {
+              bottom: {
+                style: BorderStyle.SINGLE,
+                size: 6,
+                color: "000000",
+                space: 1,
+              },
+            }
+          : undefined,
+        children: [
+          new TextRun({
+            text: headingText(block.text, template),
+            bold: true,
+            size: template.headingSize * 2,
+          }),
+        ],
+      });
+    case "entry":
+      return new Paragraph({
+        spacing: { before: after * 2 },
+        tabStops: [
+          { type: TabStopType.RIGHT, position: TEXT_WIDTH * TWIPS_PER_POINT },
+        ],
+        children: [
+          new TextRun({ text: block.text, bold: true, size }),
+          ...(block.dates
+            ? [new TextRun({ children: [new Tab(), block.dates], size })]
+            : []),
+        ],
+      });
+    case "bullet":
+      return new Paragraph({
+        bullet: { level: 0 },
+        spacing: { after },
+        children: [new TextRun({ text: block.text, size })],
+      });
+    default:
+      return new Paragraph({
+        spacing: { after },
+        children: [new TextRun({ text: block.text, size })],
+      });
+  }
+};
+
+// Resolves with the resume as a DOCX Blob
+export const resumeToDocx = (resume, template) => {
+  const doc = new Document({
+    creator: "Resume Optimizer",
+    title: resume.contact.name.trim() || "Resume",
+    styles: {
+      default: { document: { run: { font: template.docxFont } } },
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            size: {
+              width: PAGE_WIDTH * TWIPS_PER_POINT,
+              height: PAGE_HEIGHT * TWIPS_PER_POINT,
+            },
+            margin: {
+              top: MARGIN * TWIPS_PER_POINT,
+              right: MARGIN * TWIPS_PER_POINT,
+              bottom: MARGIN * TWIPS_PER_POINT,
+              left: MARGIN * TWIPS_PER_POINT,
+            },
+          },
+        },
+        children: resumeBlocks(resume).map((block) =>
+          docxParagraph(block, template)
+        ),
+      },
+    ],
+  });
+  return Packer.toBlob(doc);
+};
+
+const BULLET_INDENT = 14;
+
+// Renders the resume as a PDF Blob with real (selectable) text
+export const resumeToPdf = (resume, template) => {
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  doc.setProperties({ title: resume.contact.name.trim() || "Resume" });
+  const lineHeight = (size) => size * 1.25;
+  const gap = 2 * template.spacing;
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+  const setFont = (size, style = "normal") => {
+    doc.setFont(template.pdfFont, style);
+    doc.setFontSize(size);
+  };
+  // Writes wrapped text at the cursor and moves the cursor below it
+  const write = (
+    text,
+    { size = template.bodySize, style, indent = 0, width, align } = {}
+  ) => {
+    setFont(size, style);
+    doc.splitTextToSize(text, width || TEXT_WIDTH - indent).forEach((line) => {
+      ensureSpace(lineHeight(size));
+      if (align === "center") {
+        doc.text(line, PAGE_WIDTH / 2, y + size, { align });
+      } else {
+        doc.text(line, MARGIN + indent, y + size);
+      }
+      y += lineHeight(size);
+    });
+  };
+
+  const headerAlign = template.centerHeader ? "center" : "left";
+  resumeBlocks(resume).forEach((block) => {
+    if (block.type === "name") {
+      write(block.text, {
+        size: template.nameSize,
+        style: "bold",
+        align: headerAlign,
+      });
+    } else if (block.type === "contact") {
+      write(block.text, { align: headerAlign });
+      y += gap;
+    } else if (block.type === "heading") {
+      y += 10 * template.spacing;
+      ensureSpace(lineHeight(template.headingSize) * 2);
+      write(headingText(block.text, template), {
+        size: template.headingSize,
+        style: "bold",
+      });
+      if (template.headingRule) {
+        doc.setLineWidth(0.75);
+        doc.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+      }
+      y += gap * 2;
+    } else if (block.type === "entry") {
+      y += gap * 2;
+      ensureSpace(lineHeight(template.bodySize));
+      let width = TEXT_WIDTH;
+      if (block.dates) {
+        setFont(template.bodySize);
+        width -= doc.getTextWidth(block.dates) + 12;
+        doc.text(block.dates, PAGE_WIDTH - MARGIN, y + template.bodySize, {
+          align: "right",
+        });
+      }
+      write(block.text, { style: "bold", width });
+    } else if (block.type === "bullet") {
+      ensureSpace(lineHeight(template.bodySize));
+      setFont(template.bodySize);
+      doc.text("•", MARGIN + 3, y + template.bodySize);
+      write(block.text, { indent: BULLET_INDENT });
+      y += gap;
+    } else {
+      write(block.text);
+      y += gap;
+    }
+  });
+
+  return doc.output("blob");
+};
@@ -0,0 +1,70 @@
+import JSZip from "jszip";
+import { parseResume } from "./resumeParser";
+import {
+  RESUME_TEMPLATES,
+  resumeBlocks,
+  resumeFileBase,
+  resumeToDocx,
+  resumeToPdf,
+  templateById,
+} from "./resumeExport";
+
+const RESUME = parseResume(`Jane Doe
+jane@example.com | 555-123-4567
+
+WORK HISTORY
+Data Engineer | Acme | Jan 2020 - Present
+• Built pipelines in Python
+
+TECHNICAL SKILLS
+Languages: Python, SQL
+
+VOLUNTEERING
+• Taught coding to kids`);
+
+test("lays the resume out with standard section headings", () => {
+  expect(resumeBlocks(RESUME)).toEqual([
+    { type: "name", text: "Jane Doe" },
+    { type: "contact", text: "jane@example.com | 555-123-4567" },
+    { type: "heading", text: "Experience" },
+    {
+      type: "entry",
+      text: "Data Engineer | Acme",
+      dates: "Jan 2020 - Present",
+    },
+    { type: "bullet", text: "Built pipelines in Python" },
+    { type: "heading", text: "Skills" },
+    { type: "text", text: "Languages: Python, SQL" },
+    { type: "heading", text: "VOLUNTEERING" },
+    { type: "bullet", text: "Taught coding to kids" },
+  ]);
+});
+
+test("names files after the candidate", () => {
+  expect(resumeFileBase(RESUME)).toBe("Jane_Doe_Resume");
+  expect(resumeFileBase(parseResume(""))).toBe("Resume");
+});
+
+test("falls back to the first template", () => {
+  expect(templateById("compact").label).toBe("Compact");
+  expect(templateById("missing")).toBe(RESUME_TEMPLATES[0]);
+});
+
+test("builds a DOCX in the template's font", async () => {
+  const blob = await resumeToDocx(RESUME, templateById("modern"));
+  const zip = await JSZip.loadAsync(await new Response(blob).arrayBuffer());
+  const documentXml = await zip.file("word/document.xml").async("string");
+  const stylesXml = await zip.file("word/styles.xml").async("string");
+
+  expect(documentXml).toContain("Built pipelines in Python");
+  expect(documentXml).toContain("<w:tab/>");
+  expect(documentXml).toContain("Experience");
+  expect(stylesXml).toContain('w:ascii="Arial"');
+});
+
+test("builds a PDF with selectable text", async () => {
+  const blob = resumeToPdf(RESUME, templateById("classic"));
+  const text = await new Response(blob).text();
+  expect(text.startsWith("%PDF-")).toBe(true);
+  expect(text).toContain("/Times-Roman");
+});
@@ -0,0 +1,253 @@
+// Length, readability and density stats for the resume text, with warnings
+// for the usual problems: too long, hard to read, keyword stuffing and
+// sections out of proportion.
+// Warnings are { id, severity: "high" | "medium" | "low", text }.
+import { detectBullets } from "./bullets";
+import { extractKeywords } from "./keywords";
+import { splitSections, SECTION_TITLES } from "./resumeParser";
+import { SEVERITIES } from "./suggestions";
+
+// A single-spaced page holds about this many words, or this many lines when
+// the lines are short
+export const WORDS_PER_PAGE = 500;
+export const LINES_PER_PAGE = 50;
+
+// Below this the resume probably leaves out too much
+const MIN_WORDS = 200;
+
+// Bullets averaging more words than this are hard to skim
+const LONG_AVERAGE_BULLET = 25;
+
+// Below this Flesch score the text is hard going
+const HARD_TO_READ = 30;
+
+// A term is stuffed when it makes up this share of the words and appears at
+// least STUFFING_MIN_COUNT times
+export const STUFFING_DENSITY = 0.03;
+const STUFFING_MIN_COUNT = 5;
+
+// How many of the most repeated terms to report
+const TOP_KEYWORDS = 10;
+
+const MAX_SUMMARY_WORDS = 100;
+const MIN_EXPERIENCE_SHARE = 0.35;
+const MAX_SKILLS_SHARE = 0.3;
+
+// Tokens with a letter or digit, so bullet markers and "|" don't count
+const wordsOf = (text) =>
+  text.split(/\s+/).filter((token) => /[A-Za-z0-9]/.test(token));
+
+// Vowel groups, ignoring a silent final "e" ("manage" has 2)
+const syllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "")
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+const readabilityLabel = (score) => {
+  if (score >= 50) return "Easy to read";
+  if (score >= HARD_TO_READ) return "Professional";
+  return "Hard to read";
+};
+
+// Flesch reading ease (0-100, higher is easier). Each line counts as at
+// least one sentence, since bullets rarely end with a full stop.
+export const readability = (text) => {
+  const sentences = text
+    .split("\n")
+    .flatMap((line) => line.split(/[.!?]+\s/))
+    .map((sentence) => wordsOf(sentence).filter((word) => /[a-z]/i.test(word)))
+    .filter((words) => words.length > 0);
+  const words = sentences.flat();
+  if (words.length === 0) return null;
+  const syllableCount = words.reduce((sum, word) => sum + syllables(word), 0);
+  const score = Math.round(
+    206.835 -
+      1.015 * (words.length / sentences.length) -
+      84.6 * (syllableCount / words.length)
+  );
+  const clamped = Math.min(100, Math.max(0, score));
+  return { score: clamped, label: readabilityLabel(clamped) };
+};
+
+const sectionBalance = (resumeText) => {
+  const sections = splitSections(resumeText).sections.map((section) => ({
+    id: section.id,
+    title: SECTION_TITLES[section.id] || section.heading,
+    words: wordsOf(section.lines.join(" ")).length,
+  }));
+  const total = sections.reduce((sum, section) => sum + section.words, 0);
+  return sections.map((section) => ({
+    ...section,
+    share: total ? section.words / total : 0,
+  }));
+};
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+const lengthWarnings = (wordCount, pageCount) => {
+  if (pageCount > 2) {
+    return [
+      {
+        id: "length",
+        severity: "high",
+        text: `About ${pageCount} pages. Keep it to two pages at most; cut older roles and bullets that don't support the job.`,
+      },
+    ];
+  }
+  if (pageCount > 1) {
+    return [
+      {
+        id: "length",
+        severity: "low",
+        text: `About ${pageCount} pages. Two pages suit 10+ years of experience; otherwise aim for one.`,
+      },
+    ];
+  }
+  if (wordCount < MIN_WORDS) {
+    return [
+      {
+        id: "length",
+        severity: "medium",
+        text: `Only ${wordCount} words. Add results and scope to your bullets so there's enough for a recruiter to go on.`,
+      },
+    ];
+  }
+  return [];
+};
+
+const sectionWarnings = (sections) => {
+  const warnings = [];
+  const totalOf = (id) =>
+    sections
+      .filter((section) => section.id === id)
+      .reduce(
+        (sum, section) => ({
+          words: sum.words + section.words,
+          share: sum.share + section.share,
+        }),
+        { words: 0, share: 0 }
+      );
+  const experience = totalOf("experience");
+  const summary = totalOf("summary");
+  const skills = totalOf("skills");
+
+  if (experience.words > 0 && experience.share < MIN_EXPERIENCE_SHARE) {
+    warnings.push({
+      id: "experienceShare",
+      severity: "medium",
+      text: `Experience is only ${percent(experience.share)} of your resume. It's what recruiters read most, so it's usually the largest section.`,
+    });
+  }
+  if (summary.words > MAX_SUMMARY_WORDS) {
+    warnings.push({
+      id: "summaryLength",
+      severity: "low",
+      text: `The summary is ${summary.words} words. Keep it to two to four lines.`,
+    });
+  }
+  if (skills.share > MAX_SKILLS_SHARE) {
+    warnings.push({
+      id: "skillsShare",
+      severity: "low",
+      text: `Skills take up ${percent(skills.share)} of your resume. List the skills the job asks for and show the rest in your bullets.`,
+    });
+  }
+  // The index keeps ids unique when two sections share a title
+  sections.forEach((section, index) => {
+    if (section.words > 0) return;
+    warnings.push({
+      id: `empty-${index}-${section.title}`,
+      severity: "low",
+      text: `The ${section.title} section is empty.`,
+    });
+  });
+  return warnings;
+};
+
+// Stats for resumeText. matchedKeywords (from compareKeywords) marks which
+// repeated terms the job description asks for.
+export const resumeMetrics = (resumeText, matchedKeywords = []) => {
+  const text = resumeText || "";
+  const wordCount = wordsOf(text).length;
+  const lineCount = text.split("\n").filter((line) => line.trim()).length;
+  const pageCount =
+    Math.round(
+      Math.max(wordCount / WORDS_PER_PAGE, lineCount / LINES_PER_PAGE) * 10
+    ) / 10;
+
+  const bullets = detectBullets(text);
+  const averageBulletWords = bullets.length
+    ? Math.round(
+        bullets.reduce((sum, bullet) => sum + wordsOf(bullet.text).length, 0) /
+          bullets.length
+      )
+    : null;
+
+  const jobKeys = new Set(matchedKeywords.flatMap((entry) => entry.keys));
+  const keywords = [...extractKeywords(text).values()]
+    .filter((entry) => entry.count > 1)
+    .sort((a, b) => b.count - a.count || a.firstIndex - b.firstIndex)
+    .slice(0, TOP_KEYWORDS)
+    .map((entry) => {
+      const density = wordCount ? entry.count / wordCount : 0;
+      return {
+        term: entry.term,
+        count: entry.count,
+        density,
+        inJobDescription: jobKeys.has(entry.key),
+        stuffed:
+          entry.count >= STUFFING_MIN_COUNT && density >= STUFFING_DENSITY,
+      };
+    });
+
+  const readabilityResult = readability(text);
+  const sections = sectionBalance(text);
+
+  const warnings = [...lengthWarnings(wordCount, pageCount)];
+  if (averageBulletWords > LONG_AVERAGE_BULLET) {
+    warnings.push({
+      id: "bulletLength",
+      severity: "medium",
+      text: `Bullets average ${averageBulletWords} words. Aim for one or two lines each.`,
+    });
+  }
+  if (readabilityResult && readabilityResult.score < HARD_TO_READ) {
+    warnings.push({
+      id: "readability",
+      severity: "medium",
+      text: "Hard to read: use shorter phrases and plainer words where you can.",
+    });
+  }
+  const stuffed = keywords.filter((keyword) => keyword.stuffed);
+  if (stuffed.length > 0) {
+    warnings.push({
+      id: "stuffing",
+      severity: "high",
+      text: `${stuffed
+        .map((keyword) => `"${keyword.term}" (${keyword.count}×)`)
+        .join(", ")} ${
+        stuffed.length === 1 ? "is" : "are"
+      } repeated so often it reads as keyword stuffing, which recruiters and some ATS filters penalise.`,
+    });
+  }
+  warnings.push(...sectionWarnings(sections));
+
+  return {
+    wordCount,
+    pageCount,
+    bulletCount: bullets.length,
+    averageBulletWords,
+    readability: readabilityResult,
+    keywords,
+    sections,
+    warnings: warnings.sort(
+      (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+    ),
+  };
+};
@@ -0,0 +1,95 @@
+import { readability, resumeMetrics, WORDS_PER_PAGE } from "./resumeMetrics";
+
+const RESUME = `Jane Doe
+jane@example.com
+
+SUMMARY
+Data engineer who builds reliable pipelines.
+
+EXPERIENCE
+Data Engineer | Acme | 2020 - Present
+• Built 12 pipelines that cut reporting time by 40%
+• Led a team of 4 engineers
+
+SKILLS
+Python, SQL`;
+
+test("counts words, bullets and pages", () => {
+  const metrics = resumeMetrics(RESUME);
+  expect(metrics.wordCount).toBe(34);
+  expect(metrics.bulletCount).toBe(2);
+  expect(metrics.averageBulletWords).toBe(8);
+  expect(metrics.pageCount).toBe(0.2);
+});
+
+test("warns when the resume runs past two pages", () => {
+  const long = `${RESUME}\n${"• Built things ".repeat(WORDS_PER_PAGE)}`;
+  const metrics = resumeMetrics(long);
+  expect(metrics.pageCount).toBeGreaterThan(2);
+  expect(metrics.warnings[0]).toMatchObject({ id: "length", severity: "high" });
+});
+
+test("warns when a short resume leaves too much out", () => {
+  expect(resumeMetrics(RESUME).warnings.map((w) => w.id)).toContain("length");
+});
+
+test("scores plain text as easier to read than dense jargon", () => {
+  const plain = readability("We built a tool. It saved time.");
+  const dense = readability(
+    "Operationalized multidimensional organizational interoperability initiatives"
+  );
+  expect(plain.score).toBeGreaterThan(dense.score);
+  expect(dense.label).toBe("Hard to read");
+  expect(readability("")).toBeNull();
+});
+
+test("flags keyword stuffing and marks job description terms", () => {
+  const stuffed = `${RESUME}\n${"• Python\n".repeat(6)}`;
+  const metrics = resumeMetrics(stuffed, [{ keys: ["python"] }]);
+  const [python] = metrics.keywords;
+  expect(python).toMatchObject({
+    term: "python",
+    count: 7,
+    stuffed: true,
+    inJobDescription: true,
+  });
+  expect(metrics.warnings.map((w) => w.id)).toContain("stuffing");
+});
+
+test("reports each section's share of the words", () => {
+  const { sections, warnings } = resumeMetrics(RESUME);
+  expect(sections.map((s) => [s.title, s.words])).toEqual([
+    ["Summary", 6],
+    ["Experience", 20],
+    ["Skills", 2],
+  ]);
+  expect(sections[1].share).toBeCloseTo(20 / 28);
+  expect(warnings.map((w) => w.id)).not.toContain("experienceShare");
+});
+
+test("warns when experience is a small part of the resume", () => {
+  const text = `EXPERIENCE
+Engineer | Acme
+• Built 2 apps
+
+SKILLS
+${"Python, SQL, Java, Go, Rust, ".repeat(4)}`;
+  const ids = resumeMetrics(text).warnings.map((w) => w.id);
+  expect(ids).toEqual(
+    expect.arrayContaining(["experienceShare", "skillsShare"])
+  );
+});
+
+test("gives empty sections with the same title different warning ids", () => {
+  const text = `EXPERIENCE
+
+EXPERIENCE
+
+SKILLS
+Python, SQL`;
+  const ids = resumeMetrics(text)
+    .warnings.map((w) => w.id)
+    .filter((id) => id.startsWith("empty-"));
+  expect(ids).toHaveLength(2);
+  expect(new Set(ids).size).toBe(2);
+});
@@ -0,0 +1,542 @@
+// Parses resume text into a structured model (contact info, summary,
+// experience, education, skills, projects, certifications) and formats a
+// model back into plain resume text.
+//
+// Parsing is heuristic: headings are recognised by their wording, and
+// entries are split on blank lines, dates and bullets. The model is meant to
+// be reviewed and corrected in the outline editor.
+import { bulletLineText, isMarkerOnlyLine } from "./bullets";
+
+const SECTION_ALIASES = {
+  summary: [
+    "summary", "professional summary", "career summary", "profile",
+    "professional profile", "objective", "career objective", "about", "about me",
+  ],
+  experience: [
+    "experience", "work experience", "professional experience",
+    "relevant experience", "employment", "employment history", "work history",
+    "career history",
+  ],
+  education: [
+    "education", "academic background", "education and training",
+    "academic history",
+  ],
+  skills: [
+    "skills", "technical skills", "core skills", "key skills",
+    "core competencies", "competencies", "technologies", "skills and tools",
+    "tools and technologies",
+  ],
+  projects: [
+    "projects", "personal projects", "selected projects", "key projects",
+    "academic projects",
+  ],
+  certifications: [
+    "certifications", "certificates", "certification",
+    "licenses and certifications", "certifications and licenses",
+  ],
+};
+
+export const SECTION_TITLES = {
+  summary: "Summary",
+  experience: "Experience",
+  education: "Education",
+  skills: "Skills",
+  projects: "Projects",
+  certifications: "Certifications",
+};
+
+const HEADING_TO_SECTION = Object.entries(SECTION_ALIASES).reduce(
+  (map, [id, aliases]) => {
+    aliases.forEach((alias) => map.set(alias, id));
+    return map;
+  },
+  new Map()
+);
+
+const MONTH =
+  "(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?";
+const DATE_POINT = `(?:(?:${MONTH}\\s+)?(?:19|20)\\d{2}|\\d{1,2}/(?:19|20)\\d{2}|Present|Current|Now)`;
+const DATE_RANGE = new RegExp(
+  `\\b${DATE_POINT}(?:\\s*(?:-|–|—|to)\\s*${DATE_POINT})?\\b`,
+  "i"
+);
+
+const DEGREE =
+  /\b(B\.?S\.?c?|B\.?A|M\.?S\.?c?|M\.?A|MBA|Ph\.?D|B\.?Eng|M\.?Eng|B\.?Tech|M\.?Tech|Bachelor|Master|Associate|Doctor|Diploma|Degree)\b/i;
+
+// Separators between the parts of an entry header, e.g.
+// "Engineer | Acme", "Engineer, Acme", "Engineer at Acme", "Engineer — Acme"
+const PART_SEPARATOR = /\s+[•·–—-]\s+|\s*\|\s*|,\s+|\s+at\s+|\s*\t\s*|\s{3,}/;
+const PART_EDGES = /^[\s,|•·–—()-]+|[\s,|•·–—()-]+$/g;
+
+const CONTACT_SEPARATOR = /\s*[|•·]\s*|\s{2,}|\t/;
+const EMAIL = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+const PHONE = /^\+?[\d\s().-]{7,}$/;
+const LINK = /^(https?:\/\/)?(www\.)?[\w-]+(\.[\w-]+)+\/\S*$|^https?:\/\/\S+$/i;
+const LOCATION = /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z]+(\s+\d{5})?$/;
+
+export const emptyResume = () => ({
+  contact: {
+    name: "",
+    email: "",
+    phone: "",
+    location: "",
+    links: [],
+    other: [],
+  },
+  summary: "",
+  experience: [],
+  education: [],
+  skills: [],
+  projects: [],
+  certifications: [],
+  // [{ heading, lines }] for sections we don't recognise
+  otherSections: [],
+  // Section ids in the order they appeared; other sections are "other-<n>"
+  sectionOrder: [],
+});
+
+const normalizeHeading = (line) =>
+  line
+    .trim()
+    .replace(/:$/, "")
+    .replace(/&/g, "and")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+// Headings of sections we keep as they are
+const OTHER_HEADINGS = new Set([
+  "awards", "honors", "awards and honors", "honors and awards", "achievements",
+  "publications", "languages", "interests", "hobbies", "activities",
+  "extracurricular activities", "leadership", "leadership experience",
+  "volunteer experience", "volunteering", "volunteer work", "coursework",
+  "relevant coursework", "training", "affiliations", "memberships",
+  "references", "additional information",
+]);
+
+const OTHER_HEADING_WORDS = [
+  "award", "honor", "publication", "language", "interest", "activit",
+  "leadership", "volunteer", "coursework", "training", "affiliation",
+  "membership", "reference", "additional", "achievement",
+];
+
+// Returns a known section id, "other" for a heading we don't model, or null
+// when the line isn't a heading. Unlisted headings count only when written in
+// capitals and naming a typical section, so company names in capitals don't
+// start sections.
+const headingSection = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 40) return null;
+  const heading = normalizeHeading(trimmed);
+  const known = HEADING_TO_SECTION.get(heading);
+  if (known) return known;
+  if (OTHER_HEADINGS.has(heading)) return "other";
+  const isCapitals = /^[A-Z][A-Z &/-]{2,}:?$/.test(trimmed);
+  return isCapitals &&
+    heading.split(" ").length <= 4 &&
+    OTHER_HEADING_WORDS.some((word) => heading.includes(word))
+    ? "other"
+    : null;
+};
+
+const HEADING_LIKE_WORDS = [
+  "experience", "work", "career", "employment", "history", "skill", "expertise",
+  "tool", "technolog", "education", "qualification", "background", "project",
+  "profile", "summary", "about", "journey", "highlight", "strength", "certif",
+  "credential", "portfolio",
+];
+
+// Lines that look like section headings (short, in capitals or ending with a
+// colon, naming a typical section) but that the parser doesn't recognise.
+// ATS parsers look for the same standard wording, so these are worth
+// renaming.
+export const unrecognizedHeadings = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(
+      (line, index) =>
+        index > 0 &&
+        line.length <= 40 &&
+        /^[A-Za-z][A-Za-z &/'-]*:?$/.test(line) &&
+        (/^[A-Z &/'-]+:?$/.test(line) || line.endsWith(":")) &&
+        line.split(/\s+/).length <= 5 &&
+        headingSection(line) === null &&
+        HEADING_LIKE_WORDS.some((word) => normalizeHeading(line).includes(word))
+    );
+
+const splitParts = (text) =>
+  text
+    .split(PART_SEPARATOR)
+    .map((part) => part.replace(PART_EDGES, ""))
+    .filter(Boolean);
+
+// Splits a comma/semicolon/pipe separated list, ignoring separators inside
+// parentheses so "Python (Pandas, NumPy)" stays one item
+const splitList = (text) => {
+  const items = [];
+  let depth = 0;
+  let item = "";
+  for (const char of text) {
+    if (char === "(") depth += 1;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && /[,;|•·]/.test(char)) {
+      items.push(item);
+      item = "";
+    } else {
+      item += char;
+    }
+  }
+  items.push(item);
+  return items.map((entry) => entry.trim());
+};
+
+// Groups a section's lines into [{ header: [lines], items: [bullet texts] }].
+// A new entry starts after a blank line, after bullets, or when the current
+// header already has its dates and another dated or third line follows.
+const groupEntries = (lines) => {
+  const entries = [];
+  let current = null;
+  let pendingMarker = false;
+  let gap = false;
+
+  const hasDates = (entry) =>
+    entry.header.some((headerLine) => DATE_RANGE.test(headerLine));
+
+  lines.forEach((line) => {
+    if (!line.trim()) {
+      gap = true;
+      return;
+    }
+    if (isMarkerOnlyLine(line)) {
+      pendingMarker = true;
+      return;
+    }
+
+    const bullet = bulletLineText(line) ?? (pendingMarker ? line.trim() : null);
+    pendingMarker = false;
+    const text = line.trim();
+
+    if (bullet !== null) {
+      if (!current) {
+        current = { header: [], items: [] };
+        entries.push(current);
+      }
+      current.items.push(bullet);
+    } else if (
+      current &&
+      current.items.length > 0 &&
+      !gap &&
+      /^[a-z]/.test(text)
+    ) {
+      // A wrapped bullet continues on a line starting in lower case
+      current.items[current.items.length - 1] += ` ${text}`;
+    } else if (
+      !current ||
+      gap ||
+      current.items.length > 0 ||
+      (hasDates(current) &&
+        (DATE_RANGE.test(text) || current.header.length >= 2))
+    ) {
+      current = { header: [text], items: [] };
+      entries.push(current);
+    } else {
+      current.header.push(text);
+    }
+    gap = false;
+  });
+
+  return entries;
+};
+
+// Pulls the first date range out of an entry's header lines and splits the
+// rest into parts
+const parseHeader = (headerLines) => {
+  let dates = "";
+  const parts = [];
+  headerLines.forEach((line) => {
+    let rest = line;
+    const match = dates ? null : rest.match(DATE_RANGE);
+    if (match) {
+      dates = match[0];
+      rest = rest.replace(match[0], " | ");
+    }
+    parts.push(...splitParts(rest));
+  });
+  return { dates, parts };
+};
+
+const parseExperience = (lines) =>
+  groupEntries(lines).map(({ header, items }) => {
+    const { dates, parts } = parseHeader(header);
+    return {
+      title: parts[0] || "",
+      company: parts[1] || "",
+      location: parts.slice(2).join(", "),
+      dates,
+      bullets: items,
+    };
+  });
+
+const parseEducation = (lines) =>
+  groupEntries(lines).map(({ header, items }) => {
+    const { dates, parts } = parseHeader(header);
+    let degreeIndex = parts.findIndex((part) => DEGREE.test(part));
+    if (degreeIndex === -1 && parts.length > 1) degreeIndex = 1;
+    const others = parts.filter((_, index) => index !== degreeIndex);
+    return {
+      school: others[0] || "",
+      degree: parts[degreeIndex] || "",
+      dates,
+      // Anything else in the header (GPA, honours) is kept as a detail
+      details: [...others.slice(1), ...items],
+    };
+  });
+
+const parseProjects = (lines) =>
+  groupEntries(lines).map(({ header, items }) => {
+    const { dates, parts } = parseHeader(header);
+    return {
+      name: parts[0] || "",
+      details: parts.slice(1).join(", "),
+      dates,
+      bullets: items,
+    };
+  });
+
+// Splits one skills line into { category, items }, e.g.
+// "Languages: Python, Go". Empty items are kept so a line being edited in the
+// outline keeps its trailing separator.
+export const parseSkillLine = (line) => {
+  const labelled = line.match(/^([^:,]{1,40}):\s*(.*)$/);
+  return labelled
+    ? { category: labelled[1].trim(), items: splitList(labelled[2]) }
+    : { category: "", items: splitList(line) };
+};
+
+// Skills come as "Category: a, b, c" lines, plain lists, or a category on
+// its own line followed by its items
+const parseSkills = (lines) => {
+  const groups = [];
+  lines.forEach((line) => {
+    const text = (bulletLineText(line) ?? line).trim();
+    if (!text || isMarkerOnlyLine(text)) return;
+    const { category, items } = parseSkillLine(text);
+    const nonEmpty = items.filter(Boolean);
+    const previous = groups[groups.length - 1];
+    if (!category && previous && previous.category && !previous.items.length) {
+      previous.items.push(...nonEmpty);
+    } else {
+      groups.push({ category, items: nonEmpty });
+    }
+  });
+  return groups;
+};
+
+const listLines = (lines) =>
+  lines
+    .map((line) => (bulletLineText(line) ?? line).trim())
+    .filter((line) => line && !isMarkerOnlyLine(line));
+
+// The lines above the first heading: name, contact details and, when the
+// resume has no summary section, a summary
+const parsePreamble = (lines, resume) => {
+  const { contact } = resume;
+  const leftovers = [];
+
+  lines.forEach((line) => {
+    const text = line.trim();
+    if (!text) return;
+    const parts = text
+      .split(CONTACT_SEPARATOR)
+      .map((part) => part.trim())
+      .filter(Boolean);
+    const isContactPart = (part) =>
+      EMAIL.test(part) ||
+      (PHONE.test(part) && part.replace(/\D/g, "").length >= 7) ||
+      LINK.test(part) ||
+      /linkedin|github/i.test(part) ||
+      LOCATION.test(part);
+
+    if (!contact.name && !parts.some(isContactPart)) {
+      contact.name = text;
+      return;
+    }
+    if (!parts.some(isContactPart)) {
+      leftovers.push(text);
+      return;
+    }
+    parts.forEach((part) => {
+      const email = part.match(EMAIL);
+      if (email && !contact.email) contact.email = email[0];
+      else if (PHONE.test(part) && !contact.phone) contact.phone = part;
+      else if (LINK.test(part) || /linkedin|github/i.test(part))
+        contact.links.push(part);
+      else if (LOCATION.test(part) && !contact.location)
+        contact.location = part;
+      else contact.other.push(part);
+    });
+  });
+
+  return leftovers;
+};
+
+// Splits resume text at its section headings. Returns { preamble, sections }
+// where preamble holds the lines before the first heading and each section
+// is { id, heading, lines }; id is a known section id or "other".
+export const splitSections = (text) => {
+  const preamble = [];
+  const sections = [];
+  let current = null;
+
+  (text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((line) => {
+      const id = headingSection(line);
+      if (id) {
+        current = { id, heading: line.trim().replace(/:$/, ""), lines: [] };
+        sections.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      } else {
+        preamble.push(line);
+      }
+    });
+
+  return { preamble, sections };
+};
+
+// Turns resume text into the structured model described by emptyResume
+export const parseResume = (text) => {
+  const resume = emptyResume();
+  const { preamble, sections } = splitSections(text);
+
+  const summaryLeftovers = parsePreamble(preamble, resume);
+
+  sections.forEach(({ id, heading, lines }) => {
+    if (id === "other") {
+      resume.sectionOrder.push(`other-${resume.otherSections.length}`);
+      resume.otherSections.push({
+        heading,
+        lines: lines.map((line) => line.trim()).filter(Boolean),
+      });
+      return;
+    }
+    if (!resume.sectionOrder.includes(id)) resume.sectionOrder.push(id);
+    if (id === "summary") {
+      resume.summary = [resume.summary, ...listLines(lines)]
+        .filter(Boolean)
+        .join(" ");
+    } else if (id === "experience") {
+      resume.experience.push(...parseExperience(lines));
+    } else if (id === "education") {
+      resume.education.push(...parseEducation(lines));
+    } else if (id === "skills") {
+      resume.skills.push(...parseSkills(lines));
+    } else if (id === "projects") {
+      resume.projects.push(...parseProjects(lines));
+    } else if (id === "certifications") {
+      resume.certifications.push(...listLines(lines));
+    }
+  });
+
+  if (!resume.summary && summaryLeftovers.length > 0) {
+    resume.summary = summaryLeftovers.join(" ");
+    if (!resume.sectionOrder.includes("summary")) {
+      resume.sectionOrder.unshift("summary");
+    }
+  }
+
+  return resume;
+};
+
+const joinParts = (parts) => parts.filter(Boolean).join(" | ");
+
+const bulletLines = (items) =>
+  items.filter((item) => item.trim()).map((item) => `• ${item.trim()}`);
+
+const formatEntries = (entries, headerFor, itemsFor) =>
+  entries
+    .map((entry) => [headerFor(entry), ...bulletLines(itemsFor(entry))])
+    .map((lines) => lines.filter(Boolean).join("\n"))
+    .filter(Boolean)
+    .join("\n\n");
+
+const SECTION_FORMATTERS = {
+  summary: (resume) => resume.summary.trim(),
+  experience: (resume) =>
+    formatEntries(
+      resume.experience,
+      (entry) =>
+        joinParts([entry.title, entry.company, entry.location, entry.dates]),
+      (entry) => entry.bullets
+    ),
+  education: (resume) =>
+    formatEntries(
+      resume.education,
+      (entry) => joinParts([entry.school, entry.degree, entry.dates]),
+      (entry) => entry.details
+    ),
+  skills: (resume) =>
+    resume.skills
+      .map(({ category, items }) => {
+        const list = items.filter((item) => item.trim()).join(", ");
+        return category.trim() ? `${category.trim()}: ${list}` : list;
+      })
+      .filter(Boolean)
+      .join("\n"),
+  projects: (resume) =>
+    formatEntries(
+      resume.projects,
+      (entry) => joinParts([entry.name, entry.details, entry.dates]),
+      (entry) => entry.bullets
+    ),
+  certifications: (resume) => bulletLines(resume.certifications).join("\n"),
+};
+
+// Every section id in output order: the original order first, then any
+// sections added while editing. Unknown sections are "other-<index>".
+export const orderedSectionIds = (resume) => {
+  const order = [...resume.sectionOrder];
+  Object.keys(SECTION_TITLES).forEach((id) => {
+    if (!order.includes(id)) order.push(id);
+  });
+  resume.otherSections.forEach((_, index) => {
+    if (!order.includes(`other-${index}`)) order.push(`other-${index}`);
+  });
+  return order;
+};
+
+// Formats a model back into plain text with capitalised headings, keeping
+// the original section order
+export const formatResume = (resume) => {
+  const { contact } = resume;
+  const blocks = [
+    [
+      contact.name,
+      joinParts([
+        contact.email,
+        contact.phone,
+        contact.location,
+        ...contact.links,
+        ...contact.other,
+      ]),
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  ];
+
+  orderedSectionIds(resume).forEach((id) => {
+    if (id.startsWith("other-")) {
+      const section = resume.otherSections[Number(id.slice(6))];
+      const body = section && section.lines.filter(Boolean).join("\n");
+      if (body) blocks.push(`${section.heading.toUpperCase()}\n${body}`);
+      return;
+    }
+    const body = SECTION_FORMATTERS[id](resume);
+    if (body) blocks.push(`${SECTION_TITLES[id].toUpperCase()}\n${body}`);
+  });
+
+  return blocks.filter(Boolean).join("\n\n");
+};
@@ -0,0 +1,132 @@
+import { formatResume, parseResume } from "./resumeParser";
+
+const RESUME = `JANE DOE
+jane.doe@example.com | (555) 123-4567 | Seattle, WA | linkedin.com/in/janedoe
+
+PROFESSIONAL SUMMARY
+Backend engineer with 6 years building payment systems.
+
+Work Experience
+Senior Software Engineer | Stripe | Jan 2021 - Present
+• Led migration of billing services to Kubernetes, cutting deploy time
+  by 40%
+• Mentored 4 engineers
+
+Software Engineer, Square
+2017 - 2020
+- Built fraud detection models in Python
+
+EDUCATION
+University of Washington
+B.S. Computer Science, 2017, GPA 3.8
+
+Skills:
+Languages: Python, Go, SQL
+AWS, Docker, Terraform (modules, workspaces)
+
+PROJECTS
+Resume Optimizer | React, Flask | 2023
+• Built keyword matching for job descriptions
+
+Certifications
+AWS Certified Solutions Architect
+
+AWARDS & HONORS
+Hackathon winner 2019`;
+
+test("parses contact details from the lines above the first heading", () => {
+  expect(parseResume(RESUME).contact).toEqual({
+    name: "JANE DOE",
+    email: "jane.doe@example.com",
+    phone: "(555) 123-4567",
+    location: "Seattle, WA",
+    links: ["linkedin.com/in/janedoe"],
+    other: [],
+  });
+});
+
+test("parses experience entries with dates and wrapped bullets", () => {
+  const { experience } = parseResume(RESUME);
+  expect(experience).toEqual([
+    {
+      title: "Senior Software Engineer",
+      company: "Stripe",
+      location: "",
+      dates: "Jan 2021 - Present",
+      bullets: [
+        "Led migration of billing services to Kubernetes, cutting deploy time by 40%",
+        "Mentored 4 engineers",
+      ],
+    },
+    {
+      title: "Software Engineer",
+      company: "Square",
+      location: "",
+      dates: "2017 - 2020",
+      bullets: ["Built fraud detection models in Python"],
+    },
+  ]);
+});
+
+test("parses education, skills, projects and certifications", () => {
+  const resume = parseResume(RESUME);
+  expect(resume.summary).toBe(
+    "Backend engineer with 6 years building payment systems."
+  );
+  expect(resume.education).toEqual([
+    {
+      school: "University of Washington",
+      degree: "B.S. Computer Science",
+      dates: "2017",
+      details: ["GPA 3.8"],
+    },
+  ]);
+  expect(resume.skills).toEqual([
+    { category: "Languages", items: ["Python", "Go", "SQL"] },
+    {
+      category: "",
+      items: ["AWS", "Docker", "Terraform (modules, workspaces)"],
+    },
+  ]);
+  expect(resume.projects).toEqual([
+    {
+      name: "Resume Optimizer",
+      details: "React, Flask",
+      dates: "2023",
+      bullets: ["Built keyword matching for job descriptions"],
+    },
+  ]);
+  expect(resume.certifications).toEqual(["AWS Certified Solutions Architect"]);
+  expect(resume.otherSections).toEqual([
+    { heading: "AWARDS & HONORS", lines: ["Hackathon winner 2019"] },
+  ]);
+});
+
+test("doesn't treat company names in capitals as headings", () => {
+  const resume = parseResume(`Experience
+ACME CORP
+Engineer, 2019 - 2021
+• Shipped things`);
+  expect(resume.otherSections).toEqual([]);
+  expect(resume.experience).toHaveLength(1);
+  expect(resume.experience[0].title).toBe("ACME CORP");
+});
+
+test("uses text above the first heading as the summary when there is none", () => {
+  const resume = parseResume(`Jane Doe
+jane@example.com
+Engineer who likes data.
+
+Skills
+Python`);
+  expect(resume.summary).toBe("Engineer who likes data.");
+  expect(resume.sectionOrder).toEqual(["summary", "skills"]);
+});
+
+test("formats a model back into text that parses to the same model", () => {
+  const resume = parseResume(RESUME);
+  const text = formatResume(resume);
+  expect(text).toContain("EXPERIENCE\nSenior Software Engineer | Stripe");
+  expect(text.indexOf("SKILLS")).toBeLessThan(text.indexOf("PROJECTS"));
+  expect(parseResume(text)).toEqual(resume);
+});
@@ -0,0 +1,82 @@
+// Bullet point rewrites: prompt, response parsing and applying a rewrite
+// back into the resume text.
+import { stripBulletMarker } from "./bullets";
+import { completeArrayObjects } from "./jsonStream";
+import { collectTermOccurrences } from "./keywords";
+import { DEFAULT_PROMPT_SETTINGS, renderPrompt } from "./promptTemplates";
+
+export const REWRITE_VARIANT_COUNTS = [1, 2, 3, 4, 5];
+
+// Most keywords worth suggesting to the model in one prompt
+const MAX_PROMPT_KEYWORDS = 15;
+
+// keywords are JD terms the resume is missing; the model is asked to use
+// them only where they fit truthfully. promptSettings picks the template and
+// presets (see promptTemplates.js).
+export const buildRewritePrompt = (
+  bullet,
+  { count = 3, keywords = [], promptSettings = DEFAULT_PROMPT_SETTINGS } = {}
+) => {
+  const keywordHint =
+    keywords.length > 0
+      ? ` Where it is truthful, work in relevant job description keywords: ${keywords
+          .slice(0, MAX_PROMPT_KEYWORDS)
+          .join(", ")}.`
+      : "";
+
+  return `${renderPrompt(promptSettings, "rewrite", {
+    bullet,
+    count,
+    keywordHint,
+  })}
+
+    Respond with JSON only, in this shape:
+    {"rewrites": [{"text": the rewritten bullet point without a leading bullet marker}]}`;
+};
+
+// Parses a (possibly partial) JSON rewrites response into a list of strings
+export const parseRewrites = (text) =>
+  completeArrayObjects(text || "")
+    .filter((raw) => raw && typeof raw.text === "string" && raw.text.trim())
+    .map((raw) => stripBulletMarker(raw.text.trim()));
+
+// JD keyword terms that appear in the rewrite but not in the original
+export const addedKeywords = (original, rewrite, jdKeywords) => {
+  const before = collectTermOccurrences(original);
+  const after = collectTermOccurrences(rewrite);
+  return jdKeywords
+    .filter(
+      (keyword) =>
+        keyword.keys.some((key) => after.has(key)) &&
+        !keyword.keys.some((key) => before.has(key))
+    )
+    .map((keyword) => keyword.term);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Replaces the first occurrence of a bullet's text in the resume, keeping the
+// resume's own bullet marker and tolerating differences in whitespace.
+// Returns the new resume text, or null when the bullet can't be found.
+export const replaceBullet = (resumeText, original, replacement) => {
+  const target = stripBulletMarker(original.trim()).trim();
+  if (!target) return null;
+
+  let index = resumeText.indexOf(target);
+  let length = target.length;
+  if (index === -1) {
+    const pattern = new RegExp(
+      target.split(/\s+/).map(escapeRegExp).join("\\s+")
+    );
+    const match = pattern.exec(resumeText);
+    if (!match) return null;
+    index = match.index;
+    length = match[0].length;
+  }
+
+  return (
+    resumeText.slice(0, index) +
+    stripBulletMarker(replacement.trim()) +
+    resumeText.slice(index + length)
+  );
+};
@@ -0,0 +1,39 @@
+import { compareKeywords } from "./keywords";
+import { addedKeywords, parseRewrites, replaceBullet } from "./rewrite";
+
+test("parses rewrites and strips bullet markers", () => {
+  const response =
+    '{"rewrites": [{"text": "- Led a team of 5"}, {"text": "Cut costs 20%"}, {"text": "– Ran 3 launches"}, {"te';
+  expect(parseRewrites(response)).toEqual([
+    "Led a team of 5",
+    "Cut costs 20%",
+    "Ran 3 launches",
+  ]);
+});
+
+test("lists the JD keywords a rewrite adds", () => {
+  const { matched, missing } = compareKeywords(
+    "Worked on Python services",
+    "Python, Kubernetes and JavaScript",
+    [["JavaScript", "JS"]]
+  );
+  expect(
+    addedKeywords(
+      "Worked on Python services",
+      "Shipped Python and JS services on Kubernetes",
+      [...matched, ...missing]
+    )
+  ).toEqual(expect.arrayContaining(["kubernetes", "javascript"]));
+});
+
+test("replaces a bullet in place, keeping the resume's marker", () => {
+  const resume = "Experience\n• Worked on a fraud\n  detection model\n• Other";
+  expect(
+    replaceBullet(
+      resume,
+      "- Worked on a fraud detection model",
+      "Built a model"
+    )
+  ).toBe("Experience\n• Built a model\n• Other");
+  expect(replaceBullet(resume, "Not in the resume", "x")).toBeNull();
+});
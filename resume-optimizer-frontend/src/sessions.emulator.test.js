@@ -0,0 +1,96 @@
+// Runs against the Firebase emulators only, e.g. with
+// npm run test:emulator
+// Firebase Auth needs fetch, which jsdom doesn't provide
+import "react-app-polyfill/jsdom";
+import { initializeApp } from "firebase/app";
+import { getAuth, signInAnonymously } from "firebase/auth";
+import { getFirestore, terminate } from "firebase/firestore";
+import { connectEmulators } from "./firebaseEmulators";
+import {
+  createSession,
+  deleteSession,
+  renameSession,
+  subscribeToSessions,
+  updateSession,
+} from "./sessions";
+
+const { FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST } = process.env;
+const describeWithEmulator =
+  FIRESTORE_EMULATOR_HOST && FIREBASE_AUTH_EMULATOR_HOST
+    ? describe
+    : describe.skip;
+
+describeWithEmulator("sessions in the Firestore emulator", () => {
+  let db;
+  let owner;
+
+  beforeAll(async () => {
+    const app = initializeApp({
+      apiKey: "emulator",
+      projectId: "demo-resume-optimizer",
+    });
+    db = getFirestore(app);
+    const auth = getAuth(app);
+    connectEmulators(db, auth, {
+      firestoreHost: FIRESTORE_EMULATOR_HOST,
+      authHost: FIREBASE_AUTH_EMULATOR_HOST,
+    });
+    const { user } = await signInAnonymously(auth);
+    owner = { userId: user.uid };
+  });
+
+  afterAll(() => terminate(db));
+
+  // Resolves with the first session list that passes the check
+  const nextSessions = (check) =>
+    new Promise((resolve, reject) => {
+      const unsubscribe = subscribeToSessions(
+        db,
+        owner,
+        (sessions) => {
+          if (!check(sessions)) return;
+          unsubscribe();
+          resolve(sessions);
+        },
+        reject
+      );
+    });
+
+  test("creates, updates, renames and deletes sessions", async () => {
+    const id = await createSession(db, owner, {
+      resumeText: "resume",
+      jdText: "Data Engineer\nAcme",
+      score: 40,
+    });
+    let sessions = await nextSessions((list) =>
+      list.some((session) => session.id === id)
+    );
+    expect(sessions.find((session) => session.id === id)).toMatchObject({
+      title: "Data Engineer",
+      score: 40,
+    });
+
+    await updateSession(db, owner, id, { score: 65 });
+    await renameSession(db, owner, id, "Acme application");
+    sessions = await nextSessions((list) =>
+      list.some((session) => session.title === "Acme application")
+    );
+    expect(sessions.find((session) => session.id === id).score).toBe(65);
+
+    await deleteSession(db, owner, id);
+    await nextSessions((list) => !list.some((session) => session.id === id));
+  });
+
+  test("lists the most recently updated session first", async () => {
+    const older = await createSession(db, owner, { jdText: "Older" });
+    const newer = await createSession(db, owner, { jdText: "Newer" });
+    await updateSession(db, owner, older, { score: 10 });
+
+    const sessions = await nextSessions(
+      (list) =>
+        list.some((session) => session.id === newer) &&
+        list.find((session) => session.id === older)?.score === 10
+    );
+    expect(sessions[0].id).toBe(older);
+  });
+});
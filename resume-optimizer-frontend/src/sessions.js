@@ -0,0 +1,118 @@
+// Saved analysis sessions in Firestore, one document per session under the
+// signed-in user. In the Canvas environment sessions live under the app's
+// artifacts path, as Canvas security rules require.
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+
+// Most sessions shown in the history
+const HISTORY_LIMIT = 50;
+
+const TITLE_LENGTH = 60;
+
+// owner is { userId, appId }; appId is only set in the Canvas environment
+export const sessionsPath = ({ userId, appId }) =>
+  appId
+    ? ["artifacts", appId, "users", userId, "sessions"]
+    : ["users", userId, "sessions"];
+
+const sessionsCollection = (db, owner) =>
+  collection(db, ...sessionsPath(owner));
+
+// A title from the first line of the job description
+export const defaultSessionTitle = (jdText) => {
+  const firstLine = (jdText || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .find(Boolean);
+  if (!firstLine) return "Untitled analysis";
+  return firstLine.length > TITLE_LENGTH
+    ? `${firstLine.slice(0, TITLE_LENGTH - 1).trimEnd()}…`
+    : firstLine;
+};
+
+// The parts of the app state saved with a session. Keyword results are kept
+// as term lists; the full results are recomputed when a session is opened.
+export const buildSessionData = ({
+  resumeText,
+  jdText,
+  resumeFileName,
+  jdFileName,
+  resumeLayout = null,
+  matchScore,
+  matchedKeywords,
+  missingKeywords,
+  aiSuggestions,
+  suggestionStatuses,
+  bulletPointToRewrite,
+  rewriteSource,
+  rewrittenBulletPoint,
+  acceptedRewrites = [],
+}) => ({
+  resumeText,
+  jdText,
+  resumeFileName,
+  jdFileName,
+  resumeLayout,
+  score: matchScore ? matchScore.score : null,
+  matchedTerms: matchedKeywords.map((keyword) => keyword.term),
+  missingTerms: missingKeywords.map((keyword) => keyword.term),
+  aiSuggestions,
+  suggestionStatuses,
+  bulletPointToRewrite,
+  rewriteSource,
+  rewrittenBulletPoint,
+  acceptedRewrites,
+});
+
+// Calls onChange with the user's sessions, most recently updated first,
+// whenever they change. Returns the unsubscribe function.
+export const subscribeToSessions = (db, owner, onChange, onError) =>
+  onSnapshot(
+    query(
+      sessionsCollection(db, owner),
+      orderBy("updatedAt", "desc"),
+      limit(HISTORY_LIMIT)
+    ),
+    (snapshot) =>
+      onChange(
+        snapshot.docs.map((snapshotDoc) => ({
+          id: snapshotDoc.id,
+          // Local writes have no server time yet; estimate it so they sort
+          ...snapshotDoc.data({ serverTimestamps: "estimate" }),
+        }))
+      ),
+    onError
+  );
+
+// Resolves to the new session's id
+export const createSession = async (db, owner, data) => {
+  const ref = await addDoc(sessionsCollection(db, owner), {
+    title: defaultSessionTitle(data.jdText),
+    ...data,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return ref.id;
+};
+
+export const updateSession = (db, owner, sessionId, data) =>
+  updateDoc(doc(sessionsCollection(db, owner), sessionId), {
+    ...data,
+    updatedAt: serverTimestamp(),
+  });
+
+export const renameSession = (db, owner, sessionId, title) =>
+  updateSession(db, owner, sessionId, { title });
+
+export const deleteSession = (db, owner, sessionId) =>
+  deleteDoc(doc(sessionsCollection(db, owner), sessionId));
@@ -0,0 +1,47 @@
+import {
+  buildSessionData,
+  defaultSessionTitle,
+  sessionsPath,
+} from "./sessions";
+
+test("keeps sessions under the user, or under the Canvas app", () => {
+  expect(sessionsPath({ userId: "u1" })).toEqual(["users", "u1", "sessions"]);
+  expect(sessionsPath({ userId: "u1", appId: "app" })).toEqual([
+    "artifacts",
+    "app",
+    "users",
+    "u1",
+    "sessions",
+  ]);
+});
+
+test("titles a session from the first line of the job description", () => {
+  expect(defaultSessionTitle("\n  Senior Data Engineer\nAcme")).toBe(
+    "Senior Data Engineer"
+  );
+  expect(defaultSessionTitle("")).toBe("Untitled analysis");
+  expect(defaultSessionTitle("x".repeat(100))).toHaveLength(60);
+});
+
+test("saves keyword results as terms and the score as a number", () => {
+  const data = buildSessionData({
+    resumeText: "resume",
+    jdText: "jd",
+    resumeFileName: "",
+    jdFileName: "jd.pdf",
+    matchScore: { score: 72, categories: [] },
+    matchedKeywords: [{ term: "Python", occurrences: [] }],
+    missingKeywords: [{ term: "Kubernetes", occurrences: [] }],
+    aiSuggestions: "",
+    suggestionStatuses: {},
+    bulletPointToRewrite: "",
+    rewriteSource: "",
+    rewrittenBulletPoint: "",
+  });
+  expect(data).toMatchObject({
+    score: 72,
+    matchedTerms: ["Python"],
+    missingTerms: ["Kubernetes"],
+    jdFileName: "jd.pdf",
+  });
+});
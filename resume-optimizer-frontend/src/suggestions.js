@@ -0,0 +1,56 @@
+// Structured AI suggestions: prompt and parser for the JSON response.
+// Each suggestion is { category, severity, excerpt, change, rationale }.
+import { completeArrayObjects } from "./jsonStream";
+import { DEFAULT_PROMPT_SETTINGS, renderPrompt } from "./promptTemplates";
+
+export const SUGGESTION_CATEGORIES = [
+  "Missing Skill",
+  "Impact",
+  "Wording",
+  "Formatting",
+  "Other",
+];
+
+// Ordered from most to least urgent
+export const SEVERITIES = ["high", "medium", "low"];
+
+const CATEGORY_CHOICES = SUGGESTION_CATEGORIES.map((c) => `"${c}"`).join(", ");
+
+// promptSettings picks the template and presets (see promptTemplates.js);
+// the response format is always appended so the reply can be parsed
+export const buildSuggestionsPrompt = (
+  resumeText,
+  jdText,
+  promptSettings = DEFAULT_PROMPT_SETTINGS
+) =>
+  `${renderPrompt(promptSettings, "suggestions", {
+    resume: resumeText,
+    jobDescription: jdText,
+  })}
+
+    Respond with JSON only, in this shape:
+    {"suggestions": [{"category": one of ${CATEGORY_CHOICES}, "severity": "high" | "medium" | "low", "excerpt": the exact resume text this applies to, or "" if it is about something missing, "change": the proposed change, "rationale": why it helps for this job}]}`;
+
+const normalizeSuggestion = (raw, index) => {
+  const category = SUGGESTION_CATEGORIES.find(
+    (c) => c.toLowerCase() === String(raw.category || "").toLowerCase()
+  );
+  const severity = String(raw.severity || "").toLowerCase();
+  return {
+    id: index,
+    category: category || "Other",
+    severity: SEVERITIES.includes(severity) ? severity : "medium",
+    excerpt: String(raw.excerpt || "").trim(),
+    change: String(raw.change || "").trim(),
+    rationale: String(raw.rationale || "").trim(),
+  };
+};
+
+// Parses a (possibly partial) JSON suggestions response. Returns the list of
+// normalized suggestions received so far; ids are their position in the list.
+export const parseSuggestions = (text) => {
+  if (!text) return [];
+  return completeArrayObjects(text)
+    .filter((raw) => raw && typeof raw === "object" && raw.change)
+    .map(normalizeSuggestion);
+};
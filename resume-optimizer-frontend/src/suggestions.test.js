@@ -0,0 +1,82 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { useState } from "react";
+import { parseSuggestions } from "./suggestions";
+import SuggestionCards from "./SuggestionCards";
+
+const RESPONSE = `\`\`\`json
+{"suggestions": [
+  {"category": "missing skill", "severity": "HIGH", "excerpt": "", "change": "Add Kubernetes", "rationale": "The JD asks for it {twice}."},
+  {"category": "Impact", "severity": "low", "excerpt": "Worked on APIs", "change": "Quantify API latency gains", "rationale": ""},
+  {"category": "Mystery", "severity": "urgent", "change": "Use one font"}
+]}
+\`\`\``;
+
+test("parses and normalizes a fenced JSON response", () => {
+  expect(parseSuggestions(RESPONSE)).toEqual([
+    {
+      id: 0,
+      category: "Missing Skill",
+      severity: "high",
+      excerpt: "",
+      change: "Add Kubernetes",
+      rationale: "The JD asks for it {twice}.",
+    },
+    {
+      id: 1,
+      category: "Impact",
+      severity: "low",
+      excerpt: "Worked on APIs",
+      change: "Quantify API latency gains",
+      rationale: "",
+    },
+    {
+      id: 2,
+      category: "Other",
+      severity: "medium",
+      excerpt: "",
+      change: "Use one font",
+      rationale: "",
+    },
+  ]);
+});
+
+test("returns only complete suggestions from a partial stream", () => {
+  const partial = RESPONSE.slice(0, RESPONSE.indexOf("Quantify"));
+  expect(parseSuggestions(partial).map((s) => s.change)).toEqual([
+    "Add Kubernetes",
+  ]);
+  expect(parseSuggestions("Here are some ideas")).toEqual([]);
+});
+
+const Harness = () => {
+  const [statuses, setStatuses] = useState({});
+  return (
+    <SuggestionCards
+      suggestions={parseSuggestions(RESPONSE)}
+      statuses={statuses}
+      onStatusChange={(id, status) =>
+        setStatuses((previous) => ({ ...previous, [id]: status }))
+      }
+    />
+  );
+};
+
+test("filters, dismisses and marks suggestions done", () => {
+  render(<Harness />);
+  expect(screen.getAllByRole("listitem")).toHaveLength(3);
+
+  fireEvent.change(screen.getByLabelText("Filter by severity"), {
+    target: { value: "high" },
+  });
+  expect(screen.getAllByRole("listitem")).toHaveLength(1);
+  fireEvent.change(screen.getByLabelText("Filter by severity"), {
+    target: { value: "all" },
+  });
+
+  fireEvent.click(screen.getAllByRole("button", { name: "Dismiss" })[0]);
+  fireEvent.click(screen.getAllByRole("button", { name: "Mark Done" })[0]);
+  expect(screen.getAllByRole("listitem")).toHaveLength(1);
+
+  fireEvent.click(screen.getByLabelText(/Show done\/dismissed \(2\)/));
+  expect(screen.getAllByRole("listitem")).toHaveLength(3);
+});
@@ -0,0 +1,83 @@
+// Skill synonyms and aliases used by keyword matching.
+// Each group lists equivalent spellings; the first entry is the canonical
+// name. Aliases longer than three words are never matched, since keyword
+// extraction only looks at phrases up to three words. Matching ignores case,
+// so aliases that are also everyday words ("Go", "led", "Excel", "rest") or
+// short abbreviations with other meanings ("MS", "BA") are left out.
+export const DEFAULT_SYNONYMS = [
+  ["JavaScript", "JS", "ECMAScript", "ES6"],
+  ["TypeScript", "TS"],
+  ["Node.js", "NodeJS"],
+  ["React", "React.js", "ReactJS"],
+  ["Vue", "Vue.js", "VueJS"],
+  ["Angular", "AngularJS", "Angular.js"],
+  ["Python", "Py"],
+  ["C#", "CSharp", "C Sharp"],
+  ["C++", "CPP"],
+  [".NET", "dotnet", "ASP.NET"],
+  ["PostgreSQL", "Postgres", "psql"],
+  ["MongoDB", "Mongo"],
+  ["Microsoft SQL Server", "MSSQL", "SQL Server"],
+  ["Kubernetes", "k8s"],
+  ["Amazon Web Services", "AWS"],
+  ["Google Cloud Platform", "GCP", "Google Cloud"],
+  ["Microsoft Azure", "Azure"],
+  ["CI/CD", "continuous integration", "continuous delivery"],
+  ["machine learning", "ML"],
+  ["artificial intelligence", "AI"],
+  ["natural language processing", "NLP"],
+  ["large language models", "LLM", "LLMs"],
+  ["user experience", "UX"],
+  ["user interface", "UI"],
+  ["REST API", "RESTful"],
+  ["object oriented", "OOP", "OOD"],
+  ["Amazon S3", "S3"],
+  ["Microsoft Excel", "MS Excel"],
+  ["Power BI", "PowerBI"],
+  ["search engine optimization", "SEO"],
+  ["key performance indicators", "KPI", "KPIs"],
+  ["quality assurance", "QA"],
+  ["software development lifecycle", "SDLC"],
+  ["bachelor", "BSc", "B.S", "B.A", "undergraduate degree"],
+  ["master", "MSc", "M.S", "M.A", "graduate degree"],
+  ["PhD", "Ph.D", "doctorate"],
+  ["teamwork", "collaboration", "team player"],
+  ["communication", "communicating"],
+  ["mentoring", "mentorship", "coaching"],
+];
+
+const STORAGE_KEY = "resumeOptimizer.customSynonyms";
+
+// User-defined synonym groups saved in this browser
+export const loadCustomSynonyms = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error("Could not read custom synonyms:", error);
+    return [];
+  }
+};
+
+export const saveCustomSynonyms = (groups) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(groups));
+  } catch (error) {
+    console.error("Could not save custom synonyms:", error);
+  }
+};
+
+// Parses "term, alias, alias" lines into synonym groups; groups need two terms
+export const parseSynonymLines = (text) =>
+  text
+    .split("\n")
+    .map((line) =>
+      line
+        .split(",")
+        .map((term) => term.trim())
+        .filter(Boolean)
+    )
+    .filter((group) => group.length > 1);
+
+export const formatSynonymLines = (groups) =>
+  groups.map((group) => group.join(", ")).join("\n");
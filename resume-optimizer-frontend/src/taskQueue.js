@@ -0,0 +1,58 @@
+// Runs async jobs with a cap on how many run at once and on how often a new
+// one may start, so batch AI calls stay within provider rate limits.
+
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    if (ms <= 0 || (signal && signal.aborted)) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+// jobs is a list of functions returning promises. Calls onStart(index) when a
+// job starts and onSettled(index, { value } | { error }) when it finishes.
+// Jobs not yet started when signal aborts are skipped. Resolves once every
+// started job has settled.
+export const runQueue = async (
+  jobs,
+  {
+    concurrency = 2,
+    requestsPerMinute = 0,
+    signal,
+    onStart = () => {},
+    onSettled = () => {},
+  } = {}
+) => {
+  const minInterval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextIndex = 0;
+  let nextStartAt = 0;
+
+  const worker = async () => {
+    while (nextIndex < jobs.length) {
+      if (signal && signal.aborted) return;
+      const index = nextIndex++;
+
+      // Reserve a start slot so concurrent workers stay spaced out
+      const startAt = Math.max(Date.now(), nextStartAt);
+      nextStartAt = startAt + minInterval;
+      await wait(startAt - Date.now(), signal);
+      if (signal && signal.aborted) return;
+
+      onStart(index);
+      try {
+        onSettled(index, { value: await jobs[index]() });
+      } catch (error) {
+        onSettled(index, { error });
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, jobs.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+};
@@ -0,0 +1,82 @@
+import { runQueue } from "./taskQueue";
+
+const deferredJob = (log, id, ms) => () =>
+  new Promise((resolve) => {
+    log.push(`start ${id}`);
+    setTimeout(() => {
+      log.push(`end ${id}`);
+      resolve(id);
+    }, ms);
+  });
+
+test("never runs more jobs at once than the concurrency limit", async () => {
+  let running = 0;
+  let peak = 0;
+  const jobs = Array.from({ length: 6 }, () => async () => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running -= 1;
+  });
+
+  await runQueue(jobs, { concurrency: 2 });
+  expect(peak).toBe(2);
+});
+
+test("reports results and errors per job", async () => {
+  const settled = [];
+  await runQueue(
+    [
+      async () => "a",
+      async () => {
+        throw new Error("boom");
+      },
+    ],
+    { onSettled: (index, result) => settled.push([index, result]) }
+  );
+  expect(settled).toEqual(
+    expect.arrayContaining([
+      [0, { value: "a" }],
+      [1, { error: new Error("boom") }],
+    ])
+  );
+});
+
+test("spaces job starts to respect the rate limit", async () => {
+  const starts = [];
+  const jobs = Array.from({ length: 3 }, () => async () => {
+    starts.push(Date.now());
+  });
+
+  // 1200 per minute = one start every 50ms
+  await runQueue(jobs, { concurrency: 3, requestsPerMinute: 1200 });
+  expect(starts[2] - starts[0]).toBeGreaterThanOrEqual(90);
+});
+
+test("stops listening for aborts once a rate limit wait is over", async () => {
+  const { signal } = new AbortController();
+  jest.spyOn(signal, "addEventListener");
+  jest.spyOn(signal, "removeEventListener");
+  const jobs = [1, 2, 3].map(() => async () => {});
+
+  await runQueue(jobs, { concurrency: 3, requestsPerMinute: 6000, signal });
+
+  const listeners = signal.addEventListener.mock.calls.map(([, fn]) => fn);
+  expect(listeners.length).toBeGreaterThan(0);
+  listeners.forEach((listener) =>
+    expect(signal.removeEventListener).toHaveBeenCalledWith("abort", listener)
+  );
+});
+
+test("skips jobs that have not started when aborted", async () => {
+  const log = [];
+  const controller = new AbortController();
+  const jobs = [1, 2, 3].map((id) => deferredJob(log, id, 5));
+
+  await runQueue(jobs, {
+    concurrency: 1,
+    signal: controller.signal,
+    onSettled: () => controller.abort(),
+  });
+  expect(log).toEqual(["start 1", "end 1"]);
+});
@@ -0,0 +1,92 @@
+// Resume version history: named snapshots of the resume text, taken by the
+// user or automatically before an AI change, kept in this browser.
+import { diffLines } from "./diff";
+
+const STORAGE_KEY = "resumeOptimizer.resumeVersions";
+
+// Oldest versions are dropped past this, automatic ones first
+export const MAX_VERSIONS = 30;
+
+export const loadVersions = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error("Could not read resume versions:", error);
+    return [];
+  }
+};
+
+export const saveVersions = (versions) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(versions));
+  } catch (error) {
+    console.error("Could not save resume versions:", error);
+  }
+};
+
+// Adds a snapshot to the front of the list (newest first). Nothing is added
+// when the text is empty or matches the newest version.
+export const addVersion = (
+  versions,
+  text,
+  { name, automatic = false, now = Date.now() } = {}
+) => {
+  if (!text.trim() || (versions[0] && versions[0].text === text)) {
+    return versions;
+  }
+  const version = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || new Date(now).toLocaleString(),
+    text,
+    automatic,
+    createdAt: now,
+  };
+
+  const next = [version, ...versions];
+  while (next.length > MAX_VERSIONS) {
+    const oldestAutomatic = next.map((v) => v.automatic).lastIndexOf(true);
+    next.splice(oldestAutomatic > 0 ? oldestAutomatic : next.length - 1, 1);
+  }
+  return next;
+};
+
+// Pairs up a line diff for a two-column view. Returns rows of
+// { left, right }, each side { type, text } or null where that version has
+// no line; removed lines followed by added lines share rows.
+export const sideBySideRows = (before, after) => {
+  const rows = [];
+  const chunks = diffLines(before, after);
+
+  for (let index = 0; index < chunks.length; index++) {
+    const chunk = chunks[index];
+    const lines = chunk.text.split("\n");
+
+    if (chunk.type === "equal") {
+      lines.forEach((text) =>
+        rows.push({
+          left: { type: "equal", text },
+          right: { type: "equal", text },
+        })
+      );
+    } else if (chunk.type === "added") {
+      lines.forEach((text) =>
+        rows.push({ left: null, right: { type: "added", text } })
+      );
+    } else {
+      const next = chunks[index + 1];
+      const added = next && next.type === "added" ? next.text.split("\n") : [];
+      if (added.length > 0) index++;
+      for (let line = 0; line < Math.max(lines.length, added.length); line++) {
+        rows.push({
+          left:
+            line < lines.length ? { type: "removed", text: lines[line] } : null,
+          right:
+            line < added.length ? { type: "added", text: added[line] } : null,
+        });
+      }
+    }
+  }
+
+  return rows;
+};
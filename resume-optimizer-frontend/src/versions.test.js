@@ -0,0 +1,50 @@
+import { addVersion, MAX_VERSIONS, sideBySideRows } from "./versions";
+
+test("adds versions newest first and skips unchanged text", () => {
+  let versions = addVersion([], "First draft", { name: "Draft", now: 1 });
+  versions = addVersion(versions, "Second draft", { automatic: true, now: 2 });
+  expect(versions.map((version) => version.text)).toEqual([
+    "Second draft",
+    "First draft",
+  ]);
+  expect(versions[1]).toMatchObject({ name: "Draft", automatic: false });
+  expect(versions[0].automatic).toBe(true);
+
+  expect(addVersion(versions, "Second draft")).toBe(versions);
+  expect(addVersion(versions, "  ")).toBe(versions);
+});
+
+test("drops the oldest automatic versions first when full", () => {
+  let versions = addVersion([], "Keep me", { name: "Manual", now: 0 });
+  for (let index = 1; index <= MAX_VERSIONS; index++) {
+    versions = addVersion(versions, `Draft ${index}`, {
+      automatic: true,
+      now: index,
+    });
+  }
+  expect(versions).toHaveLength(MAX_VERSIONS);
+  expect(versions[versions.length - 1].name).toBe("Manual");
+  expect(versions.map((version) => version.text)).not.toContain("Draft 1");
+});
+
+test("lines up changed lines side by side", () => {
+  const rows = sideBySideRows(
+    "Jane Doe\nBuilt dashboards\nUsed Excel",
+    "Jane Doe\nBuilt Tableau dashboards\nUsed Excel\nLed a team"
+  );
+  expect(rows).toEqual([
+    {
+      left: { type: "equal", text: "Jane Doe" },
+      right: { type: "equal", text: "Jane Doe" },
+    },
+    {
+      left: { type: "removed", text: "Built dashboards" },
+      right: { type: "added", text: "Built Tableau dashboards" },
+    },
+    {
+      left: { type: "equal", text: "Used Excel" },
+      right: { type: "equal", text: "Used Excel" },
+    },
+    { left: null, right: { type: "added", text: "Led a team" } },
+  ]);
+});